@@ -0,0 +1,471 @@
+require("file-loader?name=../index.html!../index.html");
+const Web3 = require("web3");
+const rockPaperScissorsJson = require("../../build/contracts/RockPaperScissors.json");
+const commitmentFactory = require("../../lib/commitment.js");
+const ruleSetsFactory = require("../../lib/rule-sets.js");
+const { SecretVault, localStorageStorage } = require("../../lib/secret-vault.js");
+const { loadDeployment } = require("../../lib/deployments.js");
+const gas = require("../../lib/gas.js");
+
+const pollInterval = 3000;  // milliseconds between event polls, works with http providers too
+const vaultKey = "rockpaperscissors.vault";
+const registryUrl = "../../deployments.json";  // written by truffle migrate, from build/app/index.html
+
+let web3;
+let commitment;
+let ruleSets;
+let ruleSetList = [];  // by id, as registered in the contract
+let instance;
+let account;
+let nextBlock = 0;
+let vault = null;
+const games = {};  // hash => game as rebuilt from the contract events
+const pastEvents = [];  // replayed on the vault when it gets unlocked
+
+/**
+ * Uses the injected provider (MetaMask and alike) if any, a local node otherwise.
+ *
+ * @returns {Promise<Web3>}
+ */
+async function getWeb3() {
+    if (window.ethereum) {
+        await window.ethereum.enable();
+        return new Web3(window.ethereum);
+    }
+    if (typeof window.web3 !== "undefined") {
+        return new Web3(window.web3.currentProvider);
+    }
+    return new Web3(new Web3.providers.HttpProvider("http://localhost:8545"));
+}
+
+/**
+ * The registry of deployments, fetched rather than bundled so the app builds before any migration. Without it the
+ * contract comes from the address in ?contract= of the page URL.
+ *
+ * @returns {Promise<?Object>} null when it cannot be fetched.
+ */
+async function fetchRegistry() {
+    try {
+        const response = await fetch(registryUrl, { cache: "no-cache" });
+        return response.ok ? await response.json() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function $(id) {
+    return document.getElementById(id);
+}
+
+function setStatus(message) {
+    $("status").textContent = message;
+}
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Estimates the gas first so a transaction that would revert fails before reaching the wallet, and sends it with
+ * a margin above the estimate.
+ *
+ * @param method a web3 contract method object.
+ * @param {string | BN} [value]
+ * @returns {Promise<Object>} the transaction receipt.
+ */
+async function send(method, value = "0") {
+    const options = { from: account, value: value };
+    options.gas = await gas.estimateGas(method, options);
+    return method.send(options)
+        .on("transactionHash", function(txHash) {
+            setStatus("Transaction " + txHash + " sent, waiting to be mined...");
+        })
+        .then(function(receipt) {
+            setStatus("Transaction " + receipt.transactionHash + " mined in block " + receipt.blockNumber + ".");
+            return receipt;
+        });
+}
+
+/**
+ * What to send for `bet` when paying from balance first.
+ */
+async function restAfterBalance(bet) {
+    const balance = web3.utils.toBN(await instance.methods.balances(account).call());
+    const rest = web3.utils.toBN(bet).sub(balance);
+    return rest.isNeg() ? "0" : rest.toString();
+}
+
+/**
+ * Creates a game against `opponent`, the move stays hidden behind the hash which is computed locally.
+ * The secret is saved in the vault before sending, so it cannot be lost if the page is closed.
+ */
+async function newGame(opponent, move, password, betEther, seconds, fromBalance = false, ruleSetId = 0) {
+    if (vault === null) {
+        throw new Error("Unlock the secret vault first, you will need the password to reveal");
+    }
+    if (ruleSetId !== 0 && fromBalance) {
+        throw new Error("A game with other rules cannot be paid from balance");
+    }
+    const entry = {
+        contract: instance.options.address,
+        hash: null,
+        creator: account,
+        opponent: opponent,
+        move: move,
+        password: commitment.toPassword(password),
+        expiration: 0
+    };
+    entry.hash = ruleSetId === 0
+        ? commitment.generateHash(entry.contract, entry.creator, entry.opponent, entry.move, entry.password)
+        : commitment.generateRuleSetHash(entry.contract, entry.creator, entry.opponent, ruleSetList[ruleSetId], entry.move,
+            entry.password);
+    vault.add(entry);
+    const bet = web3.utils.toWei(betEther, "ether");
+    let receipt;
+    try {
+        if (ruleSetId !== 0) {
+            receipt = await send(instance.methods.newRuleSetGame(entry.hash, opponent, seconds, ruleSetId), bet);
+        } else {
+            receipt = fromBalance
+                ? await send(instance.methods.newGameFromBalance(entry.hash, opponent, seconds, bet), await restAfterBalance(bet))
+                : await send(instance.methods.newGame(entry.hash, opponent, seconds), bet);
+        }
+    } catch (e) {
+        vault.remove(entry.contract, entry.hash);
+        throw e;
+    }
+    entry.expiration = receipt.events.LogNewGame.returnValues.expiration;
+    vault.add(entry);
+    return entry.hash;
+}
+
+/**
+ * Joins the game `hash` as the opponent, paying the same bet as the creator.
+ */
+async function setOpponentMove(hash, move, fromBalance = false) {
+    const game = await instance.methods.games(hash).call();
+    return fromBalance
+        ? send(instance.methods.setOpponentMoveFromBalance(hash, move), await restAfterBalance(game.bet))
+        : send(instance.methods.setOpponentMove(hash, move), game.bet);
+}
+
+/**
+ * Creator reveals the move and password used on creation.
+ */
+async function revealResult(opponent, move, password) {
+    return send(instance.methods.revealResult(opponent, move, commitment.toPassword(password)));
+}
+
+async function claimAfterExpiration(hash) {
+    return send(instance.methods.claimAfterExpiration(hash));
+}
+
+/**
+ * Creator asks to cancel a game nobody joined, the opponent can still play during the cancel delay.
+ */
+async function requestCancel(hash) {
+    return send(instance.methods.requestCancel(hash));
+}
+
+/**
+ * Creator gets the bet back once the cancel delay passed.
+ */
+async function cancelGame(hash) {
+    return send(instance.methods.cancelGame(hash));
+}
+
+async function withdrawFunds() {
+    return await instance.methods.isKilled().call()
+        ? send(instance.methods.emergencyWithdraw())
+        : send(instance.methods.withdrawFunds());
+}
+
+/**
+ * Once the contract is killed, moves the bets of an unsettled game back to the balances of its players.
+ */
+async function emergencyRefund(hash) {
+    return send(instance.methods.emergencyRefund(hash));
+}
+
+/**
+ * Updates the known games with one contract event.
+ */
+function applyEvent(event) {
+    pastEvents.push(event);
+    if (vault !== null) {
+        vault.handleEvent(event);
+    }
+    const args = event.returnValues;
+    const game = games[args.hash];
+    switch (event.event) {
+        case "LogNewGame":
+            games[args.hash] = {
+                hash: args.hash,
+                creator: args.creator,
+                opponent: args.opponent,
+                bet: args.bet,
+                expiration: parseInt(args.expiration),
+                status: /^0x0{40}$/.test(args.opponent) ? "Open to anyone" : "Waiting for opponent"
+            };
+            break;
+        case "LogTokenGame":
+            game.token = args.token;
+            game.status += " (bet in token " + args.token + ")";
+            break;
+        case "LogNewMatch":
+            game.status = "Match to " + args.winsNeeded + " wins, waiting for opponent";
+            break;
+        case "LogRoundCommit":
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Round " + args.round + " committed, waiting for opponent";
+            break;
+        case "LogRoundResult":
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Round " + args.round + " played, " + args.creatorWins + " - " + args.opponentWins;
+            break;
+        case "LogJoinOpenGame":
+            game.opponent = args.opponent;
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Joined, waiting for the opponent to reveal his move";
+            break;
+        case "LogRuleSetGame":
+            game.ruleSet = parseInt(args.ruleSet);
+            game.status += " (" + ruleSetOf(game).name + ")";
+            break;
+        case "LogHiddenGame":
+            game.status += " (hidden moves)";
+            break;
+        case "LogOpponentCommit":
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Opponent committed his move, waiting for both reveals";
+            break;
+        case "LogCreatorMove":
+            game.status = "Creator revealed " + ruleSets.moveName(ruleSetOf(game), args.move) + ", waiting for the opponent to reveal";
+            break;
+        case "LogOpponentMove":
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Opponent played " + ruleSets.moveName(ruleSetOf(game), args.move) + ", waiting for reveal";
+            break;
+        case "LogRevealResult":
+            game.expiration = 0;
+            if (args.creatorAmount === args.opponentAmount) {
+                game.status = "Draw";
+            } else {
+                game.status = web3.utils.toBN(args.creatorAmount).gt(web3.utils.toBN(args.opponentAmount))
+                    ? "Creator won"
+                    : "Opponent won";
+            }
+            break;
+        case "LogClaimAfterExpiration":
+            game.expiration = 0;
+            game.status = "Claimed by " + (sameAddress(args.who, game.creator) ? "creator" : "opponent");
+            break;
+        case "LogCancelRequested":
+            game.expiration = parseInt(args.newExpiration);
+            game.status = "Cancel requested, the opponent can still play";
+            break;
+        case "LogCancelGame":
+            game.expiration = 0;
+            game.status = "Cancelled";
+            break;
+        case "LogEmergencyRefund":
+            game.expiration = 0;
+            game.status = "Refunded after the contract was killed";
+            break;
+    }
+}
+
+async function pollEvents() {
+    const toBlock = await web3.eth.getBlockNumber();
+    if (toBlock < nextBlock) {
+        return;
+    }
+    const events = await instance.getPastEvents("allEvents", { fromBlock: nextBlock, toBlock: toBlock });
+    events.forEach(applyEvent);
+    nextBlock = toBlock + 1;
+    renderGames();
+    $("balance").textContent = web3.utils.fromWei(await instance.methods.balances(account).call(), "ether");
+}
+
+function formatCountdown(expiration) {
+    if (expiration === 0) {
+        return "-";
+    }
+    let seconds = expiration - Math.floor(Date.now() / 1000);
+    if (seconds <= 0) {
+        return "expired";
+    }
+    const days = Math.floor(seconds / 86400);
+    const time = new Date(seconds * 1000).toISOString().substr(11, 8);
+    return (days > 0 ? days + "d " : "") + time;
+}
+
+function renderGames() {
+    const tbody = $("games");
+    tbody.innerHTML = "";
+    Object.values(games)
+        .filter(game => sameAddress(game.creator, account) || sameAddress(game.opponent, account))
+        .forEach(function(game) {
+            const row = tbody.insertRow();
+            [game.hash, game.creator, game.opponent, web3.utils.fromWei(game.bet, "ether"), game.status]
+                .forEach(text => row.insertCell().textContent = text);
+            row.cells[0].className = "hash";
+            const countdown = row.insertCell();
+            countdown.dataset.expiration = game.expiration;
+            countdown.textContent = formatCountdown(game.expiration);
+            const action = row.insertCell();
+            const secret = vault !== null ? vault.get(instance.options.address, game.hash) : null;
+            if (secret !== null && game.status.startsWith("Opponent played")) {
+                const button = document.createElement("button");
+                button.textContent = "Reveal";
+                button.addEventListener("click", () => revealResult(secret.opponent, secret.move, secret.password)
+                    .catch(e => setStatus("Error: " + e.message)));
+                action.appendChild(button);
+            }
+        });
+}
+
+async function unlockVault(passphrase) {
+    setStatus("Unlocking the secret vault...");
+    vault = await SecretVault.open(passphrase, localStorageStorage(window.localStorage, vaultKey));
+    setStatus("");
+    pastEvents.forEach(event => vault.handleEvent(event));
+    $("vaultStatus").textContent = "unlocked, " + vault.list(instance.options.address).length + " pending secrets";
+    renderGames();
+}
+
+function exportVault() {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([vault.export()], { type: "application/json" }));
+    link.download = "rockpaperscissors-vault.json";
+    link.click();
+}
+
+function importVault(file) {
+    return new Promise(function(resolve, reject) {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    }).then(async function(data) {
+        const count = await vault.import(data, window.prompt("Passphrase of the backup"));
+        pastEvents.forEach(event => vault.handleEvent(event));
+        setStatus(count + " secrets imported.");
+        renderGames();
+    });
+}
+
+function renderCountdowns() {
+    document.querySelectorAll("td[data-expiration]").forEach(function(cell) {
+        const text = formatCountdown(parseInt(cell.dataset.expiration));
+        cell.textContent = text;
+        cell.className = text === "expired" ? "expired" : "";
+    });
+}
+
+/**
+ * Wires a button to an action, reporting any failure in the status line.
+ */
+function onClick(id, action) {
+    $(id).addEventListener("click", function() {
+        setStatus("");
+        action().catch(e => setStatus("Error: " + e.message));
+    });
+}
+
+/**
+ * The rule set of a game, rock, paper or scissors unless created with other rules.
+ */
+function ruleSetOf(game) {
+    return ruleSetList[game.ruleSet || 0] || ruleSets.classic;
+}
+
+/**
+ * Replaces the options of a move select by the moves of `ruleSet`.
+ */
+function fillMoves(select, ruleSet) {
+    select.length = 0;
+    ruleSet.moves.forEach((name, index) => select.add(new Option(name, index + 1)));
+}
+
+window.addEventListener("load", async function() {
+    try {
+        web3 = await getWeb3();
+        commitment = commitmentFactory(web3);
+        ruleSets = ruleSetsFactory(web3);
+        document.querySelectorAll("select.move").forEach(select => fillMoves(select, ruleSets.classic));
+        account = (await web3.eth.getAccounts())[0];
+        const address = new URLSearchParams(window.location.search).get("contract");
+        const deployment = await loadDeployment(web3, rockPaperScissorsJson, {
+            registry: await fetchRegistry(),
+            address: address === null ? undefined : address
+        });
+        instance = deployment.contract;
+        nextBlock = deployment.blockNumber;
+        $("account").textContent = account;
+        $("network").textContent = deployment.chainId === deployment.networkId
+            ? deployment.chainId : deployment.chainId + " (network " + deployment.networkId + ")";
+        $("contract").textContent = deployment.address;
+        ruleSetList = await ruleSets.listRuleSets(instance);
+        ruleSetList.forEach(ruleSet => $("newGameRules").add(new Option(ruleSet.name, ruleSet.id)));
+    } catch (e) {
+        setStatus("Error: " + e.message);
+        return;
+    }
+
+    $("newGameRules").addEventListener("change", function() {
+        // The creator reveals with the moves of the game just created
+        fillMoves($("newGameMove"), ruleSetList[this.value]);
+        fillMoves($("revealMove"), ruleSetList[this.value]);
+    });
+    $("joinHash").addEventListener("change", function() {
+        fillMoves($("joinMove"), ruleSetOf(games[this.value] || {}));
+    });
+    onClick("newGame", async function() {
+        const hash = await newGame($("newGameOpponent").value, $("newGameMove").value, $("newGamePassword").value,
+            $("newGameBet").value, $("newGameSeconds").value, $("newGameFromBalance").checked,
+            parseInt($("newGameRules").value));
+        $("claimHash").value = hash;
+    });
+    onClick("unlockVault", async () => unlockVault($("vaultPassphrase").value));
+    onClick("exportVault", async function() {
+        if (vault === null) {
+            throw new Error("Unlock the secret vault first");
+        }
+        exportVault();
+    });
+    $("importVault").addEventListener("change", function() {
+        if (vault === null) {
+            setStatus("Error: Unlock the secret vault first");
+            return;
+        }
+        importVault(this.files[0]).catch(e => setStatus("Error: " + e.message));
+        this.value = "";
+    });
+    onClick("randomPassword", async function() {
+        $("newGamePassword").value = commitment.randomPassword();
+        $("newGamePassword").type = "text";  // it must be written down to reveal later
+    });
+    onClick("setOpponentMove", () => setOpponentMove($("joinHash").value, $("joinMove").value, $("joinFromBalance").checked));
+    onClick("revealResult", () => revealResult($("revealOpponent").value, $("revealMove").value, $("revealPassword").value));
+    onClick("claimAfterExpiration", () => claimAfterExpiration($("claimHash").value));
+    onClick("requestCancel", () => requestCancel($("claimHash").value));
+    onClick("cancelGame", () => cancelGame($("claimHash").value));
+    onClick("emergencyRefund", () => emergencyRefund($("claimHash").value));
+    onClick("withdrawFunds", withdrawFunds);
+
+    await pollEvents();
+    setInterval(() => pollEvents().catch(e => setStatus("Error: " + e.message)), pollInterval);
+    setInterval(renderCountdowns, 1000);
+});
+
+module.exports = {
+    newGame: newGame,
+    setOpponentMove: setOpponentMove,
+    revealResult: revealResult,
+    claimAfterExpiration: claimAfterExpiration,
+    requestCancel: requestCancel,
+    cancelGame: cancelGame,
+    emergencyRefund: emergencyRefund,
+    withdrawFunds: withdrawFunds
+};
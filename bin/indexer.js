@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { fileStorage } = require("../lib/storage.js");
+const GameIndexer = require("../lib/indexer.js");
+const rockPaperScissorsJson = require("../build/contracts/RockPaperScissors.json");
+
+const usage = `Usage: indexer --store <file> [options] [query]
+
+Indexes the games of RockPaperScissors from its events into the store, then prints the query result as JSON.
+
+Options:
+  --network <name>        network of truffle-config.js (default: development)
+  --contract <address>    RockPaperScissors address (default: the migrated one)
+  --from-block <number>   first block to index, only used on a new store (default: the deployment one)
+  --confirmations <n>     blocks to wait before indexing a block (default: 0)
+  --prune-settled         forget the games settled, and the withdrawals, before the last 64 checkpoints
+  --watch <seconds>       keep indexing every given seconds
+
+Queries:
+  --game <hash>           one game with its history
+  --open-for <address>    open games where address is the opponent
+  --rounds-for <address>  match rounds address must play
+  --reveal-by <address>   games awaiting the reveal of address
+  --expired [address]     expired but unclaimed games, of address if set`;
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || typeof args.store !== "string") {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    const deployment = await loadDeployment(web3, rockPaperScissorsJson, { address: args.contract });
+    const indexer = new GameIndexer({
+        web3: web3,
+        contract: deployment.contract,
+        storage: fileStorage(args.store),
+        fromBlock: parseInt(args.fromBlock || deployment.blockNumber),
+        confirmations: parseInt(args.confirmations || "0"),
+        pruneSettled: args.pruneSettled === true
+    });
+
+    do {
+        const result = await indexer.sync();
+        console.error("Indexed up to block " + indexer.lastBlock + ", " + result.events + " new events"
+            + (result.reorg ? " after a reorg" : ""));
+        if (args.watch) {
+            await sleep(parseInt(args.watch) * 1000);
+        }
+    } while (args.watch);
+
+    const now = (await web3.eth.getBlock("latest")).timestamp;
+    let result = null;
+    if (args.game) {
+        result = indexer.game(args.game);
+    } else if (args.openFor) {
+        result = indexer.openGamesFor(args.openFor, now);
+    } else if (args.roundsFor) {
+        result = indexer.roundsToPlay(args.roundsFor, now);
+    } else if (args.revealBy) {
+        result = indexer.awaitingReveal(args.revealBy, now);
+    } else if (args.expired) {
+        result = indexer.expiredUnclaimed(now, args.expired === true ? undefined : args.expired);
+    }
+    if (result !== null) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
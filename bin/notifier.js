@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { fileStorage } = require("../lib/storage.js");
+const GameIndexer = require("../lib/indexer.js");
+const { Notifier } = require("../lib/notifier.js");
+const rockPaperScissorsJson = require("../build/contracts/RockPaperScissors.json");
+
+const usage = `Usage: notifier --store <file> [options] [command]
+
+Sends the game events of RockPaperScissors to the players as signed webhooks, keeping the subscriptions and the
+progress in the store. Without command, delivers the notifications until stopped.
+
+Commands:
+  subscribe <address> <url>    sends the notifications of address to url, prints the secret of the signatures
+  unsubscribe <address> <url>
+  list [address]               prints the subscriptions as JSON
+
+Options:
+  --network <name>        network of truffle-config.js (default: development)
+  --contract <address>    RockPaperScissors address (default: the migrated one)
+  --games <file>          store of the indexer (default: the store with .games.json)
+  --from-block <number>   first block to index, only used on a new games store (default: the deployment one)
+  --confirmations <n>     blocks to wait before notifying the events of a block (default: 0)
+  --remind-before <s>     seconds before a deadline to remind the player who must act (default: 3600)
+  --retries <number>      attempts per delivery (default: 5)
+  --poll <seconds>        between two looks at the chain (default: 15)`;
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || typeof args.store !== "string") {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    const deployment = await loadDeployment(web3, rockPaperScissorsJson, { address: args.contract });
+    const notifier = new Notifier({
+        web3: web3,
+        indexer: new GameIndexer({
+            web3: web3,
+            contract: deployment.contract,
+            storage: fileStorage(args.games || args.store.replace(/\.json$/, "") + ".games.json"),
+            fromBlock: parseInt(args.fromBlock || deployment.blockNumber),
+            confirmations: parseInt(args.confirmations || "0")
+        }),
+        storage: fileStorage(args.store),
+        remindBefore: parseInt(args.remindBefore || "3600"),
+        retries: parseInt(args.retries || "5"),
+        pollInterval: parseInt(args.poll || "15") * 1000
+    });
+
+    const [ command, player, url ] = args._;
+    if (command === "subscribe" || command === "unsubscribe") {
+        if (typeof url !== "string") {
+            throw new Error("Usage: " + command + " <address> <url>");
+        }
+        if (command === "subscribe") {
+            console.log("Secret of the signatures: " + notifier.subscribe(player, url).secret);
+        } else if (!notifier.unsubscribe(player, url)) {
+            throw new Error("No such subscription");
+        }
+    } else if (command === "list") {
+        console.log(JSON.stringify(notifier.subscriptions(player), null, 2));
+    } else if (typeof command === "undefined") {
+        notifier.on("failed", (subscription, payload, e) => console.error("Gave up on " + payload.id + " to "
+            + subscription.url + ": " + e.message));
+        process.on("SIGINT", () => notifier.stop());
+        process.on("SIGTERM", () => notifier.stop());
+        console.log("Notifying " + notifier.subscriptions().length + " subscriptions of " + deployment.address);
+        await notifier.run();
+    } else {
+        throw new Error("Unknown command " + command);
+    }
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
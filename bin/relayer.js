@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { Relayer, createServer } = require("../lib/relayer.js");
+const forwarderJson = require("../build/contracts/RockPaperScissorsForwarder.json");
+
+const usage = `Usage: relayer [options]
+
+Sends the signed moves of players to RockPaperScissorsForwarder, paying the gas for them.
+Players POST their signed payload to /relay, GET /info tells what to sign.
+The relayer signs with the first account of the node, or with the private key in RPS_PRIVATE_KEY.
+
+Options:
+  --network <name>         network of truffle-config.js (default: development)
+  --forwarder <address>    RockPaperScissorsForwarder address (default: the migrated one)
+  --port <number>          port to listen on (default: 8546)
+  --min-gas-price <gwei>   the fee of each payload must pay at least this price for its gas (default: 0)`;
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(usage);
+        return;
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    let account = (await web3.eth.getAccounts())[0];
+    if (process.env.RPS_PRIVATE_KEY) {
+        account = web3.eth.accounts.wallet.add(process.env.RPS_PRIVATE_KEY).address;
+    }
+    const deployment = await loadDeployment(web3, forwarderJson, { address: args.forwarder });
+    const address = deployment.address;
+
+    const relayer = new Relayer({
+        web3: web3,
+        forwarder: deployment.contract,
+        account: account,
+        minGasPrice: args.minGasPrice ? web3.utils.toWei(args.minGasPrice, "gwei") : "0"
+    });
+    const server = createServer(relayer);
+    const port = parseInt(args.port || "8546");
+    server.listen(port, () => console.log("Relaying to " + address + " from " + account + " on port " + port));
+    process.on("SIGINT", () => server.close());
+    process.on("SIGTERM", () => server.close());
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
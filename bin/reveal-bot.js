@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { SecretVault, fileStorage } = require("../lib/secret-vault.js");
+const RevealBot = require("../lib/reveal-bot.js");
+const rockPaperScissorsJson = require("../build/contracts/RockPaperScissors.json");
+
+const usage = `Usage: reveal-bot --vault <file> [options]
+
+Reveals the games of the vault when the opponent moves and claims the ones nobody joined.
+The vault passphrase is read from RPS_VAULT_PASSPHRASE, an optional private key to sign with from RPS_PRIVATE_KEY.
+
+Options:
+  --network <name>        network of truffle-config.js (default: development)
+  --contract <address>    RockPaperScissors address (default: the migrated one)
+  --from-block <number>   first block to look for events on the first run (default: the deployment one)
+  --state <file>          where the progress is kept between runs (default: the vault with .state.json)
+  --retries <number>      attempts per transaction (default: 3)
+  --gas-multiplier <n>    gas price increase per attempt (default: 1.25)
+  --max-gas-price <gwei>  gas price cap`;
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || typeof args.vault !== "string") {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+    const passphrase = process.env.RPS_VAULT_PASSPHRASE;
+    if (!passphrase) {
+        throw new Error("RPS_VAULT_PASSPHRASE is not set");
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    let account = (await web3.eth.getAccounts())[0];
+    if (process.env.RPS_PRIVATE_KEY) {
+        account = web3.eth.accounts.wallet.add(process.env.RPS_PRIVATE_KEY).address;
+    }
+    const deployment = await loadDeployment(web3, rockPaperScissorsJson, { address: args.contract });
+    const address = deployment.address;
+
+    const bot = new RevealBot({
+        web3: web3,
+        contract: deployment.contract,
+        vault: await SecretVault.open(passphrase, fileStorage(args.vault)),
+        storage: fileStorage(args.state || args.vault.replace(/\.json$/, "") + ".state.json"),
+        account: account,
+        fromBlock: parseInt(args.fromBlock || deployment.blockNumber),
+        retries: parseInt(args.retries || "3"),
+        gasPriceMultiplier: parseFloat(args.gasMultiplier || "1.25"),
+        maxGasPrice: args.maxGasPrice ? web3.utils.toWei(args.maxGasPrice, "gwei") : undefined
+    });
+    bot.on("failed", (entry, e) => console.error("Giving up for now on " + entry.hash + ": " + e.message));
+    process.on("SIGINT", () => bot.stop());
+    process.on("SIGTERM", () => bot.stop());
+
+    console.log("Watching " + address + " for " + bot.vault.list(address).length + " pending games");
+    await bot.run();
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+const os = require("os");
+const path = require("path");
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { SecretVault, fileStorage } = require("../lib/secret-vault.js");
+const cli = require("../lib/cli.js");
+const rockPaperScissorsJson = require("../build/contracts/RockPaperScissors.json");
+const tokenJson = require("../build/contracts/IERC20.json");
+const tokenDetailsJson = require("../build/contracts/IERC20Detailed.json");
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const args = parseArgs(argv);
+    if (args._.length === 0 || args.help) {
+        console.log(cli.usage);
+        return;
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    let account = args.from || (await web3.eth.getAccounts())[0];
+    if (process.env.RPS_PRIVATE_KEY) {
+        account = web3.eth.accounts.wallet.add(process.env.RPS_PRIVATE_KEY).address;
+    }
+    const deployment = await loadDeployment(web3, rockPaperScissorsJson, { address: args.contract });
+
+    await cli.run(argv, {
+        web3: web3,
+        contract: deployment.contract,
+        account: account,
+        openVault: function() {
+            if (!process.env.RPS_VAULT_PASSPHRASE) {
+                throw new Error("RPS_VAULT_PASSPHRASE is not set");
+            }
+            const file = args.vault || path.join(os.homedir(), ".rps-vault.json");
+            return SecretVault.open(process.env.RPS_VAULT_PASSPHRASE, fileStorage(file));
+        },
+        print: console.log,
+        tokenAbi: tokenJson.abi.concat(tokenDetailsJson.abi)
+    });
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const statsFactory = require("../lib/stats.js");
+const rockPaperScissorsJson = require("../build/contracts/RockPaperScissors.json");
+
+const usage = `Usage: stats [options]
+
+Ranks the players of RockPaperScissors by wins from the games over, then prints the leaderboard as JSON or CSV.
+
+Options:
+  --network <name>        network of truffle-config.js (default: development)
+  --contract <address>    RockPaperScissors address (default: the migrated one)
+  --from-block <number>   first block to read (default: the deployment one)
+  --since <date>          count the games ended from this date, ISO 8601 or timestamp in seconds
+  --until <date>          count the games ended before this date
+  --limit <n>             print the first n players only
+  --players               print the stats of every player in the order they played instead of the leaderboard
+  --format <json|csv>     (default: json)`;
+
+/**
+ * @returns {number | undefined} timestamp in seconds.
+ */
+function parseDate(name, value) {
+    if (typeof value === "undefined") {
+        return undefined;
+    }
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+    if (isNaN(timestamp)) {
+        throw new Error("--" + name + " must be an ISO 8601 date or a timestamp in seconds.");
+    }
+    return Math.floor(timestamp);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(usage);
+        return;
+    }
+    const format = args.format || "json";
+    if (format !== "json" && format !== "csv") {
+        throw new Error("--format must be json or csv.");
+    }
+    const window = {
+        from: parseDate("since", args.since),
+        to: parseDate("until", args.until),
+        limit: typeof args.limit === "undefined" ? undefined : parseInt(args.limit)
+    };
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    const stats = statsFactory(web3);
+    const deployment = await loadDeployment(web3, rockPaperScissorsJson, { address: args.contract });
+    const games = await stats.collectGames(deployment.contract, {
+        fromBlock: parseInt(args.fromBlock || deployment.blockNumber)
+    });
+
+    const rows = args.players ? stats.playerStats(games, window) : stats.leaderboard(games, window);
+    process.stdout.write(format === "csv" ? stats.toCsv(rows) : JSON.stringify(rows, null, 2) + "\n");
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+const Web3 = require("web3");
+const parseArgs = require("../lib/args.js");
+const { getProviderUrl } = require("../lib/network.js");
+const { loadDeployment } = require("../lib/deployments.js");
+const { SecretVault, fileStorage } = require("../lib/secret-vault.js");
+const TournamentOrchestrator = require("../lib/tournament.js");
+const tournamentJson = require("../build/contracts/RockPaperScissorsTournament.json");
+
+const usage = `Usage: tournament <id> [options]
+
+Drives tournament <id> of RockPaperScissorsTournament: starts the bracket once registration is over and settles the
+matches past their deadline, then prints the bracket as JSON. With --vault it also plays for the account, committing
+--move and revealing it. The vault passphrase is read from RPS_VAULT_PASSPHRASE, an optional private key to sign with
+from RPS_PRIVATE_KEY.
+
+Options:
+  --network <name>        network of truffle-config.js (default: development)
+  --contract <address>    RockPaperScissorsTournament address (default: the migrated one)
+  --register              register the account first, paying the entry fee
+  --vault <file>          secrets of the moves, needed to play
+  --move <number>         move to commit in the next match of the account
+  --watch <seconds>       keep driving every given seconds until the tournament is over`;
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || args._.length !== 1) {
+        console.log(usage);
+        process.exit(args.help ? 0 : 1);
+    }
+    const id = parseInt(args._[0]);
+    let vault;
+    if (typeof args.vault === "string") {
+        if (!process.env.RPS_VAULT_PASSPHRASE) {
+            throw new Error("RPS_VAULT_PASSPHRASE is not set");
+        }
+        vault = await SecretVault.open(process.env.RPS_VAULT_PASSPHRASE, fileStorage(args.vault));
+    }
+
+    const web3 = new Web3(getProviderUrl(args.network || "development"));
+    let account = (await web3.eth.getAccounts())[0];
+    if (process.env.RPS_PRIVATE_KEY) {
+        account = web3.eth.accounts.wallet.add(process.env.RPS_PRIVATE_KEY).address;
+    }
+    const deployment = await loadDeployment(web3, tournamentJson, { address: args.contract });
+    const orchestrator = new TournamentOrchestrator({
+        web3: web3,
+        contract: deployment.contract,
+        account: account,
+        vault: vault
+    });
+
+    if (args.register) {
+        await orchestrator.register(id);
+        console.error("Registered " + account + " in tournament " + id);
+    }
+    let bracket;
+    do {
+        const steps = await orchestrator.step(id, vault ? args.move : undefined);
+        steps.forEach(step => console.error(step.action + (step.round === null ? "" : " round " + step.round + " match "
+            + step.index) + ": " + step.receipt.transactionHash));
+        bracket = await orchestrator.bracket(id);
+        if (args.watch && (bracket.stage === "registering" || bracket.stage === "playing")) {
+            await sleep(parseInt(args.watch) * 1000);
+        }
+    } while (args.watch && (bracket.stage === "registering" || bracket.stage === "playing"));
+    console.log(JSON.stringify(bracket, null, 2));
+}
+
+main().catch(function(e) {
+    console.error(e.message);
+    process.exit(1);
+});
@@ -0,0 +1,45 @@
+pragma solidity ^0.5.0;
+
+import "./SafeMath.sol";
+
+/**
+ * @title CommitReveal
+ * @dev Moves committed as a hash then revealed before a deadline, shared by the games of RockPaperScissors and the
+ * matches of RockPaperScissorsTournament. Moves are numbered from 1 up to the move count of a rule set, and move a
+ * beats move b when the bit (a - 1) * 16 + b - 1 of the beats of the rule set is set.
+ */
+library CommitReveal {
+    using SafeMath for uint;
+
+    /**
+     * @return True if `_move` is one of the `_moveCount` moves of a rule set.
+     */
+    function isMove(uint8 _moveCount, uint8 _move) internal pure returns (bool) {
+        return _move != 0 && _move <= _moveCount;
+    }
+
+    function beatsBit(uint8 _move, uint8 _other) internal pure returns (uint) {
+        return uint(1) << (uint(_move) - 1) * 16 + uint(_other) - 1;
+    }
+
+    /**
+     * @return True if `_move` wins against `_other` with the `_beats` of a rule set.
+     */
+    function beats(uint _beats, uint8 _move, uint8 _other) internal pure returns (bool) {
+        return _beats & beatsBit(_move, _other) != 0;
+    }
+
+    /**
+     * @dev Reverts unless `_revealed`, the hash of the move and password shown, is the one committed.
+     */
+    function requireCommitted(bytes32 _committed, bytes32 _revealed) internal pure {
+        require(_committed == _revealed, "Move does not match the committed one");
+    }
+
+    /**
+     * @return The deadline of a phase of `_seconds` starting now, to commit or to reveal.
+     */
+    function deadline(uint _seconds) internal view returns (uint) {
+        return now.add(_seconds);
+    }
+}
@@ -0,0 +1,13 @@
+pragma solidity ^0.5.0;
+
+/**
+ * @title ERC20 optional metadata
+ * @dev see https://eips.ethereum.org/EIPS/eip-20, the amounts of a token are in units of 10 ** decimals
+ */
+interface IERC20Detailed {
+    function name() external view returns (string memory);
+
+    function symbol() external view returns (string memory);
+
+    function decimals() external view returns (uint8);
+}
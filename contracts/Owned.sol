@@ -4,11 +4,18 @@ pragma solidity ^0.5.0;
  * @title Ownable
  * @dev The Ownable contract has an owner address, and provides basic authorization control
  * functions, this simplifies the implementation of "user permissions".
+ * Changes of owner go through a timelock, so that players see them coming in the events and can leave first.
  */
 contract Ownable {
+    uint constant public timelockSeconds = 2 days;
+
     address private _owner;
+    address private _pendingOwner;
+    uint private _ownershipTransferTime;
 
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event LogOwnershipTransferScheduled(address indexed owner, address indexed newOwner, uint time);
+    event LogOwnershipTransferCancelled(address indexed owner, address indexed newOwner);
 
     /**
      * @dev The Ownable constructor sets the original `owner` of the contract to the sender
@@ -26,40 +33,75 @@ contract Ownable {
         return _owner;
     }
 
+    /**
+     * @return the address the ownership is being transferred to and when it can accept it, 0 when there is none.
+     */
+    function pendingOwnership() public view returns (address, uint) {
+        return (_pendingOwner, _ownershipTransferTime);
+    }
+
     /**
      * @dev Throws if called by any account other than the owner.
      */
     modifier onlyOwner() {
-        require(isOwner(), "Ownable: caller is not the owner");
+        requireOwner();
         _;
     }
 
     /**
-     * @return true if `msg.sender` is the owner of the contract.
+     * @dev The check of onlyOwner, in a function so that it is not copied in every function using the modifier.
      */
-    function isOwner() public view returns (bool) {
-        return msg.sender == _owner;
+    function requireOwner() internal view {
+        require(isOwner(), "Ownable: caller is not the owner");
     }
 
     /**
-     * @dev Allows the current owner to relinquish control of the contract.
-     * It will not be possible to call the functions with the `onlyOwner`
-     * modifier anymore.
-     * @notice Renouncing ownership will leave the contract without an owner,
-     * thereby removing any functionality that is only available to the owner.
+     * @return true if `msg.sender` is the owner of the contract.
      */
-    function renounceOwnership() public onlyOwner {
-        emit OwnershipTransferred(_owner, address(0));
-        _owner = address(0);
+    function isOwner() public view returns (bool) {
+        return msg.sender == _owner;
     }
 
     /**
-     * @dev Allows the current owner to transfer control of the contract to a newOwner.
+     * @dev Starts the transfer of control of the contract to a newOwner, who can accept it once timelockSeconds
+     * passed. Scheduling again replaces the pending transfer. There is no renouncing: a contract without owner
+     * could be paused by its guardians with nobody left to unpause it.
      * @param newOwner The address to transfer ownership to.
      */
     function transferOwnership(address newOwner) public onlyOwner {
         require(newOwner != address(0), "Ownable: new owner is the zero address");
-        emit OwnershipTransferred(_owner, newOwner);
-        _owner = newOwner;
+        _pendingOwner = newOwner;
+        _ownershipTransferTime = timelockEnd();
+        emit LogOwnershipTransferScheduled(_owner, newOwner, _ownershipTransferTime);
+    }
+
+    function cancelOwnershipTransfer() public onlyOwner {
+        require(_pendingOwner != address(0), "Ownable: no transfer scheduled");
+        emit LogOwnershipTransferCancelled(_owner, _pendingOwner);
+        _pendingOwner = address(0);
+        _ownershipTransferTime = 0;
+    }
+
+    /**
+     * @dev Called by the new owner to complete the transfer after the timelock.
+     */
+    function acceptOwnership() public {
+        require(msg.sender == _pendingOwner, "Ownable: caller is not the new owner");
+        requireTimelockOver(_ownershipTransferTime);
+        emit OwnershipTransferred(_owner, msg.sender);
+        _owner = msg.sender;
+        _pendingOwner = address(0);
+        _ownershipTransferTime = 0;
+    }
+
+    /**
+     * @return when an action scheduled now can be done.
+     */
+    function timelockEnd() internal view returns (uint) {
+        return now + timelockSeconds;
+    }
+
+    function requireTimelockOver(uint time) internal view {
+        require(time != 0 && now >= time, "Timelock not over yet");
     }
 }
@@ -5,14 +5,21 @@ import "./Owned.sol";
 /**
  * @title Pausable
  * @dev Base contract which allows children to implement an emergency stop mechanism.
+ * Guardians set by the owner can pause, only the owner, as admin, can unpause. Killing goes through the timelock of
+ * Ownable, so that players can finish their games and withdraw before, nobody can pause meanwhile.
  */
 contract Pausable is Ownable {
     event Paused(address indexed account);
     event Unpaused(address indexed account);
     event LogKilled(address indexed account);
+    event LogGuardianChanged(address indexed owner, address indexed guardian, bool enabled);
+    event LogKillScheduled(address indexed owner, uint time);
+    event LogKillCancelled(address indexed owner);
 
     bool private _paused;
     bool private _killSwitch = false;
+    mapping(address => bool) public guardians;
+    uint public killTime;  // when the owner can kill, 0 when no kill is scheduled
 
     constructor (bool paused) internal {
         _paused = paused;
@@ -25,14 +32,29 @@ contract Pausable is Ownable {
         return _paused;
     }
 
+    /**
+     * @return True if it's killed, false otherwise.
+     */
+    function isKilled() public view returns (bool) {
+        return _killSwitch;
+    }
+
     /**
      * @dev Modifier to make a function callable only when the contract is not paused.
      */
     modifier whenNotPaused() {
-        require(!_paused, "Pausable: paused");
+        requireNotPaused();
         _;
     }
 
+    /**
+     * @dev Shared by every whenNotPaused function instead of inlining the check in each of them, keeps the
+     * children under the contract size limit.
+     */
+    function requireNotPaused() internal view {
+        require(!_paused, "Pausable: paused");
+    }
+
     /**
      * @dev Modifier to make a function callable only when the contract is paused.
      */
@@ -50,9 +72,32 @@ contract Pausable is Ownable {
     }
 
     /**
-     * @dev Called by a pauser to pause, triggers stopped state.
+     * @dev Modifier to make a function callable only when contract is killed, for the emergency exits.
      */
-    function pause() public onlyOwner whenNotPaused {
+    modifier whenKilled() {
+        requireKilled();
+        _;
+    }
+
+    function requireKilled() internal view {
+        require(_killSwitch, "The contract is not dead");
+    }
+
+    /**
+     * @dev Lets `guardian` pause, or not anymore.
+     */
+    function setGuardian(address guardian, bool enabled) public onlyOwner {
+        guardians[guardian] = enabled;
+        emit LogGuardianChanged(msg.sender, guardian, enabled);
+    }
+
+    /**
+     * @dev Called by a guardian or the owner to pause, triggers stopped state. Not once a kill is scheduled, that
+     * would close the window the players were promised to withdraw in.
+     */
+    function pause() public whenNotPaused {
+        require(guardians[msg.sender] || isOwner(), "Pausable: caller is not a guardian");
+        require(killTime == 0, "Pausable: kill scheduled");
         _paused = true;
         emit Paused(msg.sender);
     }
@@ -65,10 +110,26 @@ contract Pausable is Ownable {
         emit Unpaused(msg.sender);
     }
 
+    /**
+     * @dev Announces a kill, the owner can do it once timelockSeconds passed.
+     */
+    function scheduleKill() public onlyOwner onlyAlive {
+        killTime = timelockEnd();
+        emit LogKillScheduled(msg.sender, killTime);
+    }
+
+    function cancelKill() public onlyOwner {
+        require(killTime != 0, "No kill scheduled");
+        killTime = 0;
+        emit LogKillCancelled(msg.sender);
+    }
+
     /**
      * @dev Turns the contract unusable if modifier used correctly in the contract.
      */
     function kill() public onlyOwner {
+        requireTimelockOver(killTime);
+        killTime = 0;
         _killSwitch = true;
         _paused = true;
         emit LogKilled(msg.sender);
@@ -2,105 +2,493 @@ pragma solidity >=0.4.21 <0.6.0;
 
 import "./Pausable.sol";
 import "./SafeMath.sol";
+import "./IERC20.sol";
+import "./SafeERC20.sol";
+import "./CommitReveal.sol";
 
 
 contract RockPaperScissors is Pausable {
     using SafeMath for uint;
-
-    enum Move {Unset, Rock, Paper, Scissors}
+    using SafeERC20 for IERC20;
 
     struct Game {
         address creator;
         address opponent;
+        address token;  // the bet is in this ERC20 token, or in ether if empty
         uint bet;
         uint expiration;
-        Move opponentMove;
+        uint8 opponentMove;
+        bool cancelRequested;
+        uint8 winsNeeded;  // only in matches, rounds to win to take the pot
+        uint8 creatorWins;
+        uint8 opponentWins;
+        uint32 rounds;  // rounds revealed in a match, draws included
+        uint16 feeBasisPoints;  // house fee when the game was created
+        bytes32 opponentHash;  // only in open and hidden moves games, the move committed by the opponent
+        bytes32 roundHash;  // only in matches, the move committed by the creator for the current round after the first
+    }
+
+    // What a game is played with, moves are numbered from 1 up to moveCount
+    struct RuleSet {
+        uint8 moveCount;
+        uint beats;  // move a beats move b when the bit (a - 1) * 16 + b - 1 is set, see CommitReveal
+        bytes32 name;
+        bytes32[] moveNames;
     }
 
-    uint constant public maxExpirationSeconds = 10 * 1 days;
+    // Kept apart from Game as its getter cannot return more fields
+    struct HiddenMoves {
+        bool enabled;  // the opponent commits his move too, see newHiddenGame
+        uint8 creatorMove;  // when the creator revealed before the opponent
+    }
+
+    uint32 constant public defaultRevealSeconds = 1 days;
+    uint constant public cancelDelaySeconds = 1 hours;
+    uint8 constant public maxBestOf = 9;
+    uint16 constant public maxFeeBasisPoints = 500;
+    uint8 constant public maxRuleSetMoves = 15;
+    uint8 constant public classicRuleSet = 0;
+    uint8 constant public rpslsRuleSet = 1;
+    uint8 constant noMove = 0;
+
+    uint16 public feeBasisPoints;  // taken from what the winner gets, set for the games created from then on
+    uint public feeBalance;
+    address public forwarder;  // trusted to call in the name of the players, see sender()
+    uint32 public maxExpirationSeconds = 10 * 1 days;  // bounds set by the owner with setExpirationPolicy
+    uint32 public minRevealSeconds = 1 hours;
+    uint32 public maxRevealSeconds = 7 * 1 days;
 
     mapping(bytes32 => Game) public games;  // the bytes32 is the encoded move of the creator
+    mapping(bytes32 => HiddenMoves) public hiddenMoves;
+    mapping(uint8 => RuleSet) public ruleSets;
+    uint8 public ruleSetCount;
+    mapping(bytes32 => uint8) public gameRuleSets;  // classicRuleSet unless created with newRuleSetGame
+    // What the opponent's move, or a round, gives to the next step, apart from Game as its getter cannot return more
+    mapping(bytes32 => uint32) public gameRevealSeconds;
+    mapping(address => uint32) revealWindows;  // chosen by the creators for their next games, 0 for the default
     mapping(address => uint) public balances;
+    mapping(address => mapping(address => uint)) public tokenBalances;  // token => player => amount
+    mapping(address => uint) public tokenFeeBalances;
 
-    event LogNewGame(bytes32 indexed hash, address indexed creator, address indexed opponent, uint bet, uint expiration);
-    event LogOpponentMove(bytes32 indexed hash, Move move, uint newExpiration);
+    event LogNewGame(bytes32 indexed hash, address indexed creator, address indexed opponent, uint bet, uint expiration, uint revealSeconds);
+    event LogJoinOpenGame(bytes32 indexed hash, address indexed opponent, uint newExpiration);
+    event LogOpponentMove(bytes32 indexed hash, uint8 move, uint newExpiration);
+    event LogHiddenGame(bytes32 indexed hash);
+    event LogOpponentCommit(bytes32 indexed hash, address indexed opponent, uint newExpiration);
+    event LogCreatorMove(bytes32 indexed hash, uint8 move);
+    event LogRuleSet(uint8 indexed ruleSet, bytes32 name, uint8 moveCount);
+    event LogRuleSetGame(bytes32 indexed hash, uint8 indexed ruleSet);
     event LogRevealResult(bytes32 indexed hash, address indexed creator, address indexed opponent, uint creatorAmount, uint opponentAmount);
     event LogWithdraw(address indexed who, uint amount);
+    event LogTokenGame(bytes32 indexed hash, address indexed token);
+    event LogWithdrawTokens(address indexed token, address indexed who, uint amount);
+    event LogBetFromBalance(bytes32 indexed hash, address indexed who, uint amount);
     event LogClaimAfterExpiration(bytes32 indexed hash, address indexed who, uint amount);
+    event LogNewMatch(bytes32 indexed hash, uint8 winsNeeded);
+    event LogRoundCommit(bytes32 indexed hash, uint32 round, uint newExpiration);
+    event LogRoundResult(bytes32 indexed hash, uint32 round, uint8 creatorMove, uint8 opponentMove, uint8 creatorWins, uint8 opponentWins, uint newExpiration);
+    event LogCancelRequested(bytes32 indexed hash, uint newExpiration);
+    event LogCancelGame(bytes32 indexed hash, address indexed creator, uint amount);
+    event LogFeeChanged(address indexed owner, uint16 feeBasisPoints);
+    event LogExpirationPolicyChanged(address indexed owner, uint32 maxExpirationSeconds, uint32 minRevealSeconds, uint32 maxRevealSeconds);
+    event LogRevealWindow(address indexed creator, uint32 revealSeconds);
+    event LogFee(bytes32 indexed hash, uint amount);
+    event LogWithdrawFees(address indexed owner, uint amount);
+    event LogWithdrawTokenFees(address indexed token, address indexed owner, uint amount);
+    event LogEmergencyRefund(bytes32 indexed hash, address indexed creator, address indexed opponent, uint creatorAmount, uint opponentAmount);
+    event LogEmergencyWithdraw(address indexed who, uint amount);
+    event LogEmergencyWithdrawTokens(address indexed token, address indexed who, uint amount);
+    event LogForwarderChanged(address indexed owner, address indexed forwarder);
+    event LogTransferBalance(address indexed from, address indexed to, uint amount);
 
     /**
-     * Constructor
+     * Constructor, registers the classic rule set and Rock-Paper-Scissors-Lizard-Spock
      */
-    constructor (bool paused) Pausable(paused) public {}
+    constructor (bool paused) Pausable(paused) public {
+        bytes32[] memory moveNames = new bytes32[](3);
+        moveNames[0] = "Rock";
+        moveNames[1] = "Paper";
+        moveNames[2] = "Scissors";
+        addRuleSet("Rock-Paper-Scissors", moveNames,
+            CommitReveal.beatsBit(1, 3) | CommitReveal.beatsBit(2, 1) | CommitReveal.beatsBit(3, 2));
+
+        moveNames = new bytes32[](5);
+        moveNames[0] = "Rock";
+        moveNames[1] = "Paper";
+        moveNames[2] = "Scissors";
+        moveNames[3] = "Lizard";
+        moveNames[4] = "Spock";
+        addRuleSet("Rock-Paper-Scissors-Lizard-Spock", moveNames,
+            CommitReveal.beatsBit(1, 3) | CommitReveal.beatsBit(1, 4) | CommitReveal.beatsBit(2, 1)
+            | CommitReveal.beatsBit(2, 5) | CommitReveal.beatsBit(3, 2) | CommitReveal.beatsBit(3, 4)
+            | CommitReveal.beatsBit(4, 2) | CommitReveal.beatsBit(4, 5) | CommitReveal.beatsBit(5, 1)
+            | CommitReveal.beatsBit(5, 3));
+    }
 
     /**
      * Calculate the hash for the creator of a game
      */
-    function generateHash(address _opponent, Move _creatorMove, bytes32 _password) public view returns(bytes32) {
+    function generateHash(address _opponent, uint8 _creatorMove, bytes32 _password) public view returns(bytes32) {
         require(_opponent != address(0), "Not a valid opponent address");
-        require(_creatorMove != Move.Unset, "Wrong move");
+        return generateRuleSetHash(_opponent, classicRuleSet, _creatorMove, _password);
+    }
+
+    /**
+     * Calculate the hash for the creator of an open game, the opponent is left empty
+     */
+    function generateOpenHash(uint8 _creatorMove, bytes32 _password) public view returns(bytes32) {
+        return generateRuleSetHash(address(0), classicRuleSet, _creatorMove, _password);
+    }
+
+    /**
+     * Calculate the hash for the creator of a game played with `_ruleSet`, the opponent is empty for an open game.
+     * It is the same hash as generateHash, the rule set is kept with the game and only checks the move here.
+     */
+    function generateRuleSetHash(address _opponent, uint8 _ruleSet, uint8 _creatorMove, bytes32 _password) public view returns(bytes32) {
+        requireMove(isMove(_ruleSet, _creatorMove));
+        requirePassword(_password);
+        return creatorHash(_opponent, _creatorMove, _password);
+    }
+
+    function creatorHash(address _opponent, uint8 _creatorMove, bytes32 _password) internal view returns(bytes32) {
+        return keccak256(abi.encodePacked(address(this), sender(), _opponent, _creatorMove, _password));
+    }
+
+    /**
+     * Calculate the hash for who joins an open game or plays a hidden moves game, bound to the game and to the
+     * sender so it cannot be copied by someone front-running the join nor reused in another game
+     */
+    function generateOpponentHash(bytes32 _hash, uint8 _move, bytes32 _password) public view returns(bytes32) {
+        requireHashInputs(_hash, _move, _password);
+        return keccak256(abi.encodePacked(address(this), sender(), _hash, _move, _password));
+    }
+
+    /**
+     * Calculate the hash for the creator of the round `_round` of a match, the first round uses generateHash
+     */
+    function generateRoundHash(bytes32 _hash, uint32 _round, uint8 _creatorMove, bytes32 _password) public view returns(bytes32) {
+        requireHashInputs(_hash, _creatorMove, _password);
+        return keccak256(abi.encodePacked(address(this), sender(), _hash, _round, _creatorMove, _password));
+    }
+
+    function requireHashInputs(bytes32 _hash, uint8 _move, bytes32 _password) internal view {
+        requireGameHash(_hash);
+        requireMove(isGameMove(_hash, _move));
+        requirePassword(_password);
+    }
+
+    function requireGameHash(bytes32 _hash) internal pure {
+        require(_hash != bytes32(0), "Not a valid game hash");
+    }
+
+    function requirePassword(bytes32 _password) internal pure {
         require(_password != bytes32(0), "Password not set");
-        return keccak256(abi.encodePacked(address(this), msg.sender, _opponent, _creatorMove, _password));
+    }
+
+    function requireOpponentAddress(address _opponent) internal pure {
+        require(_opponent != address(0), "Not a valid creator address");
     }
 
     /**
      * Create a game
      */
     function newGame(bytes32 _hash, address _opponent, uint _seconds) public payable whenNotPaused {
+        requireOpponentAddress(_opponent);
+        createGame(_hash, _opponent, _seconds, msg.value);
+    }
+
+    /**
+     * Create a game with a bet of `_bet`, paid with what is sent and the rest from the balance of the creator
+     */
+    function newGameFromBalance(bytes32 _hash, address _opponent, uint _seconds, uint _bet) public payable whenNotPaused {
+        requireOpponentAddress(_opponent);
+        createGame(_hash, _opponent, _seconds, _bet);
+        payFromBalance(_hash, _bet);
+    }
+
+    /**
+     * Create a game that anyone sending the same bet can join
+     */
+    function newOpenGame(bytes32 _hash, uint _seconds) public payable whenNotPaused {
+        createGame(_hash, address(0), _seconds, msg.value);
+    }
+
+    /**
+     * Same as newOpenGame, paying the bet with what is sent and the rest from the balance of the creator
+     */
+    function newOpenGameFromBalance(bytes32 _hash, uint _seconds, uint _bet) public payable whenNotPaused {
+        createGame(_hash, address(0), _seconds, _bet);
+        payFromBalance(_hash, _bet);
+    }
+
+    /**
+     * Create a match where one bet covers a best-of-`_bestOf` series, the first round is played as a game
+     */
+    function newMatch(bytes32 _hash, address _opponent, uint _seconds, uint8 _bestOf) public payable whenNotPaused {
+        requireOpponentAddress(_opponent);
+        require(_bestOf >= 3 && _bestOf <= maxBestOf && _bestOf % 2 == 1, "A match is best of an odd number of rounds up to maxBestOf");
+        createGame(_hash, _opponent, _seconds, msg.value);
+
+        uint8 winsNeeded = _bestOf / 2 + 1;
+        games[_hash].winsNeeded = winsNeeded;
+
+        emit LogNewMatch(_hash, winsNeeded);
+    }
+
+    /**
+     * Create a game played with the moves and rules of `_ruleSet`, open to anyone if `_opponent` is empty. The
+     * hash comes from generateRuleSetHash.
+     */
+    function newRuleSetGame(bytes32 _hash, address _opponent, uint _seconds, uint8 _ruleSet) public payable whenNotPaused {
+        require(_ruleSet < ruleSetCount, "Unknown rule set");
+        createGame(_hash, _opponent, _seconds, msg.value);
+        gameRuleSets[_hash] = _ruleSet;
+
+        emit LogRuleSetGame(_hash, _ruleSet);
+    }
+
+    /**
+     * Create a game where the opponent commits his move as well instead of sending it in clear, so the creator
+     * cannot see the outcome before revealing. Once the opponent committed, both reveal in any order before the
+     * same deadline, and whoever does not reveal loses the pot to the other. If neither does, the bets go back.
+     */
+    function newHiddenGame(bytes32 _hash, address _opponent, uint _seconds) public payable whenNotPaused {
+        requireOpponentAddress(_opponent);
+        createGame(_hash, _opponent, _seconds, msg.value);
+        hiddenMoves[_hash].enabled = true;
+
+        emit LogHiddenGame(_hash);
+    }
+
+    /**
+     * Create a game with a bet in `_token`, the contract must be approved to take `_amount` of it. The bet is what
+     * the contract received, less than `_amount` with a token taking a fee on transfers.
+     */
+    function newTokenGame(bytes32 _hash, address _opponent, uint _seconds, address _token, uint _amount) public whenNotPaused {
+        requireOpponentAddress(_opponent);
+        require(_token != address(0), "Not a valid token");
+        createGame(_hash, _opponent, _seconds, pullTokens(_token, _amount));
+        games[_hash].token = _token;
+
+        emit LogTokenGame(_hash, _token);
+    }
+
+    /**
+     * Takes `_amount` of `_token` from the sender, returns what the contract received
+     */
+    function pullTokens(address _token, uint _amount) internal returns(uint) {
+        IERC20 token = IERC20(_token);
+        uint balance = token.balanceOf(address(this));
+        token.safeTransferFrom(sender(), address(this), _amount);
+        return token.balanceOf(address(this)).sub(balance);
+    }
+
+    function createGame(bytes32 _hash, address _opponent, uint _seconds, uint _bet) internal {
         require(_hash != bytes32(0), "Not a valid hash");
-        require(_opponent != address(0), "Not a valid creator address");
         require(_seconds > 0, "You must set a number of seconds to expiration");
         require(_seconds <= maxExpirationSeconds, "Cannot set more than maxExpirationDays");
-        require(msg.value > 0, "You must send something to bet");
+        require(_bet > 0, "You must send something to bet");
         require(games[_hash].expiration == 0, "You already used this password in this contract");
 
         uint expiration = now.add(_seconds);
+        address creator = sender();
+        uint32 revealSeconds = revealWindow(creator);
+        requireRevealWindow(revealSeconds);
 
-        games[_hash] = Game({
-            creator: msg.sender,
-            opponent: _opponent,
-            bet: msg.value,
-            expiration: expiration,
-            opponentMove: Move.Unset
-        });
+        // Field by field, cheaper than a Game literal, the other fields are still empty as a hash is never used twice
+        Game storage game = games[_hash];
+        game.creator = creator;
+        game.opponent = _opponent;
+        game.bet = _bet;
+        game.expiration = expiration;
+        game.feeBasisPoints = feeBasisPoints;
+        gameRevealSeconds[_hash] = revealSeconds;
 
-        emit LogNewGame(_hash, msg.sender, _opponent, msg.value, expiration);
+        emit LogNewGame(_hash, creator, _opponent, _bet, expiration, revealSeconds);
+    }
+
+    /**
+     * Takes from the balance of the sender what he did not send of the `_bet`
+     */
+    function payFromBalance(bytes32 _hash, uint _bet) internal {
+        require(msg.value <= _bet, "You sent more than the bet");
+        uint fromBalance = _bet - msg.value;
+        address player = sender();
+        require(balances[player] >= fromBalance, "Not enough balance to bet");
+        balances[player] = balances[player].sub(fromBalance);
+        emit LogBetFromBalance(_hash, player, fromBalance);
+    }
+
+    /**
+     * First one paying the right amount joins the open game, with his move hidden so the creator cannot see it
+     * pending and join himself from another address to get away from a losing game
+     */
+    function joinOpenGame(bytes32 _hash, bytes32 _opponentHash) public payable whenNotPaused {
+        join(_hash, _opponentHash, msg.value);
+    }
+
+    /**
+     * Same as joinOpenGame, paying the bet with what is sent and the rest from the balance of who joins
+     */
+    function joinOpenGameFromBalance(bytes32 _hash, bytes32 _opponentHash) public payable whenNotPaused {
+        uint bet = games[_hash].bet;
+        join(_hash, _opponentHash, bet);
+        payFromBalance(_hash, bet);
+    }
+
+    function join(bytes32 _hash, bytes32 _opponentHash, uint _paid) internal {
+        requireOpponentHash(_opponentHash);
+
+        Game storage game = games[_hash];
+        requirePlaying(game);
+        require(game.opponent == address(0), "Game already joined or not open");
+        address opponent = sender();
+        require(game.creator != opponent, "You cannot join your own game");
+        requireBet(game, _paid);
+
+        game.opponent = opponent;
+        game.opponentHash = _opponentHash;
+        game.expiration = revealDeadline(_hash);
+
+        emit LogJoinOpenGame(_hash, opponent, game.expiration);
+    }
+
+    /**
+     * Opponent of a hidden moves game pays the bet and commits his move, both players then have the reveal window of
+     * the game to reveal
+     */
+    function commitOpponentMove(bytes32 _hash, bytes32 _opponentHash) public payable whenNotPaused {
+        requireOpponentHash(_opponentHash);
+
+        Game storage game = games[_hash];
+        require(hiddenMoves[_hash].enabled, "Not a hidden moves game");
+        requireOpponent(game);
+        requirePlaying(game);
+        require(game.opponentHash == bytes32(0), "Move already set");
+        requireBet(game, msg.value);
+
+        game.opponentHash = _opponentHash;
+        game.expiration = revealDeadline(_hash);
+
+        emit LogOpponentCommit(_hash, game.opponent, game.expiration);
+    }
+
+    /**
+     * Who joined an open game shows his committed move, from then on the game goes on as any other. In a hidden
+     * moves game the deadline stays, and the game is settled if the creator revealed first.
+     */
+    function revealOpponentMove(bytes32 _hash, uint8 _move, bytes32 _password) public whenNotPaused {
+        Game storage game = games[_hash];
+        requireOpponent(game);
+        requirePlaying(game);
+        requireNoOpponentMove(game);
+        CommitReveal.requireCommitted(game.opponentHash, generateOpponentHash(_hash, _move, _password));
+
+        game.opponentMove = _move;
+        HiddenMoves storage hidden = hiddenMoves[_hash];
+        if (!hidden.enabled) {
+            game.expiration = revealDeadline(_hash);
+        }
+
+        emit LogOpponentMove(_hash, _move, game.expiration);
+
+        if (hidden.creatorMove != noMove) {
+            settle(_hash, hidden.creatorMove);
+        }
     }
 
     /**
      * Opponent will do his move while paying the right amount
      */
-    function setOpponentMove(bytes32 _hash, Move _move) public payable whenNotPaused {
-        require(_hash != bytes32(0), "Not a valid game hash");
-        require(_move != Move.Unset, "Not a valid move");
+    function setOpponentMove(bytes32 _hash, uint8 _move) public payable whenNotPaused {
+        playOpponentMove(_hash, _move, msg.value, address(0));
+    }
+
+    /**
+     * Same as setOpponentMove, paying the bet with what is sent and the rest from the balance of the opponent
+     */
+    function setOpponentMoveFromBalance(bytes32 _hash, uint8 _move) public payable whenNotPaused {
+        uint bet = games[_hash].bet;
+        playOpponentMove(_hash, _move, bet, address(0));
+        payFromBalance(_hash, bet);
+    }
+
+    /**
+     * Same as setOpponentMove in a token game, the contract must be approved to take `_amount` of the token. What
+     * the contract receives above the bet goes to the token balance of the opponent.
+     */
+    function setOpponentMoveWithTokens(bytes32 _hash, uint8 _move, uint _amount) public whenNotPaused {
+        Game storage game = games[_hash];
+        address token = game.token;
+        require(token != address(0), "Not a token game");
+        uint received = pullTokens(token, _amount);
+        require(received >= game.bet, "You must send the right amount for this game");
+        playOpponentMove(_hash, _move, game.bet, token);
+        credit(token, game.opponent, received - game.bet);
+    }
+
+    function playOpponentMove(bytes32 _hash, uint8 _move, uint _paid, address _token) internal {
+        requireGameHash(_hash);
+        requireGameMove(_hash, _move);
 
         Game storage game = games[_hash];
-        require(game.opponent == msg.sender, "You are not the right opponent for the game");
-        require(game.bet > 0, "Game already claimed");
-        require(game.bet == msg.value, "You must send the right amount for this game");
-        require(now <= game.expiration, "Game already expired");
-        require(game.opponentMove == Move.Unset, "Move already set");
+        requireOpponent(game);
+        require(game.opponentHash == bytes32(0), "Open game, reveal your committed move instead");
+        require(!hiddenMoves[_hash].enabled, "Hidden moves game, commit your move instead");
+        require(game.rounds == 0, "Match started, play the next rounds with playRound");
+        require(game.token == _token, "Wrong currency for this game");
+        requirePlaying(game);
+        requireBet(game, _paid);
+        requireNoOpponentMove(game);
 
         game.opponentMove = _move;
-        game.expiration = now.add(1 days);  // New expiry is one day to avoid last moment play and claimAfterExpiration
+        game.expiration = revealDeadline(_hash);  // New expiry to avoid last moment play and claimAfterExpiration
 
         emit LogOpponentMove(_hash, _move, game.expiration);
     }
 
     /**
      * Creator reveals the result by showing his move, he could avoid showing his move but then opponent can
-     * claim bet after expiry.
+     * claim bet after expiry. For open games `_opponent` is the zero address. In a hidden moves game the creator
+     * can reveal before the opponent, the move is then kept until the opponent reveals his.
      */
-    function revealResult(address _opponent, Move _creatorMove, bytes32 _creatorPassword) public whenNotPaused {
-        bytes32 hash = generateHash(_opponent, _creatorMove, _creatorPassword);
+    function revealResult(address _opponent, uint8 _creatorMove, bytes32 _creatorPassword) public whenNotPaused {
+        bytes32 hash = creatorHash(_opponent, _creatorMove, _creatorPassword);
+        requireMove(isGameMove(hash, _creatorMove));
         Game storage game = games[hash];
 
-        uint bet = game.bet;
-        Move opponentMove = game.opponentMove;
+        requirePlaying(game);
+
+        HiddenMoves storage hidden = hiddenMoves[hash];
+        if (hidden.enabled && game.opponentMove == noMove) {
+            requireOpponentMoved(game.opponentHash != bytes32(0));
+            require(hidden.creatorMove == noMove, "Move already revealed");
+            hidden.creatorMove = _creatorMove;
+            emit LogCreatorMove(hash, _creatorMove);
+            return;
+        }
+
+        requireOpponentMoved(game.opponentMove > noMove);
+
+        if (game.winsNeeded > 0) {
+            require(game.rounds == 0, "Reveal the next rounds with revealRound");
+            settleRound(hash, _creatorMove);
+            return;
+        }
+
+        settle(hash, _creatorMove);
+    }
 
-        require(bet > 0, "Game already claimed");
-        require(now <= game.expiration, "Game already expired");
-        require(opponentMove > Move.Unset, "Opponent did not set his move yet");
+    /**
+     * Pays the winner of a game both moves of which are known, or gives back the bets of a draw
+     */
+    function settle(bytes32 _hash, uint8 _creatorMove) internal {
+        Game storage game = games[_hash];
+        address creator = game.creator;
+        address opponent = game.opponent;
+
+        uint bet = game.bet;
+        uint8 opponentMove = game.opponentMove;
 
         // Set bet to 0 so cannot reveal twice
         game.bet = 0;
@@ -113,54 +501,530 @@ contract RockPaperScissors is Pausable {
             // Draw
             creatorAmount = bet;
             opponentAmount = bet;
-        } else if (_creatorMove == Move.Rock && opponentMove == Move.Scissors || _creatorMove == Move.Scissors && opponentMove == Move.Paper || _creatorMove == Move.Paper && opponentMove == Move.Rock) {
+        } else if (beats(_hash, _creatorMove, opponentMove)) {
             // Creator wins
-            creatorAmount = bet.add(bet);
+            creatorAmount = takeFee(_hash, bet.add(bet));
         } else {
             // Opponent wins
-            opponentAmount = bet.add(bet);
+            opponentAmount = takeFee(_hash, bet.add(bet));
+        }
+
+        credit(game.token, creator, creatorAmount);
+        credit(game.token, opponent, opponentAmount);
+
+        emit LogRevealResult(_hash, creator, opponent, creatorAmount, opponentAmount);
+    }
+
+    /**
+     * True if `_move` wins against `_other` in the rule set of the game
+     */
+    function beats(bytes32 _hash, uint8 _move, uint8 _other) internal view returns(bool) {
+        return CommitReveal.beats(ruleSets[gameRuleSets[_hash]].beats, _move, _other);
+    }
+
+    /**
+     * True if `_move` is one of the moves of `_ruleSet`, false for an unknown rule set
+     */
+    function isMove(uint8 _ruleSet, uint8 _move) public view returns(bool) {
+        return CommitReveal.isMove(ruleSets[_ruleSet].moveCount, _move);
+    }
+
+    function isGameMove(bytes32 _hash, uint8 _move) internal view returns(bool) {
+        return isMove(gameRuleSets[_hash], _move);
+    }
+
+    /**
+     * The names of the moves of `_ruleSet`, the first one is move 1
+     */
+    function ruleSetMoveNames(uint8 _ruleSet) public view returns(bytes32[] memory) {
+        return ruleSets[_ruleSet].moveNames;
+    }
+
+    /**
+     * Owner adds a rule set of an odd number of moves up to maxRuleSetMoves, each beating exactly half of the others
+     */
+    function registerRuleSet(bytes32 _name, bytes32[] memory _moveNames, uint _beats) public onlyOwner {
+        uint moveCount = _moveNames.length;
+        require(moveCount >= 3 && moveCount <= maxRuleSetMoves && moveCount % 2 == 1, "A rule set has an odd number of moves up to maxRuleSetMoves");
+        require(ruleSetCount < uint8(-1), "Too many rule sets");
+        for (uint8 move = 1; move <= moveCount; move++) {
+            uint wins;
+            for (uint8 other = 1; other <= moveCount; other++) {
+                bool win = CommitReveal.beats(_beats, move, other);
+                bool loss = CommitReveal.beats(_beats, other, move);
+                requireHalfBeaten(move == other ? !win : win != loss);
+                if (win) {
+                    wins++;
+                }
+            }
+            requireHalfBeaten(wins == moveCount / 2);
+        }
+        addRuleSet(_name, _moveNames, _beats);
+    }
+
+    /**
+     * Stores a rule set, checked by registerRuleSet, the built-in ones are known to be right
+     */
+    function addRuleSet(bytes32 _name, bytes32[] memory _moveNames, uint _beats) internal {
+        uint8 moveCount = uint8(_moveNames.length);
+        uint8 ruleSet = ruleSetCount++;
+        ruleSets[ruleSet] = RuleSet({
+            moveCount: moveCount,
+            beats: _beats,
+            name: _name,
+            moveNames: _moveNames
+        });
+
+        emit LogRuleSet(ruleSet, _name, moveCount);
+    }
+
+    /**
+     * Creator commits his move for the next round of a match, the opponent then has the reveal window to play it
+     */
+    function commitRound(bytes32 _hash, bytes32 _roundHash) public whenNotPaused {
+        require(_roundHash != bytes32(0), "Not a valid round hash");
+
+        Game storage game = games[_hash];
+        require(game.creator == sender(), "Only the creator can commit a round");
+        requirePlaying(game);
+        require(game.rounds > 0 && game.roundHash == bytes32(0), "No round to commit now");
+
+        game.roundHash = _roundHash;
+        game.expiration = revealDeadline(_hash);
+
+        emit LogRoundCommit(_hash, game.rounds + 1, game.expiration);
+    }
+
+    /**
+     * Opponent plays the round committed by the creator, the bet was paid with the first round
+     */
+    function playRound(bytes32 _hash, uint8 _move) public whenNotPaused {
+        requireGameMove(_hash, _move);
+
+        Game storage game = games[_hash];
+        requireOpponent(game);
+        requirePlaying(game);
+        require(game.roundHash != bytes32(0), "Creator did not commit the round yet");
+        requireNoOpponentMove(game);
+
+        game.opponentMove = _move;
+        game.expiration = revealDeadline(_hash);
+
+        emit LogOpponentMove(_hash, _move, game.expiration);
+    }
+
+    /**
+     * Creator reveals his move of a round after the first, revealResult reveals the first
+     */
+    function revealRound(bytes32 _hash, uint8 _creatorMove, bytes32 _creatorPassword) public whenNotPaused {
+        Game storage game = games[_hash];
+        requirePlaying(game);
+        CommitReveal.requireCommitted(game.roundHash, generateRoundHash(_hash, game.rounds + 1, _creatorMove, _creatorPassword));
+        requireOpponentMoved(game.opponentMove > noMove);
+
+        settleRound(_hash, _creatorMove);
+    }
+
+    /**
+     * Counts the round, a draw is played again, and pays the pot to the balance of who reached the wins needed.
+     * Otherwise the creator has the reveal window to commit the next round.
+     */
+    function settleRound(bytes32 _hash, uint8 _creatorMove) internal {
+        Game storage game = games[_hash];
+        uint8 opponentMove = game.opponentMove;
+
+        game.rounds++;
+        if (beats(_hash, _creatorMove, opponentMove)) {
+            game.creatorWins++;
+        } else if (beats(_hash, opponentMove, _creatorMove)) {
+            game.opponentWins++;
         }
+        game.opponentMove = noMove;
+        game.roundHash = bytes32(0);
 
-        balances[msg.sender] = balances[msg.sender].add(creatorAmount);
-        balances[_opponent] = balances[_opponent].add(opponentAmount);
+        bool over = game.creatorWins == game.winsNeeded || game.opponentWins == game.winsNeeded;
+        game.expiration = over ? game.expiration : revealDeadline(_hash);
+        emit LogRoundResult(_hash, game.rounds, _creatorMove, opponentMove, game.creatorWins, game.opponentWins, game.expiration);
+        if (!over) {
+            return;
+        }
 
-        emit LogRevealResult(hash, msg.sender, _opponent, creatorAmount, opponentAmount);
+        uint pot = takeFee(_hash, game.bet.add(game.bet));
+        game.bet = 0;
+        uint creatorAmount;
+        uint opponentAmount;
+        if (game.creatorWins == game.winsNeeded) {
+            creatorAmount = pot;
+            credit(game.token, game.creator, pot);
+        } else {
+            opponentAmount = pot;
+            credit(game.token, game.opponent, pot);
+        }
+
+        emit LogRevealResult(_hash, game.creator, game.opponent, creatorAmount, opponentAmount);
+    }
+
+    /**
+     * Keeps the fee of the game out of what the winner gets, returns the rest
+     */
+    function takeFee(bytes32 _hash, uint _amount) internal returns(uint) {
+        Game storage game = games[_hash];
+        uint fee = _amount.mul(game.feeBasisPoints).div(10000);
+        if (fee == 0) {
+            return _amount;
+        }
+        if (game.token == address(0)) {
+            feeBalance = feeBalance.add(fee);
+        } else {
+            tokenFeeBalances[game.token] = tokenFeeBalances[game.token].add(fee);
+        }
+        emit LogFee(_hash, fee);
+        return _amount.sub(fee);
+    }
+
+    /**
+     * Owner sets the fee of the games created from now on, in basis points up to maxFeeBasisPoints
+     */
+    function setFee(uint16 _feeBasisPoints) public onlyOwner {
+        require(_feeBasisPoints <= maxFeeBasisPoints, "Fee above maxFeeBasisPoints");
+        feeBasisPoints = _feeBasisPoints;
+        emit LogFeeChanged(msg.sender, _feeBasisPoints);
+    }
+
+    /**
+     * Owner sets how far away the expiration of a new game can be and the bounds of the reveal windows, which must
+     * allow defaultRevealSeconds. The games already created keep theirs.
+     */
+    function setExpirationPolicy(uint32 _maxExpirationSeconds, uint32 _minRevealSeconds, uint32 _maxRevealSeconds) public onlyOwner {
+        require(_maxExpirationSeconds > 0 && _minRevealSeconds <= defaultRevealSeconds && defaultRevealSeconds <= _maxRevealSeconds, "Not a valid expiration policy");
+        maxExpirationSeconds = _maxExpirationSeconds;
+        minRevealSeconds = _minRevealSeconds;
+        maxRevealSeconds = _maxRevealSeconds;
+        emit LogExpirationPolicyChanged(msg.sender, _maxExpirationSeconds, _minRevealSeconds, _maxRevealSeconds);
+    }
+
+    /**
+     * Creator chooses the reveal window of the games he creates from now on, within the bounds of the owner, or
+     * 0 for defaultRevealSeconds. Once the opponent moved, or a round is committed, the next step is due within it.
+     */
+    function setRevealWindow(uint32 _seconds) public {
+        address creator = sender();
+        revealWindows[creator] = _seconds;
+        requireRevealWindow(revealWindow(creator));
+        emit LogRevealWindow(creator, _seconds);
+    }
+
+    /**
+     * @return the reveal window of the next game of `_creator`
+     */
+    function revealWindow(address _creator) public view returns(uint32 window) {
+        window = revealWindows[_creator];
+        if (window == 0) {
+            window = defaultRevealSeconds;
+        }
+    }
+
+    /**
+     * Also checked when creating a game, in case the owner changed the bounds since the creator chose
+     */
+    function requireRevealWindow(uint32 _seconds) internal view {
+        require(_seconds >= minRevealSeconds && _seconds <= maxRevealSeconds, "Reveal window out of bounds");
+    }
+
+    function revealDeadline(bytes32 _hash) internal view returns(uint) {
+        return CommitReveal.deadline(gameRevealSeconds[_hash]);
+    }
+
+    /**
+     * Owner withdraws the fees, paused or not as they are not owed to the players
+     */
+    function withdrawFees() public onlyOwner {
+        uint toWithdraw = feeBalance;
+        requireFees(toWithdraw);
+        emit LogWithdrawFees(msg.sender, toWithdraw);
+        feeBalance = 0;
+        msg.sender.transfer(toWithdraw);
+    }
+
+    /**
+     * Owner withdraws the fees taken in `_token`
+     */
+    function withdrawTokenFees(address _token) public onlyOwner {
+        uint toWithdraw = tokenFeeBalances[_token];
+        requireFees(toWithdraw);
+        emit LogWithdrawTokenFees(_token, msg.sender, toWithdraw);
+        tokenFeeBalances[_token] = 0;
+        IERC20(_token).safeTransfer(msg.sender, toWithdraw);
+    }
+
+    /**
+     * Checks shared by the functions playing games, in functions to keep the contract under the size limit
+     */
+    function requireOpponent(Game storage _game) internal view {
+        require(_game.opponent == sender(), "You are not the right opponent for the game");
+    }
+
+    function requireOpponentMoved(bool _moved) internal pure {
+        require(_moved, "Opponent did not set his move yet");
+    }
+
+    function requireOpponentAbsent(bool _absent) internal pure {
+        require(_absent, "Opponent already showed up");
+    }
+
+    function requireNotClaimed(uint _bet) internal pure {
+        require(_bet > 0, "Game already claimed");
+    }
+
+    function requireBalance(uint _toWithdraw) internal pure {
+        require(_toWithdraw > 0, "There is no balance to withdraw");
+    }
+
+    function requireFees(uint _toWithdraw) internal pure {
+        require(_toWithdraw > 0, "There are no fees to withdraw");
+    }
+
+    function requireHalfBeaten(bool _valid) internal pure {
+        require(_valid, "Each move must beat exactly half of the others");
+    }
+
+    function requireOpponentHash(bytes32 _opponentHash) internal pure {
+        require(_opponentHash != bytes32(0), "Not a valid opponent hash");
+    }
+
+    function requireMove(bool _valid) internal pure {
+        require(_valid, "Wrong move");
+    }
+
+    function requireGameMove(bytes32 _hash, uint8 _move) internal view {
+        require(isGameMove(_hash, _move), "Not a valid move");
+    }
+
+    function requireBet(Game storage _game, uint _paid) internal view {
+        require(_game.bet == _paid, "You must send the right amount for this game");
+    }
+
+    function requireNoOpponentMove(Game storage _game) internal view {
+        require(_game.opponentMove == noMove, "Move already set");
+    }
+
+    function requireCancellable(Game storage _game, address _player) internal view {
+        require(_game.creator == _player, "Only the creator can cancel the game");
+        requireOpponentAbsent(!opponentPaid(_game));
+    }
+
+    /**
+     * The game was neither settled nor let expire, shared by the functions playing it
+     */
+    function requirePlaying(Game storage _game) internal view {
+        requireNotClaimed(_game.bet);
+        require(now <= _game.expiration, "Game already expired");
+    }
+
+    /**
+     * True once the opponent put his bet in the game
+     */
+    function opponentPaid(Game storage _game) internal view returns(bool) {
+        return _game.opponentMove != noMove || _game.opponentHash != bytes32(0) || _game.rounds > 0;
+    }
+
+    /**
+     * Adds `_amount` to the balance of `_who`, in ether or in `_token`
+     */
+    function credit(address _token, address _who, uint _amount) internal {
+        if (_token == address(0)) {
+            balances[_who] = balances[_who].add(_amount);
+        } else {
+            tokenBalances[_token][_who] = tokenBalances[_token][_who].add(_amount);
+        }
+    }
+
+    /**
+     * Sends `_amount` to `_to`, in ether or in `_token`
+     */
+    function pay(address _token, address payable _to, uint _amount) internal {
+        if (_token == address(0)) {
+            _to.transfer(_amount);
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
     }
 
     /**
      * Withdraw the funds
      */
     function withdrawFunds() public whenNotPaused {
-        uint toWithdraw = balances[msg.sender];
-        require(toWithdraw > 0, "There is no balance to withdraw");
-        emit LogWithdraw(msg.sender, toWithdraw);
-        balances[msg.sender] = 0;
-        msg.sender.transfer(toWithdraw);
+        address payable player = sender();
+        emit LogWithdraw(player, withdrawBalance(player));
+    }
+
+    function withdrawBalance(address payable _player) internal returns(uint) {
+        uint toWithdraw = balances[_player];
+        requireBalance(toWithdraw);
+        balances[_player] = 0;
+        _player.transfer(toWithdraw);
+        return toWithdraw;
+    }
+
+    /**
+     * Moves `_amount` of the balance of the sender to the balance of `_to`, how a relayer gets repaid for the gas
+     */
+    function transferBalance(address _to, uint _amount) public whenNotPaused {
+        address from = sender();
+        require(balances[from] >= _amount, "Not enough balance to transfer");
+        balances[from] = balances[from].sub(_amount);
+        balances[_to] = balances[_to].add(_amount);
+        emit LogTransferBalance(from, _to, _amount);
+    }
+
+    /**
+     * Owner sets the contract relaying the signed moves of the players, see RockPaperScissorsForwarder. The empty
+     * address turns relaying off.
+     */
+    function setForwarder(address _forwarder) public onlyOwner {
+        forwarder = _forwarder;
+        emit LogForwarderChanged(msg.sender, _forwarder);
+    }
+
+    /**
+     * Who the call is from: msg.sender, or the player the forwarder appended to the call data once it checked their
+     * signature. The functions the forwarder calls use it, creating a game and joining it from the balance,
+     * revealing, withdrawing and transferBalance, and so do cancelling and claiming so they work the same relayed.
+     */
+    function sender() internal view returns(address payable player) {
+        player = msg.sender;
+        if (msg.sender == forwarder && msg.data.length >= 20) {
+            assembly {
+                player := div(calldataload(sub(calldatasize, 20)), 0x1000000000000000000000000)
+            }
+        }
     }
 
     /**
-     * Creator and opponent can claim the price after expiration.
+     * Withdraw the funds in `_token`
+     */
+    function withdrawTokens(address _token) public whenNotPaused {
+        address player = sender();
+        emit LogWithdrawTokens(_token, player, withdrawTokenBalance(_token, player));
+    }
+
+    function withdrawTokenBalance(address _token, address _player) internal returns(uint) {
+        uint toWithdraw = tokenBalances[_token][_player];
+        requireBalance(toWithdraw);
+        tokenBalances[_token][_player] = 0;
+        IERC20(_token).safeTransfer(_player, toWithdraw);
+        return toWithdraw;
+    }
+
+    /**
+     * Creator and opponent can claim the price after expiration. In a match whoever let a round expire loses the pot.
+     * In a hidden moves game whoever did not reveal loses the pot, if both did not the bets go back.
      */
     function claimAfterExpiration(bytes32 _hash) public whenNotPaused {
         Game storage game = games[_hash];
-        require(msg.sender == game.opponent || msg.sender == game.creator, "You are not allowed to claim");
+        address payable player = sender();
+        require(player == game.opponent || player == game.creator, "You are not allowed to claim");
         require(game.bet > 0, "Game has been already claimed");
         require(now > game.expiration, "Game has not been expired yet");
 
-        uint toWithdraw = game.bet;
+        emit LogClaimAfterExpiration(_hash, player, payOutExpired(_hash, game, player));
+    }
+
+    /**
+     * Closes an expired game and pays `_player` what he is owed, shared by claimAfterExpiration and cancelGame
+     */
+    function payOutExpired(bytes32 _hash, Game storage _game, address payable _player) internal returns(uint) {
+        uint bet = _game.bet;
+        uint toWithdraw = bet;
+        _game.bet = 0;
+
+        HiddenMoves storage hidden = hiddenMoves[_hash];
+        if (hidden.enabled && _game.opponentHash != bytes32(0) && _game.opponentMove == noMove && hidden.creatorMove == noMove) {
+            // Nobody revealed, the claimer gets his bet back and the other one finds his in his balance
+            credit(_game.token, _player == _game.creator ? _game.opponent : _game.creator, bet);
+        } else if (_player == _game.creator) {
+            // In case opponent did not show up, or the creator cancelled
+            requireOpponentAbsent(_game.opponentMove == noMove);
+            require(_game.rounds == 0 || _game.roundHash != bytes32(0), "You did not commit the next round");
+            if (opponentPaid(_game)) {
+                // The opponent committed his move but did not reveal it, or left the match, he loses his bet
+                toWithdraw = takeFee(_hash, bet.add(bet));
+            }
+        } else {
+            // In case opponent played but creator did not reveal, or did not commit the next round of the match
+            require(_game.opponentMove != noMove || _game.rounds > 0 && _game.roundHash == bytes32(0), "You did not show up");
+            toWithdraw = takeFee(_hash, bet.add(bet));
+        }
+        pay(_game.token, _player, toWithdraw);
+        return toWithdraw;
+    }
+
+    /**
+     * Creator asks to cancel a game nobody joined. It only takes effect after cancelDelaySeconds, the opponent
+     * can still play until then, so seeing his move pending does not let the creator get away from a losing game.
+     */
+    function requestCancel(bytes32 _hash) public whenNotPaused {
+        Game storage game = games[_hash];
+        requireCancellable(game, sender());
+        requirePlaying(game);
+        require(!game.cancelRequested, "Cancel already requested");
+
+        game.cancelRequested = true;
+        uint cancelAfter = now.add(cancelDelaySeconds);
+        if (cancelAfter < game.expiration) {
+            game.expiration = cancelAfter;
+        }
+
+        emit LogCancelRequested(_hash, game.expiration);
+    }
+
+    /**
+     * Creator gets his bet back once the cancel delay passed without the opponent showing up.
+     */
+    function cancelGame(bytes32 _hash) public whenNotPaused {
+        Game storage game = games[_hash];
+        address payable creator = sender();
+        requireCancellable(game, creator);
+        requireNotClaimed(game.bet);
+        require(game.cancelRequested, "Cancel not requested");
+        require(now > game.expiration, "Cancel delay not passed yet");
+
+        emit LogCancelGame(_hash, creator, payOutExpired(_hash, game, creator));
+    }
+
+    /**
+     * Once killed, gives back the bets of a game that was not settled: both if the opponent paid, the creator's
+     * otherwise. Anyone can call it, the bets go to the balances of the players, see emergencyWithdraw.
+     */
+    function emergencyRefund(bytes32 _hash) public whenKilled {
+        Game storage game = games[_hash];
+        uint bet = game.bet;
+        requireNotClaimed(bet);
+        game.bet = 0;
 
-        if (msg.sender == game.creator) {
-            // In case opponent did not show up
-            require(game.opponentMove == Move.Unset, "Opponent already showed up");
-            game.bet = 0;
-            msg.sender.transfer(toWithdraw);
-        } else if (msg.sender == game.opponent) {
-            // In case opponent played but creator did not reveal
-            game.bet = 0;
-            toWithdraw = toWithdraw.add(toWithdraw);
-            msg.sender.transfer(toWithdraw);
+        uint opponentAmount;
+        if (opponentPaid(game)) {
+            opponentAmount = bet;
+            credit(game.token, game.opponent, bet);
         }
+        credit(game.token, game.creator, bet);
 
-        emit LogClaimAfterExpiration(_hash, msg.sender, toWithdraw);
+        emit LogEmergencyRefund(_hash, game.creator, game.opponent, bet, opponentAmount);
+    }
+
+    /**
+     * withdrawFunds for when the contract is killed.
+     */
+    function emergencyWithdraw() public whenKilled {
+        address payable player = sender();
+        emit LogEmergencyWithdraw(player, withdrawBalance(player));
+    }
+
+    /**
+     * withdrawTokens for when the contract is killed.
+     */
+    function emergencyWithdrawTokens(address _token) public whenKilled {
+        address player = sender();
+        emit LogEmergencyWithdrawTokens(_token, player, withdrawTokenBalance(_token, player));
     }
-}
\ No newline at end of file
+}
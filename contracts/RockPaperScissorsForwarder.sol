@@ -0,0 +1,137 @@
+pragma solidity >=0.4.21 <0.6.0;
+
+import "./RockPaperScissors.sol";
+
+
+/**
+ * Lets players without ether for gas play with signed moves. A relayer sends the EIP-712 signature of the player, this
+ * contract checks it and calls RockPaperScissors in the name of the player, appended to the call data as
+ * RockPaperScissors.sender expects from its forwarder. The bets come from the balance of the player in
+ * RockPaperScissors, and so does the fee repaying the relayer, credited to the balance of whoever sent the transaction.
+ */
+contract RockPaperScissorsForwarder {
+
+    bytes32 constant public domainTypeHash = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 constant public newGameTypeHash = keccak256(
+        "NewGame(bytes32 hash,address opponent,uint256 seconds,uint256 bet,uint256 fee,uint256 nonce,uint256 deadline)");
+    bytes32 constant public setOpponentMoveTypeHash = keccak256(
+        "SetOpponentMove(bytes32 hash,uint8 move,uint256 fee,uint256 nonce,uint256 deadline)");
+    bytes32 constant public revealResultTypeHash = keccak256(
+        "RevealResult(address opponent,uint8 creatorMove,bytes32 creatorPassword,uint256 fee,uint256 nonce,uint256 deadline)");
+    bytes32 constant public withdrawFundsTypeHash = keccak256(
+        "WithdrawFunds(uint256 fee,uint256 nonce,uint256 deadline)");
+
+    RockPaperScissors public rockPaperScissors;
+    uint public chainId;
+    bytes32 public domainSeparator;
+    mapping(address => uint) public nonces;  // of the next signature of each player, so none can be replayed
+
+    event LogRelayed(address indexed player, address indexed relayer, uint nonce, uint fee);
+
+    /**
+     * The chain id is passed in as there is no opcode for it before Istanbul
+     */
+    constructor (RockPaperScissors _rockPaperScissors, uint _chainId) public {
+        require(address(_rockPaperScissors) != address(0), "Not a valid RockPaperScissors address");
+        rockPaperScissors = _rockPaperScissors;
+        chainId = _chainId;
+        domainSeparator = keccak256(abi.encode(
+            domainTypeHash,
+            keccak256("RockPaperScissors"),
+            keccak256("1"),
+            _chainId,
+            address(this)
+        ));
+    }
+
+    /**
+     * Creates the game signed by `_player`, betting from his balance as newGameFromBalance
+     */
+    function newGame(address _player, bytes32 _hash, address _opponent, uint _seconds, uint _bet, uint _fee,
+            uint _deadline, bytes memory _signature) public {
+        verify(_player, newGameStructHash(_player, _hash, _opponent, _seconds, _bet, _fee, _deadline), _deadline, _fee,
+            _signature);
+        forward(_player, abi.encodeWithSelector(rockPaperScissors.newGameFromBalance.selector, _hash, _opponent, _seconds, _bet));
+        payRelayer(_player, _fee);
+    }
+
+    function newGameStructHash(address _player, bytes32 _hash, address _opponent, uint _seconds, uint _bet, uint _fee,
+            uint _deadline) internal view returns(bytes32) {
+        return keccak256(abi.encode(newGameTypeHash, _hash, _opponent, _seconds, _bet, _fee, nonces[_player], _deadline));
+    }
+
+    /**
+     * Plays the move signed by `_player`, betting from his balance as setOpponentMoveFromBalance
+     */
+    function setOpponentMove(address _player, bytes32 _hash, uint8 _move, uint _fee, uint _deadline,
+            bytes memory _signature) public {
+        verify(_player, keccak256(abi.encode(setOpponentMoveTypeHash, _hash, _move, _fee, nonces[_player], _deadline)),
+            _deadline, _fee, _signature);
+        forward(_player, abi.encodeWithSelector(rockPaperScissors.setOpponentMoveFromBalance.selector, _hash, _move));
+        payRelayer(_player, _fee);
+    }
+
+    /**
+     * Reveals the result of a game `_player` created, the fee can come from what he just won
+     */
+    function revealResult(address _player, address _opponent, uint8 _creatorMove, bytes32 _creatorPassword, uint _fee,
+            uint _deadline, bytes memory _signature) public {
+        verify(_player, keccak256(abi.encode(revealResultTypeHash, _opponent, _creatorMove, _creatorPassword, _fee,
+            nonces[_player], _deadline)), _deadline, _fee, _signature);
+        forward(_player, abi.encodeWithSelector(rockPaperScissors.revealResult.selector, _opponent, _creatorMove, _creatorPassword));
+        payRelayer(_player, _fee);
+    }
+
+    /**
+     * Pays the relayer then sends the rest of the balance of `_player` to his address
+     */
+    function withdrawFunds(address _player, uint _fee, uint _deadline, bytes memory _signature) public {
+        verify(_player, keccak256(abi.encode(withdrawFundsTypeHash, _fee, nonces[_player], _deadline)), _deadline, _fee, _signature);
+        payRelayer(_player, _fee);
+        forward(_player, abi.encodeWithSelector(rockPaperScissors.withdrawFunds.selector));
+    }
+
+    /**
+     * Checks that `_player` signed the struct of `_structHash` with his current nonce, and uses the nonce up
+     */
+    function verify(address _player, bytes32 _structHash, uint _deadline, uint _fee, bytes memory _signature) internal {
+        require(now <= _deadline, "Signature expired");
+        require(_signature.length == 65, "Not a valid signature");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator, _structHash));
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == _player, "Signature does not match the player");
+
+        emit LogRelayed(_player, msg.sender, nonces[_player], _fee);
+        nonces[_player]++;
+    }
+
+    /**
+     * Calls RockPaperScissors in the name of `_player`, with the same revert reason if it fails
+     */
+    function forward(address _player, bytes memory _data) internal {
+        (bool success, bytes memory result) = address(rockPaperScissors).call(abi.encodePacked(_data, _player));
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    function payRelayer(address _player, uint _fee) internal {
+        if (_fee > 0) {
+            forward(_player, abi.encodeWithSelector(rockPaperScissors.transferBalance.selector, msg.sender, _fee));
+        }
+    }
+}
@@ -0,0 +1,359 @@
+pragma solidity >=0.4.21 <0.6.0;
+
+import "./Pausable.sol";
+import "./SafeMath.sol";
+import "./RockPaperScissors.sol";
+import "./CommitReveal.sol";
+
+
+/**
+ * Single elimination tournaments played with the rule sets of RockPaperScissors. Players register paying the entry
+ * fee, then the bracket is seeded in the order they registered, the first seeds getting the byes when the players are
+ * not a power of two. Each match is played like a hidden moves game: both players commit their move then reveal it,
+ * each before a deadline, and a draw is played again. Whoever does not commit or reveal in time forfeits. The winner
+ * of the final takes the pot, less the share of the runner-up if the organiser set one.
+ *
+ * The matches are not RockPaperScissors games: those are between a creator and an opponent who each bet, and they
+ * end in the balances of RockPaperScissors, which could not tell the bracket who won without a callback it has no
+ * room left for under the contract size limit. Both players of a match commit alike and nothing is bet, so the match
+ * is kept here and the moves, rule sets and deadlines follow the CommitReveal library RockPaperScissors uses too.
+ */
+contract RockPaperScissorsTournament is Pausable {
+    using SafeMath for uint;
+
+    enum Stage { Registering, Playing, Finished, Cancelled }
+    enum Outcome { Played, Bye, Forfeit }
+
+    struct Tournament {
+        address organiser;
+        uint entryFee;
+        uint registrationDeadline;
+        uint phaseSeconds;  // to commit, then to reveal, in every match
+        uint16 maxPlayers;
+        uint16 runnerUpBasisPoints;  // share of the pot going to the loser of the final
+        uint8 ruleSet;
+        uint8 moveCount;
+        uint8 rounds;  // of the bracket, set when it starts
+        Stage stage;
+        uint beats;  // of the rule set, see CommitReveal
+        address[] players;  // by seed
+    }
+
+    struct Match {
+        address playerA;  // the better seed
+        address playerB;
+        bytes32 commitA;
+        bytes32 commitB;
+        uint8 moveA;
+        uint8 moveB;
+        uint8 replays;  // draws played again
+        uint deadline;  // to commit, then to reveal once both committed
+        address winner;
+    }
+
+    uint16 constant public maxTournamentPlayers = 64;
+    uint constant public maxPhaseSeconds = 10 * 1 days;
+    uint16 constant public maxRunnerUpBasisPoints = 5000;
+
+    RockPaperScissors public rockPaperScissors;
+    uint public tournamentCount;
+    mapping(uint => Tournament) public tournaments;
+    mapping(uint => mapping(uint8 => mapping(uint16 => Match))) public matches;  // tournament => round => index
+    mapping(uint => mapping(address => bool)) public registered;
+    mapping(address => uint) public balances;
+
+    event LogNewTournament(uint indexed id, address indexed organiser, uint entryFee, uint16 maxPlayers,
+        uint registrationDeadline, uint phaseSeconds, uint16 runnerUpBasisPoints, uint8 ruleSet);
+    event LogRegister(uint indexed id, address indexed player, uint16 seed);
+    event LogStart(uint indexed id, uint16 players, uint8 rounds, uint16 byes);
+    event LogMatch(uint indexed id, uint8 round, uint16 index, address indexed playerA, address indexed playerB, uint deadline);
+    event LogCommit(uint indexed id, uint8 round, uint16 index, address indexed player, uint newDeadline);
+    event LogReveal(uint indexed id, uint8 round, uint16 index, address indexed player, uint8 move);
+    event LogDraw(uint indexed id, uint8 round, uint16 index, uint8 replays, uint newDeadline);
+    event LogMatchResult(uint indexed id, uint8 round, uint16 index, address indexed winner, address indexed loser, Outcome outcome);
+    event LogFinish(uint indexed id, address indexed winner, address indexed runnerUp, uint winnerAmount, uint runnerUpAmount);
+    event LogCancelTournament(uint indexed id, uint16 players);
+    event LogWithdraw(address indexed who, uint amount);
+    event LogEmergencyWithdraw(address indexed who, uint amount);
+
+    constructor (bool _paused, RockPaperScissors _rockPaperScissors) Pausable(_paused) public {
+        require(address(_rockPaperScissors) != address(0), "Not a valid RockPaperScissors address");
+        rockPaperScissors = _rockPaperScissors;
+    }
+
+    /**
+     * Opens the registration of a tournament for `_registrationSeconds`, played with a rule set of RockPaperScissors
+     */
+    function createTournament(uint _entryFee, uint16 _maxPlayers, uint _registrationSeconds, uint _phaseSeconds,
+            uint16 _runnerUpBasisPoints, uint8 _ruleSet) public whenNotPaused returns(uint id) {
+        require(_maxPlayers >= 2 && _maxPlayers <= maxTournamentPlayers, "A tournament takes 2 to 64 players");
+        require(_registrationSeconds > 0 && _registrationSeconds <= maxPhaseSeconds, "Not a valid registration duration");
+        require(_phaseSeconds > 0 && _phaseSeconds <= maxPhaseSeconds, "Not a valid phase duration");
+        require(_runnerUpBasisPoints <= maxRunnerUpBasisPoints, "Runner-up share too high");
+        (uint8 moveCount, uint beats, ) = rockPaperScissors.ruleSets(_ruleSet);
+        require(moveCount > 0, "Not a valid rule set");
+
+        id = tournamentCount++;
+        Tournament storage tournament = tournaments[id];
+        tournament.organiser = msg.sender;
+        tournament.entryFee = _entryFee;
+        tournament.registrationDeadline = now.add(_registrationSeconds);
+        tournament.phaseSeconds = _phaseSeconds;
+        tournament.maxPlayers = _maxPlayers;
+        tournament.runnerUpBasisPoints = _runnerUpBasisPoints;
+        tournament.ruleSet = _ruleSet;
+        tournament.moveCount = moveCount;
+        tournament.beats = beats;
+
+        emit LogNewTournament(id, msg.sender, _entryFee, _maxPlayers, tournament.registrationDeadline, _phaseSeconds,
+            _runnerUpBasisPoints, _ruleSet);
+    }
+
+    /**
+     * Registers the sender, who pays the entry fee. The seed is the order of registration
+     */
+    function register(uint _id) public payable whenNotPaused {
+        Tournament storage tournament = tournaments[_id];
+        require(tournament.organiser != address(0) && tournament.stage == Stage.Registering
+            && now <= tournament.registrationDeadline, "Registration is closed");
+        require(tournament.players.length < tournament.maxPlayers, "Tournament is full");
+        require(!registered[_id][msg.sender], "Already registered");
+        require(msg.value == tournament.entryFee, "You must send the entry fee");
+
+        registered[_id][msg.sender] = true;
+        tournament.players.push(msg.sender);
+
+        emit LogRegister(_id, msg.sender, uint16(tournament.players.length));
+    }
+
+    /**
+     * Anyone can seed the bracket once the registration is over or the tournament full. Byes go through at once, and
+     * with less than 2 players the tournament is cancelled and the entry fee refunded.
+     */
+    function start(uint _id) public whenNotPaused {
+        Tournament storage tournament = tournaments[_id];
+        require(tournament.organiser != address(0) && tournament.stage == Stage.Registering, "Tournament already started");
+        uint playerCount = tournament.players.length;
+        require(now > tournament.registrationDeadline || playerCount == tournament.maxPlayers, "Registration is still open");
+
+        if (playerCount < 2) {
+            cancel(_id);
+            return;
+        }
+
+        uint size = 2;
+        uint8 rounds = 1;
+        while (size < playerCount) {
+            size = size.mul(2);
+            rounds++;
+        }
+        uint byes = size - playerCount;
+        tournament.stage = Stage.Playing;
+        tournament.rounds = rounds;
+        emit LogStart(_id, uint16(playerCount), rounds, uint16(byes));
+
+        for (uint index = 0; index < size / 2; index++) {
+            Match storage game = matches[_id][0][uint16(index)];
+            if (index < byes) {
+                game.playerA = tournament.players[index];
+                advance(_id, 0, uint16(index), game.playerA, address(0), Outcome.Bye);
+            } else {
+                uint seed = byes.add(index.sub(byes).mul(2));
+                game.playerA = tournament.players[seed];
+                game.playerB = tournament.players[seed + 1];
+                startMatch(_id, 0, uint16(index));
+            }
+        }
+    }
+
+    function cancel(uint _id) internal {
+        Tournament storage tournament = tournaments[_id];
+        tournament.stage = Stage.Cancelled;
+        for (uint seed = 0; seed < tournament.players.length; seed++) {
+            address player = tournament.players[seed];
+            balances[player] = balances[player].add(tournament.entryFee);
+        }
+        emit LogCancelTournament(_id, uint16(tournament.players.length));
+    }
+
+    function startMatch(uint _id, uint8 _round, uint16 _index) internal {
+        Match storage game = matches[_id][_round][_index];
+        game.deadline = CommitReveal.deadline(tournaments[_id].phaseSeconds);
+        emit LogMatch(_id, _round, _index, game.playerA, game.playerB, game.deadline);
+    }
+
+    /**
+     * Hash of the move a player commits to in a match, computed off-chain so the password is not sent to a node
+     */
+    function generateMoveHash(uint _id, uint8 _round, uint16 _index, uint8 _replay, address _player, uint8 _move,
+            bytes32 _password) public view returns(bytes32) {
+        return keccak256(abi.encodePacked(address(this), _id, _round, _index, _replay, _player, _move, _password));
+    }
+
+    /**
+     * Commits the move of the sender, once both did the deadline moves to the end of the reveal phase
+     */
+    function commitMove(uint _id, uint8 _round, uint16 _index, bytes32 _hash) public whenNotPaused {
+        Match storage game = playingMatch(_id, _round, _index);
+        require(_hash != bytes32(0), "Not a valid hash");
+        if (isPlayerA(game)) {
+            require(game.commitA == bytes32(0), "Move already committed");
+            game.commitA = _hash;
+        } else {
+            require(game.commitB == bytes32(0), "Move already committed");
+            game.commitB = _hash;
+        }
+        if (game.commitA != bytes32(0) && game.commitB != bytes32(0)) {
+            game.deadline = CommitReveal.deadline(tournaments[_id].phaseSeconds);
+        }
+
+        emit LogCommit(_id, _round, _index, msg.sender, game.deadline);
+    }
+
+    /**
+     * Reveals the committed move of the sender, the match is settled when both are revealed
+     */
+    function revealMove(uint _id, uint8 _round, uint16 _index, uint8 _move, bytes32 _password) public whenNotPaused {
+        Match storage game = playingMatch(_id, _round, _index);
+        require(game.commitA != bytes32(0) && game.commitB != bytes32(0), "Both moves are not committed yet");
+        require(CommitReveal.isMove(tournaments[_id].moveCount, _move), "Not a valid move");
+        bytes32 hash = generateMoveHash(_id, _round, _index, game.replays, msg.sender, _move, _password);
+        if (isPlayerA(game)) {
+            require(game.moveA == 0, "Move already revealed");
+            CommitReveal.requireCommitted(game.commitA, hash);
+            game.moveA = _move;
+        } else {
+            require(game.moveB == 0, "Move already revealed");
+            CommitReveal.requireCommitted(game.commitB, hash);
+            game.moveB = _move;
+        }
+
+        emit LogReveal(_id, _round, _index, msg.sender, _move);
+
+        if (game.moveA != 0 && game.moveB != 0) {
+            settle(_id, _round, _index);
+        }
+    }
+
+    function settle(uint _id, uint8 _round, uint16 _index) internal {
+        Match storage game = matches[_id][_round][_index];
+        if (game.moveA == game.moveB) {
+            game.commitA = bytes32(0);
+            game.commitB = bytes32(0);
+            game.moveA = 0;
+            game.moveB = 0;
+            game.replays++;
+            game.deadline = CommitReveal.deadline(tournaments[_id].phaseSeconds);
+            emit LogDraw(_id, _round, _index, game.replays, game.deadline);
+        } else if (CommitReveal.beats(tournaments[_id].beats, game.moveA, game.moveB)) {
+            advance(_id, _round, _index, game.playerA, game.playerB, Outcome.Played);
+        } else {
+            advance(_id, _round, _index, game.playerB, game.playerA, Outcome.Played);
+        }
+    }
+
+    /**
+     * Anyone can settle a match past its deadline: whoever committed, or revealed once both committed, goes on. When
+     * neither did, the better seed goes on so that the bracket always ends with a winner.
+     */
+    function claimForfeit(uint _id, uint8 _round, uint16 _index) public whenNotPaused {
+        Match storage game = matches[_id][_round][_index];
+        require(game.playerB != address(0) && game.winner == address(0), "Match is not being played");
+        require(now > game.deadline, "Match has not expired yet");
+
+        bool revealing = game.commitA != bytes32(0) && game.commitB != bytes32(0);
+        bool showedA = revealing ? game.moveA != 0 : game.commitA != bytes32(0);
+        bool showedB = revealing ? game.moveB != 0 : game.commitB != bytes32(0);
+        if (showedB && !showedA) {
+            advance(_id, _round, _index, game.playerB, game.playerA, Outcome.Forfeit);
+        } else {
+            advance(_id, _round, _index, game.playerA, game.playerB, Outcome.Forfeit);
+        }
+    }
+
+    /**
+     * Sends the winner to his slot of the next round, starting the match there when both players are known, or pays
+     * the pot after the final
+     */
+    function advance(uint _id, uint8 _round, uint16 _index, address _winner, address _loser, Outcome _outcome) internal {
+        matches[_id][_round][_index].winner = _winner;
+        emit LogMatchResult(_id, _round, _index, _winner, _loser, _outcome);
+
+        Tournament storage tournament = tournaments[_id];
+        if (_round + 1 == tournament.rounds) {
+            finish(_id, _winner, _loser);
+            return;
+        }
+        Match storage next = matches[_id][_round + 1][_index / 2];
+        if (_index % 2 == 0) {
+            next.playerA = _winner;
+        } else {
+            next.playerB = _winner;
+        }
+        if (next.playerA != address(0) && next.playerB != address(0)) {
+            startMatch(_id, _round + 1, _index / 2);
+        }
+    }
+
+    function finish(uint _id, address _winner, address _runnerUp) internal {
+        Tournament storage tournament = tournaments[_id];
+        tournament.stage = Stage.Finished;
+        uint pot = tournament.entryFee.mul(tournament.players.length);
+        uint runnerUpAmount = pot.mul(tournament.runnerUpBasisPoints) / 10000;
+        uint winnerAmount = pot.sub(runnerUpAmount);
+        balances[_winner] = balances[_winner].add(winnerAmount);
+        balances[_runnerUp] = balances[_runnerUp].add(runnerUpAmount);
+
+        emit LogFinish(_id, _winner, _runnerUp, winnerAmount, runnerUpAmount);
+    }
+
+    function playingMatch(uint _id, uint8 _round, uint16 _index) internal view returns(Match storage game) {
+        game = matches[_id][_round][_index];
+        require(game.playerB != address(0) && game.winner == address(0), "Match is not being played");
+        require(now <= game.deadline, "Match already expired");
+    }
+
+    function isPlayerA(Match storage _game) internal view returns(bool) {
+        require(msg.sender == _game.playerA || msg.sender == _game.playerB, "You are not playing this match");
+        return msg.sender == _game.playerA;
+    }
+
+    /**
+     * @return the players of tournament `_id` by seed.
+     */
+    function tournamentPlayers(uint _id) public view returns(address[] memory) {
+        return tournaments[_id].players;
+    }
+
+    /**
+     * Withdraw the prizes and refunds of the sender
+     */
+    function withdrawFunds() public whenNotPaused {
+        uint toWithdraw = balances[msg.sender];
+        require(toWithdraw > 0, "There is no balance to withdraw");
+        emit LogWithdraw(msg.sender, toWithdraw);
+        balances[msg.sender] = 0;
+        msg.sender.transfer(toWithdraw);
+    }
+
+    /**
+     * After a kill, anyone can cancel a tournament not finished yet, refunding the entry fees to the balances
+     */
+    function emergencyRefund(uint _id) public whenKilled {
+        Stage stage = tournaments[_id].stage;
+        require(tournaments[_id].organiser != address(0) && (stage == Stage.Registering || stage == Stage.Playing),
+            "Tournament already over");
+        cancel(_id);
+    }
+
+    /**
+     * withdrawFunds for when the contract is killed.
+     */
+    function emergencyWithdraw() public whenKilled {
+        uint toWithdraw = balances[msg.sender];
+        require(toWithdraw > 0, "There is no balance to withdraw");
+        emit LogEmergencyWithdraw(msg.sender, toWithdraw);
+        balances[msg.sender] = 0;
+        msg.sender.transfer(toWithdraw);
+    }
+}
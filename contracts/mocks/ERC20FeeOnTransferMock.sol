@@ -0,0 +1,19 @@
+pragma solidity ^0.5.0;
+
+import "./ERC20Mock.sol";
+
+/**
+ * @title ERC20FeeOnTransferMock
+ * @dev Token burning 1% of every transfer, the receiver gets less than what is sent.
+ */
+contract ERC20FeeOnTransferMock is ERC20Mock {
+
+    function _transfer(address from, address to, uint value) internal returns (bool) {
+        uint fee = value / 100;
+        super._transfer(from, to, value - fee);
+        if (fee > 0) {
+            super._transfer(from, address(0), fee);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,74 @@
+pragma solidity ^0.5.0;
+
+import "../IERC20.sol";
+import "../SafeMath.sol";
+
+/**
+ * @title ERC20Mock
+ * @dev Plain ERC20 token for the tests, anyone can mint and change the decimals.
+ */
+contract ERC20Mock is IERC20 {
+    using SafeMath for uint;
+
+    uint8 public decimals = 18;
+    mapping(address => uint) private _balances;
+    mapping(address => mapping(address => uint)) private _allowed;
+    uint private _totalSupply;
+
+    function mint(address to, uint value) public {
+        _totalSupply = _totalSupply.add(value);
+        _balances[to] = _balances[to].add(value);
+        emit Transfer(address(0), to, value);
+    }
+
+    function setDecimals(uint8 value) public {
+        decimals = value;
+    }
+
+    function totalSupply() public view returns (uint) {
+        return _totalSupply;
+    }
+
+    function balanceOf(address who) public view returns (uint) {
+        return _balances[who];
+    }
+
+    function allowance(address owner, address spender) public view returns (uint) {
+        return _allowed[owner][spender];
+    }
+
+    function approve(address spender, uint value) public returns (bool) {
+        _allowed[msg.sender][spender] = value;
+        emit Approval(msg.sender, spender, value);
+        return true;
+    }
+
+    function transfer(address to, uint value) public returns (bool) {
+        return _transfer(msg.sender, to, value);
+    }
+
+    function transferFrom(address from, address to, uint value) public returns (bool) {
+        if (!_spend(from, value)) {
+            return false;
+        }
+        return _transfer(from, to, value);
+    }
+
+    /**
+     * @dev Takes `value` from the allowance of the sender, reverts if not enough.
+     */
+    function _spend(address from, uint value) internal returns (bool) {
+        _allowed[from][msg.sender] = _allowed[from][msg.sender].sub(value);
+        return true;
+    }
+
+    /**
+     * @dev Moves `value` tokens, reverts if not enough.
+     */
+    function _transfer(address from, address to, uint value) internal returns (bool) {
+        _balances[from] = _balances[from].sub(value);
+        _balances[to] = _balances[to].add(value);
+        emit Transfer(from, to, value);
+        return true;
+    }
+}
@@ -0,0 +1,24 @@
+pragma solidity ^0.5.0;
+
+import "./ERC20Mock.sol";
+
+/**
+ * @title ERC20ReturnFalseMock
+ * @dev Token returning false instead of reverting when the balance or the allowance is not enough.
+ */
+contract ERC20ReturnFalseMock is ERC20Mock {
+
+    function _spend(address from, uint value) internal returns (bool) {
+        if (allowance(from, msg.sender) < value) {
+            return false;
+        }
+        return super._spend(from, value);
+    }
+
+    function _transfer(address from, address to, uint value) internal returns (bool) {
+        if (balanceOf(from) < value) {
+            return false;
+        }
+        return super._transfer(from, to, value);
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Minimal command line parser: `--name value`, `--flag` and positional arguments.
+ *
+ * @param {!Array<string>} argv without the node and script paths.
+ * @returns {{_: !Array<string>}} options by name, with the positional arguments in `_`.
+ */
+module.exports = function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith("--")) {
+            const name = arg.substr(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+                args[name] = argv[++i];
+            } else {
+                args[name] = true;
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+    return args;
+};
@@ -0,0 +1,647 @@
+const parseArgs = require("./args.js");
+const commitmentFactory = require("./commitment.js");
+const ruleSetsFactory = require("./rule-sets.js");
+const MatchDriver = require("./match.js");
+const gas = require("./gas.js");
+const { explain } = require("./revert-reasons.js");
+
+const classicMoves = ["rock", "paper", "scissors"];
+
+const usage = `Usage: rps <command> [options]
+
+Commands:
+  new --opponent <address> --bet <ether> --expires-in <time> --move <move> [--password <password>] [--from-balance]
+  new --open --bet <ether> --expires-in <time> --move <move> [--password <password>] [--from-balance]
+  new --opponent <address> --best-of <rounds> --bet <ether> --expires-in <time> --move <move>
+  new --opponent <address> --token <address> --bet <tokens> --expires-in <time> --move <move>
+  new --opponent <address> --hidden --bet <ether> --expires-in <time> --move <move>
+  new --opponent <address> --rules <name or id> --bet <ether> --expires-in <time> --move <move>
+  new ... --reveal-in <time>      reveal window of the game, within the bounds set by the owner (default: 1d)
+  join <hash> --move <move> [--from-balance] [--amount <tokens>]
+  round <hash> [--move <move>]    next step of a match: commit, play or reveal
+  reveal <hash>
+  claim <hash>
+  cancel <hash>
+  withdraw [--token <address>]
+  refund <hash>                   once the contract is killed
+  status <hash>
+  balance [--token <address>]
+  rules                           the rule sets and their moves
+  pause                           owner or guardians
+  unpause | kill --yes | cancel-kill    owner only
+  guardian <address> [--remove]   owner only, lets the address pause or not anymore
+  transfer-ownership <address>    owner only
+  accept-ownership                by the new owner
+  fee <basis points> | withdraw-fees    owner only, the fee applies to the games created afterwards
+  expiration-policy <max expiration> <min reveal> <max reveal>    owner only, bounds of the games created afterwards
+
+Moves are rock, paper or scissors, or those of the --rules of the game.
+Times are seconds, or a number followed by m, h or d.
+Once the opponent moved, the creator has the reveal window of the game to reveal, and so has each step of a match or
+a hidden moves game. --reveal-in chooses it for your next games.
+Without --password a random one is generated, it is saved in the vault either way.
+Joining an open game hides your move, reveal it afterwards with reveal <hash>.
+With --hidden the opponent hides his move as well, then both reveal with reveal <hash> within the reveal window, in
+any order.
+Whoever does not reveal in time loses the pot, if nobody does either one can claim and both bets go back.
+With --from-balance the bet is paid from your winnings in the contract first, the rest is sent.
+Token amounts are in units of the token, with the decimals it tells. The contract is approved to take the bet right
+before it is sent, and the approval is taken back if sending fails. Join a game in a token taking a fee on transfers
+with an --amount covering it, what is above the bet is kept in your token balance.
+A match is best of 3, 5, 7 or 9 rounds for one bet, draws are played again. Its first round is a normal game,
+then call round until it is over, the creator with the move of the next round when committing it.
+Rock-Paper-Scissors-Lizard-Spock and the rule sets added by the owner are played with --rules, in ether, open
+games too.
+Cancelling a game nobody joined takes two calls of cancel <hash>, the opponent can still play for an hour between.
+Killing and transferring the ownership go through a timelock of two days, announced to the players: kill --yes
+schedules the kill then kills once run again after it, the new owner accepts the ownership after it.
+
+Global options:
+  --network <name>            network of truffle-config.js (default: development)
+  --contract <address>        RockPaperScissors address (default: the migrated one)
+  --from <address>            sender (default: first account of the node, or RPS_PRIVATE_KEY)
+  --vault <file>              secret vault (default: ~/.rps-vault.json), passphrase in RPS_VAULT_PASSPHRASE`;
+
+/**
+ * @param {!string | number} move name or number.
+ * @param {Object} [ruleSet] from rule-sets.js, rock, paper or scissors if not set.
+ * @returns {number}
+ */
+function parseMove(move, ruleSet) {
+    const moves = ruleSet ? ruleSet.moves.map(name => name.toLowerCase()) : classicMoves;
+    const index = moves.indexOf(String(move).toLowerCase());
+    const number = index > -1 ? index + 1 : Number(move);
+    if (!Number.isInteger(number) || number <= 0 || number > moves.length) {
+        throw new Error("The move must be " + moves.slice(0, -1).join(", ") + " or " + moves[moves.length - 1] + ".");
+    }
+    return number;
+}
+
+/**
+ * @param {!string} time like 3600, 90m, 12h or 2d.
+ * @returns {number} seconds.
+ */
+function parseSeconds(time) {
+    const match = String(time).match(/^(\d+)([smhd]?)$/);
+    if (match === null) {
+        throw new Error("Invalid time " + time + ", use seconds or a number followed by m, h or d.");
+    }
+    const units = { "": 1, s: 1, m: 60, h: 3600, d: 86400 };
+    return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * @param {!string} amount like 1.5, in units of the token.
+ * @param {!number} decimals of the token.
+ * @returns {!string} the amount in the smallest unit of the token.
+ */
+function parseUnits(amount, decimals) {
+    const match = String(amount).match(/^(\d*)(?:\.(\d*))?$/);
+    if (match === null || match[1] + (match[2] || "") === "") {
+        throw new Error("Invalid amount " + amount + ".");
+    }
+    const fraction = (match[2] || "").replace(/0+$/, "");
+    if (fraction.length > decimals) {
+        throw new Error("Invalid amount " + amount + ", the token has " + decimals + " decimals.");
+    }
+    return (match[1] + fraction.padEnd(decimals, "0")).replace(/^0+(?=\d)/, "");
+}
+
+/**
+ * @param {!string | BN} value in the smallest unit of the token.
+ * @param {!number} decimals of the token.
+ * @returns {!string} like 1.5, as parseUnits reads it.
+ */
+function formatUnits(value, decimals) {
+    const digits = value.toString().padStart(decimals + 1, "0");
+    const whole = digits.substr(0, digits.length - decimals);
+    const fraction = digits.substr(digits.length - decimals).replace(/0+$/, "");
+    return fraction === "" ? whole : whole + "." + fraction;
+}
+
+function requireOption(args, name) {
+    if (typeof args[name] !== "string") {
+        throw new Error("Missing --" + name.replace(/[A-Z]/g, letter => "-" + letter.toLowerCase()));
+    }
+    return args[name];
+}
+
+function requireHash(args) {
+    const hash = args._[1];
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash || "")) {
+        throw new Error("Missing or invalid game hash.");
+    }
+    return hash;
+}
+
+/**
+ * @param {!number} seconds
+ * @returns {!string} like 1d, 90m or 45s, as parseSeconds reads them.
+ */
+function formatSeconds(seconds) {
+    const units = [["d", 86400], ["h", 3600], ["m", 60]];
+    const unit = units.find(([, size]) => seconds > 0 && seconds % size === 0);
+    return typeof unit === "undefined" ? seconds + "s" : seconds / unit[1] + unit[0];
+}
+
+function formatDuration(seconds) {
+    if (seconds <= 0) {
+        return "expired";
+    }
+    const days = Math.floor(seconds / 86400);
+    const time = new Date(seconds * 1000).toISOString().substr(11, 8);
+    return "in " + (days > 0 ? days + "d " : "") + time;
+}
+
+/**
+ * Runs one rps command. Kept apart from bin/rps.js so it can run against any web3, in tests too.
+ *
+ * @param {!Array<string>} argv without the node and script paths.
+ * @param {!Object} context
+ * @param {!Web3} context.web3
+ * @param {!Object} context.contract a web3 RockPaperScissors contract.
+ * @param {!string} context.account sender of the transactions.
+ * @param {!function(): Promise<SecretVault>} context.openVault only called by the commands that need secrets.
+ * @param {!function(string)} context.print
+ * @param {Array<Object>} [context.tokenAbi] ERC20 ABI with decimals, needed for the commands about tokens.
+ * @returns {Promise<*>} the result of the command, also printed.
+ */
+async function run(argv, context) {
+    const { web3, contract, account, print } = context;
+    const { fromWei, toWei } = web3.utils;
+    const commitment = commitmentFactory(web3);
+    const ruleSets = ruleSetsFactory(web3);
+    const args = parseArgs(argv);
+    const command = args._[0];
+
+    /**
+     * Simulates first so a revert is explained before anything is sent.
+     */
+    async function send(method, value = "0") {
+        const options = { from: account, value: value };
+        try {
+            await method.call(options);
+            const receipt = await gas.send(method, options);
+            print("Transaction " + receipt.transactionHash + " mined in block " + receipt.blockNumber + ".");
+            return receipt;
+        } catch (e) {
+            throw new Error(explain(e, web3));
+        }
+    }
+
+    /**
+     * What to send for `bet`, all of it unless paying from balance.
+     */
+    async function toSend(bet) {
+        if (!args.fromBalance) {
+            return bet;
+        }
+        const balance = web3.utils.toBN(await contract.methods.balances(account).call());
+        const rest = web3.utils.toBN(bet).sub(balance);
+        return rest.isNeg() ? "0" : rest.toString();
+    }
+
+    function getToken(address) {
+        if (!context.tokenAbi) {
+            throw new Error("Tokens are not supported here.");
+        }
+        return new web3.eth.Contract(context.tokenAbi, address);
+    }
+
+    async function getDecimals(token) {
+        return Number(await getToken(token).methods.decimals().call());
+    }
+
+    /**
+     * Lets the contract take exactly `amount` of the token with transferFrom while sending `method`, and takes the
+     * approval back if it fails so no allowance is left behind.
+     */
+    async function sendWithApproval(token, amount, method) {
+        await send(getToken(token).methods.approve(contract.options.address, amount));
+        try {
+            return await send(method);
+        } catch (e) {
+            await send(getToken(token).methods.approve(contract.options.address, "0"));
+            throw e;
+        }
+    }
+
+    /**
+     * Chooses the reveal window of our next games when --reveal-in asks for another one.
+     */
+    async function chooseRevealWindow() {
+        if (typeof args.revealIn !== "string") {
+            return;
+        }
+        const seconds = parseSeconds(args.revealIn);
+        if (Number(await contract.methods.revealWindow(account).call()) !== seconds) {
+            await send(contract.methods.setRevealWindow(seconds));
+        }
+    }
+
+    async function getGame(hash) {
+        const game = await contract.methods.games(hash).call();
+        if (game.expiration.toString() === "0") {
+            throw new Error("There is no game " + hash + ".");
+        }
+        return game;
+    }
+
+    switch (command) {
+        case "new": {
+            await chooseRevealWindow();
+            if (typeof args.bestOf === "string") {
+                const driver = new MatchDriver({ web3: web3, contract: contract, vault: await context.openVault(), account: account });
+                let hash;
+                try {
+                    hash = await driver.create(requireOption(args, "opponent"), parseInt(args.bestOf),
+                        toWei(requireOption(args, "bet"), "ether"), parseSeconds(requireOption(args, "expiresIn")),
+                        parseMove(requireOption(args, "move")));
+                } catch (e) {
+                    throw new Error(explain(e, web3));
+                }
+                print("Match " + hash + " created, the secret of the first round is in the vault.");
+                return hash;
+            }
+            if (typeof args.token === "string" && (args.open || args.fromBalance)) {
+                throw new Error("A token game needs an --opponent and cannot be paid from balance.");
+            }
+            if (args.hidden && (args.open || args.fromBalance || typeof args.token === "string")) {
+                throw new Error("A hidden moves game needs an --opponent and is paid in ether only.");
+            }
+            if (typeof args.rules === "string" && (args.hidden || args.fromBalance || typeof args.token === "string")) {
+                throw new Error("A game with --rules is paid in ether only and its moves are not hidden.");
+            }
+            const ruleSet = typeof args.rules === "string"
+                ? ruleSets.findRuleSet(await ruleSets.listRuleSets(contract), args.rules)
+                : ruleSets.classic;
+            const opponent = args.open ? commitment.zeroAddress : requireOption(args, "opponent");
+            const bet = typeof args.token === "string"
+                ? parseUnits(requireOption(args, "bet"), await getDecimals(args.token))
+                : toWei(requireOption(args, "bet"), "ether");
+            const seconds = parseSeconds(requireOption(args, "expiresIn"));
+            const entry = {
+                contract: contract.options.address,
+                hash: null,
+                creator: account,
+                opponent: opponent,
+                move: parseMove(requireOption(args, "move"), ruleSet),
+                password: typeof args.password === "string"
+                    ? commitment.toPassword(args.password)
+                    : commitment.randomPassword(),
+                expiration: 0
+            };
+            if (typeof args.rules === "string") {
+                entry.hash = commitment.generateRuleSetHash(entry.contract, entry.creator, entry.opponent, ruleSet,
+                    entry.move, entry.password);
+            } else {
+                entry.hash = args.open
+                    ? commitment.generateOpenHash(entry.contract, entry.creator, entry.move, entry.password)
+                    : commitment.generateHash(entry.contract, entry.creator, entry.opponent, entry.move, entry.password);
+            }
+            const vault = await context.openVault();
+            vault.add(entry);  // before sending, the password must never be lost
+            let receipt;
+            try {
+                let method;
+                if (typeof args.token === "string") {
+                    method = contract.methods.newTokenGame(entry.hash, opponent, seconds, args.token, bet);
+                } else if (args.hidden) {
+                    method = contract.methods.newHiddenGame(entry.hash, opponent, seconds);
+                } else if (typeof args.rules === "string") {
+                    method = contract.methods.newRuleSetGame(entry.hash, opponent, seconds, ruleSet.id);
+                } else if (args.fromBalance) {
+                    method = args.open
+                        ? contract.methods.newOpenGameFromBalance(entry.hash, seconds, bet)
+                        : contract.methods.newGameFromBalance(entry.hash, opponent, seconds, bet);
+                } else {
+                    method = args.open
+                        ? contract.methods.newOpenGame(entry.hash, seconds)
+                        : contract.methods.newGame(entry.hash, opponent, seconds);
+                }
+                receipt = typeof args.token === "string"
+                    ? await sendWithApproval(args.token, bet, method)
+                    : await send(method, await toSend(bet));
+            } catch (e) {
+                vault.remove(entry.contract, entry.hash);
+                throw e;
+            }
+            entry.expiration = receipt.events.LogNewGame.returnValues.expiration;
+            vault.add(entry);
+            print("Game " + entry.hash + " created, the secret is in the vault.");
+            return entry.hash;
+        }
+        case "join": {
+            const hash = requireHash(args);
+            const game = await getGame(hash);
+            const ruleSet = await ruleSets.gameRuleSet(contract, hash);
+            const move = parseMove(requireOption(args, "move"), ruleSet);
+            if (!/^0x0{40}$/.test(game.token)) {
+                const amount = typeof args.amount === "string"
+                    ? parseUnits(args.amount, await getDecimals(game.token))
+                    : game.bet.toString();
+                return sendWithApproval(game.token, amount, contract.methods.setOpponentMoveWithTokens(hash, move, amount));
+            }
+            const hidden = (await contract.methods.hiddenMoves(hash).call()).enabled;
+            if (!/^0x0{40}$/.test(game.opponent) && !hidden) {
+                return send(args.fromBalance
+                    ? contract.methods.setOpponentMoveFromBalance(hash, move)
+                    : contract.methods.setOpponentMove(hash, move), await toSend(game.bet));
+            }
+            if (hidden && args.fromBalance) {
+                throw new Error("A hidden moves game cannot be paid from balance.");
+            }
+            // Open or hidden moves game, the move stays hidden until we are the opponent
+            const entry = {
+                contract: contract.options.address,
+                hash: hash,
+                role: "opponent",
+                creator: game.creator,
+                opponent: account,
+                move: move,
+                password: commitment.randomPassword(),
+                expiration: 0
+            };
+            const opponentHash = commitment.generateOpponentHash(entry.contract, account, hash, move, entry.password, ruleSet);
+            const vault = await context.openVault();
+            vault.add(entry);
+            let receipt;
+            try {
+                let method;
+                if (hidden) {
+                    method = contract.methods.commitOpponentMove(hash, opponentHash);
+                } else {
+                    method = args.fromBalance
+                        ? contract.methods.joinOpenGameFromBalance(hash, opponentHash)
+                        : contract.methods.joinOpenGame(hash, opponentHash);
+                }
+                receipt = await send(method, await toSend(game.bet));
+            } catch (e) {
+                vault.remove(entry.contract, hash);
+                throw e;
+            }
+            entry.expiration = (hidden ? receipt.events.LogOpponentCommit : receipt.events.LogJoinOpenGame).returnValues.newExpiration;
+            vault.add(entry);
+            print("Joined, reveal your move with: rps reveal " + hash);
+            return receipt;
+        }
+        case "round": {
+            const hash = requireHash(args);
+            const driver = new MatchDriver({ web3: web3, contract: contract, vault: await context.openVault(), account: account });
+            let step;
+            try {
+                step = await driver.step(hash, typeof args.move === "string" ? parseMove(args.move) : undefined);
+            } catch (e) {
+                throw new Error(explain(e, web3));
+            }
+            const state = await driver.state(hash);
+            if (step !== null) {
+                print("Done: " + step.turn + ", transaction " + step.receipt.transactionHash + ".");
+            }
+            print("Round " + state.round + ", " + state.creatorWins + " - " + state.opponentWins + " of "
+                + state.winsNeeded + " wins needed, " + (state.turn === MatchDriver.turn.over ? "over." : "next: " + state.turn + "."));
+            return state;
+        }
+        case "reveal": {
+            const hash = requireHash(args);
+            const vault = await context.openVault();
+            const entry = vault.get(contract.options.address, hash);
+            if (entry === null) {
+                throw new Error("The secret of game " + hash + " is not in the vault.");
+            }
+            let receipt;
+            if (entry.role === "opponent") {
+                receipt = await send(contract.methods.revealOpponentMove(hash, entry.move, entry.password));
+            } else {
+                receipt = await send(entry.round > 1
+                    ? contract.methods.revealRound(hash, entry.move, entry.password)
+                    : contract.methods.revealResult(entry.opponent, entry.move, entry.password));
+            }
+            if (typeof receipt.events.LogRevealResult !== "undefined") {
+                vault.remove(contract.options.address, hash);
+            } else if (entry.role === "opponent") {
+                print("Move revealed, waiting for the creator to reveal the result.");
+            } else if (typeof receipt.events.LogCreatorMove !== "undefined") {
+                print("Move revealed, waiting for the opponent to reveal his.");
+            }
+            return receipt;
+        }
+        case "claim": {
+            const hash = requireHash(args);
+            const receipt = await send(contract.methods.claimAfterExpiration(hash));
+            print("Claimed " + fromWei(receipt.events.LogClaimAfterExpiration.returnValues.amount, "ether") + " ETH.");
+            return receipt;
+        }
+        case "cancel": {
+            const hash = requireHash(args);
+            const game = await getGame(hash);
+            if (!game.cancelRequested) {
+                const receipt = await send(contract.methods.requestCancel(hash));
+                const expiration = Number(receipt.events.LogCancelRequested.returnValues.newExpiration);
+                print("Cancel requested, run cancel again after " + new Date(expiration * 1000).toISOString() + ".");
+                return receipt;
+            }
+            const receipt = await send(contract.methods.cancelGame(hash));
+            (await context.openVault()).remove(contract.options.address, hash);
+            print("Cancelled, " + fromWei(receipt.events.LogCancelGame.returnValues.amount, "ether") + " ETH sent back.");
+            return receipt;
+        }
+        case "withdraw": {
+            if (typeof args.token === "string") {
+                const killed = await contract.methods.isKilled().call();
+                const receipt = await send(killed
+                    ? contract.methods.emergencyWithdrawTokens(args.token)
+                    : contract.methods.withdrawTokens(args.token));
+                const event = killed ? receipt.events.LogEmergencyWithdrawTokens : receipt.events.LogWithdrawTokens;
+                print("Withdrawn " + formatUnits(event.returnValues.amount, await getDecimals(args.token)) + " tokens.");
+                return receipt;
+            }
+            if (await contract.methods.isKilled().call()) {
+                const receipt = await send(contract.methods.emergencyWithdraw());
+                print("Withdrawn " + fromWei(receipt.events.LogEmergencyWithdraw.returnValues.amount, "ether") + " ETH.");
+                return receipt;
+            }
+            const receipt = await send(contract.methods.withdrawFunds());
+            print("Withdrawn " + fromWei(receipt.events.LogWithdraw.returnValues.amount, "ether") + " ETH.");
+            return receipt;
+        }
+        case "refund": {
+            const hash = requireHash(args);
+            const receipt = await send(contract.methods.emergencyRefund(hash));
+            const refund = receipt.events.LogEmergencyRefund.returnValues;
+            (await context.openVault()).remove(contract.options.address, hash);
+            print("Refunded " + fromWei(refund.creatorAmount, "ether") + " ETH to the creator and "
+                + fromWei(refund.opponentAmount, "ether") + " ETH to the opponent, withdraw them with: rps withdraw");
+            return receipt;
+        }
+        case "status": {
+            const hash = requireHash(args);
+            const game = await getGame(hash);
+            const hidden = await contract.methods.hiddenMoves(hash).call();
+            const ruleSet = await ruleSets.gameRuleSet(contract, hash);
+            const now = (await web3.eth.getBlock("latest")).timestamp;
+            const expiration = Number(game.expiration);
+            const revealSeconds = Number(await contract.methods.gameRevealSeconds(hash).call());
+            let state;
+            if (game.bet.toString() === "0") {
+                state = "settled";
+            } else if (game.cancelRequested && game.opponentMove.toString() === "0" && /^0x0{64}$/.test(game.opponentHash)
+                && game.rounds.toString() === "0") {
+                state = now > expiration ? "cancel delay passed, the creator can cancel" : "cancel requested, the opponent can still play";
+            } else if (game.rounds.toString() !== "0" && game.opponentMove.toString() === "0" && /^0x0{64}$/.test(game.roundHash)) {
+                state = now > expiration ? "expired, the opponent can claim the pot" : "waiting for the creator to commit the next round";
+            } else if (game.rounds.toString() !== "0" && game.opponentMove.toString() === "0") {
+                state = now > expiration ? "expired, the creator can claim the pot" : "waiting for the opponent";
+            } else if (/^0x0{40}$/.test(game.opponent)) {
+                state = now > expiration ? "expired, the creator can claim the bet back" : "open to anyone";
+            } else if (hidden.enabled && game.opponentMove.toString() === "0" && !/^0x0{64}$/.test(game.opponentHash)) {
+                if (hidden.creatorMove.toString() === "0") {
+                    state = now > expiration ? "expired, nobody revealed, either player can claim to give the bets back"
+                        : "waiting for both players to reveal";
+                } else {
+                    state = now > expiration ? "expired, the creator can claim the pot" : "creator revealed, waiting for the opponent to reveal";
+                }
+            } else if (game.opponentMove.toString() === "0" && !/^0x0{64}$/.test(game.opponentHash)) {
+                state = now > expiration ? "expired, the creator can claim the pot" : "joined, waiting for the opponent to reveal";
+            } else if (game.opponentMove.toString() === "0") {
+                state = now > expiration ? "expired, the creator can claim the bet back" : "waiting for the opponent";
+            } else {
+                state = now > expiration ? "expired, the opponent can claim the pot" : "waiting for the creator to reveal";
+            }
+            const token = /^0x0{40}$/.test(game.token) ? null : game.token;
+            const status = {
+                hash: hash,
+                creator: game.creator,
+                opponent: game.opponent,
+                bet: token === null ? fromWei(game.bet, "ether") : formatUnits(game.bet, await getDecimals(token)),
+                token: token,
+                fee: game.feeBasisPoints / 100 + "%",
+                rules: ruleSet.name,
+                opponentMove: ruleSets.moveName(ruleSet, game.opponentMove).toLowerCase(),
+                hiddenMoves: hidden.enabled,
+                expiration: new Date(expiration * 1000).toISOString(),
+                revealWindow: formatSeconds(revealSeconds),
+                state: state
+            };
+            if (game.winsNeeded.toString() !== "0") {
+                status.match = game.creatorWins + " - " + game.opponentWins + " of " + game.winsNeeded + " wins needed";
+            }
+            print("Game " + hash);
+            print("  creator:       " + status.creator);
+            print("  opponent:      " + status.opponent);
+            print("  bet:           " + status.bet + (status.token === null ? " ETH" : " of token " + status.token));
+            print("  fee:           " + status.fee + " of the winnings");
+            print("  rules:         " + status.rules);
+            print("  opponent move: " + status.opponentMove + (status.hiddenMoves ? " (hidden moves game)" : ""));
+            print("  expiration:    " + status.expiration + " (" + formatDuration(expiration - now) + ")");
+            print("  reveal window: " + status.revealWindow + " after each move");
+            print("  state:         " + status.state);
+            if (typeof status.match !== "undefined") {
+                print("  match:         " + status.match);
+            }
+            return status;
+        }
+        case "balance": {
+            if (typeof args.token === "string") {
+                const decimals = await getDecimals(args.token);
+                const balance = {
+                    account: account,
+                    token: args.token,
+                    contract: formatUnits(await contract.methods.tokenBalances(args.token, account).call(), decimals),
+                    wallet: formatUnits(await getToken(args.token).methods.balanceOf(account).call(), decimals)
+                };
+                print(account + ": " + balance.contract + " tokens to withdraw, " + balance.wallet + " tokens in wallet.");
+                return balance;
+            }
+            const balance = {
+                account: account,
+                contract: fromWei(await contract.methods.balances(account).call(), "ether"),
+                wallet: fromWei(await web3.eth.getBalance(account), "ether")
+            };
+            print(account + ": " + balance.contract + " ETH to withdraw, " + balance.wallet + " ETH in wallet.");
+            return balance;
+        }
+        case "rules": {
+            const list = await ruleSets.listRuleSets(contract);
+            list.forEach(ruleSet => print(ruleSet.id + ": " + ruleSet.name + ", moves " + ruleSet.moves.join(", ")));
+            return list;
+        }
+        case "fee": {
+            const basisPoints = parseInt(args._[1]);
+            if (!Number.isInteger(basisPoints) || basisPoints < 0) {
+                throw new Error("Missing or invalid fee, in basis points: 100 is 1%.");
+            }
+            const receipt = await send(contract.methods.setFee(basisPoints));
+            print("Fee of the new games set to " + basisPoints / 100 + "%.");
+            return receipt;
+        }
+        case "expiration-policy": {
+            if (args._.length !== 4) {
+                throw new Error("Missing times, the maximum expiration then the minimum and maximum reveal windows.");
+            }
+            const [maxExpiration, minReveal, maxReveal] = args._.slice(1).map(time => parseSeconds(time));
+            const receipt = await send(contract.methods.setExpirationPolicy(maxExpiration, minReveal, maxReveal));
+            print("New games expire within " + formatSeconds(maxExpiration) + " and their reveal window is from "
+                + formatSeconds(minReveal) + " to " + formatSeconds(maxReveal) + ".");
+            return receipt;
+        }
+        case "withdraw-fees": {
+            const receipt = await send(contract.methods.withdrawFees());
+            print("Withdrawn " + fromWei(receipt.events.LogWithdrawFees.returnValues.amount, "ether") + " ETH of fees.");
+            return receipt;
+        }
+        case "pause":
+            return send(contract.methods.pause());
+        case "unpause":
+            return send(contract.methods.unpause());
+        case "kill": {
+            if (!args.yes) {
+                throw new Error("Killing the contract cannot be undone, add --yes if you are sure.");
+            }
+            if (Number(await contract.methods.killTime().call()) !== 0) {
+                return send(contract.methods.kill());
+            }
+            const receipt = await send(contract.methods.scheduleKill());
+            const time = Number(receipt.events.LogKillScheduled.returnValues.time);
+            print("Kill scheduled, run kill --yes again after " + new Date(time * 1000).toISOString() + ".");
+            return receipt;
+        }
+        case "cancel-kill":
+            return send(contract.methods.cancelKill());
+        case "guardian": {
+            const guardian = args._[1];
+            if (!web3.utils.isAddress(guardian)) {
+                throw new Error("Missing or invalid guardian address.");
+            }
+            return send(contract.methods.setGuardian(guardian, !args.remove));
+        }
+        case "transfer-ownership": {
+            const newOwner = args._[1];
+            if (!web3.utils.isAddress(newOwner)) {
+                throw new Error("Missing or invalid new owner address.");
+            }
+            const receipt = await send(contract.methods.transferOwnership(newOwner));
+            const time = Number(receipt.events.LogOwnershipTransferScheduled.returnValues.time);
+            print("Ownership transfer scheduled, " + newOwner + " can run accept-ownership after "
+                + new Date(time * 1000).toISOString() + ".");
+            return receipt;
+        }
+        case "accept-ownership":
+            return send(contract.methods.acceptOwnership());
+        default:
+            print(usage);
+            if (typeof command !== "undefined" && command !== "help") {
+                throw new Error("Unknown command " + command + ".");
+            }
+            return null;
+    }
+}
+
+module.exports = {
+    usage: usage,
+    parseMove: parseMove,
+    parseSeconds: parseSeconds,
+    parseUnits: parseUnits,
+    formatUnits: formatUnits,
+    run: run
+};
@@ -0,0 +1,238 @@
+/**
+ * Off-chain version of RockPaperScissors.generateHash, so the move and password of the creator never leave the
+ * client before the reveal.
+ *
+ * @param {!Web3} web3 only its utils are used, no call is made to the node.
+ * @returns {!Object}
+ */
+module.exports = function commitment(web3) {
+    const { isAddress, toBN, padRight, utf8ToHex, randomHex, soliditySha3 } = web3.utils;
+
+    const move = {
+        unset: 0,
+        rock: 1,
+        paper: 2,
+        scissors: 3
+    };
+    const classicMoveCount = 3;
+    const zeroAddress = "0x0000000000000000000000000000000000000000";
+    const zeroBytes32 = "0x" + "0".repeat(64);
+
+    /**
+     * @param {!string} password
+     * @returns {boolean} true if already a 0x prefixed bytes32.
+     */
+    function isBytes32(password) {
+        return /^0x[0-9a-fA-F]{64}$/.test(password);
+    }
+
+    /**
+     * Converts a password typed by the user to bytes32, leaving it as it is if already bytes32.
+     *
+     * @param {!string} password
+     * @returns {!string}
+     */
+    function toPassword(password) {
+        if (isBytes32(password)) {
+            return password;
+        }
+        if (password.length === 0) {
+            throw new Error("Password not set");
+        }
+        const hex = utf8ToHex(password);
+        if (hex.length > 66) {
+            throw new Error("Password cannot be longer than 32 bytes");
+        }
+        return padRight(hex, 64);
+    }
+
+    /**
+     * @returns {!string} a random bytes32 password from a cryptographically secure source.
+     */
+    function randomPassword() {
+        let password;
+        do {
+            password = randomHex(32);
+        } while (password === zeroBytes32);
+        return password;
+    }
+
+    /**
+     * @param {!number | !string} moveToCheck
+     * @param {Object} [ruleSet] from rule-sets.js, rock, paper or scissors if not set.
+     * @returns {number}
+     */
+    function requireMove(moveToCheck, ruleSet) {
+        const moveNumber = Number(moveToCheck);
+        const moveCount = ruleSet ? ruleSet.moves.length : classicMoveCount;
+        if (!Number.isInteger(moveNumber) || moveNumber <= move.unset || moveNumber > moveCount) {
+            throw new Error("Wrong move");
+        }
+        return moveNumber;
+    }
+
+    function requirePassword(password) {
+        if (!isBytes32(password)) {
+            throw new Error("Password must be bytes32");
+        }
+        if (password === zeroBytes32) {
+            throw new Error("Password not set");
+        }
+    }
+
+    /**
+     * Same as keccak256(abi.encodePacked(address(this), msg.sender, _opponent, _creatorMove, _password)) and with
+     * the same validation rules as the contract.
+     *
+     * @param {!string} contractAddress the RockPaperScissors instance.
+     * @param {!string} creator who will call newGame and revealResult.
+     * @param {!string} opponent
+     * @param {!number | !string} creatorMove
+     * @param {!string} password bytes32.
+     * @returns {!string} the hash to pass to newGame.
+     */
+    function generateHash(contractAddress, creator, opponent, creatorMove, password) {
+        if (!isAddress(contractAddress) || !isAddress(creator)) {
+            throw new Error("Not a valid contract or creator address");
+        }
+        if (!isAddress(opponent) || toBN(opponent).isZero()) {
+            throw new Error("Not a valid opponent address");
+        }
+        const moveNumber = requireMove(creatorMove);
+        requirePassword(password);
+        return soliditySha3(
+            { t: "address", v: contractAddress },
+            { t: "address", v: creator },
+            { t: "address", v: opponent },
+            { t: "uint8", v: moveNumber },
+            { t: "bytes32", v: password }
+        );
+    }
+
+    /**
+     * Same as generateOpenHash of the contract, the hash for a game anyone can join.
+     *
+     * @param {!string} contractAddress
+     * @param {!string} creator
+     * @param {!number | !string} creatorMove
+     * @param {!string} password bytes32.
+     * @returns {!string} the hash to pass to newOpenGame.
+     */
+    function generateOpenHash(contractAddress, creator, creatorMove, password) {
+        if (!isAddress(contractAddress) || !isAddress(creator)) {
+            throw new Error("Not a valid contract or creator address");
+        }
+        const moveNumber = requireMove(creatorMove);
+        requirePassword(password);
+        return soliditySha3(
+            { t: "address", v: contractAddress },
+            { t: "address", v: creator },
+            { t: "address", v: zeroAddress },
+            { t: "uint8", v: moveNumber },
+            { t: "bytes32", v: password }
+        );
+    }
+
+    /**
+     * Same as generateRuleSetHash of the contract, for a game created with newRuleSetGame. The hash does not
+     * depend on the rule set, only the move is checked against it.
+     *
+     * @param {!string} contractAddress
+     * @param {!string} creator
+     * @param {!string} opponent zeroAddress for an open game.
+     * @param {!Object} ruleSet from rule-sets.js.
+     * @param {!number | !string} creatorMove
+     * @param {!string} password bytes32.
+     * @returns {!string} the hash to pass to newRuleSetGame.
+     */
+    function generateRuleSetHash(contractAddress, creator, opponent, ruleSet, creatorMove, password) {
+        if (!isAddress(contractAddress) || !isAddress(creator)) {
+            throw new Error("Not a valid contract or creator address");
+        }
+        if (!isAddress(opponent)) {
+            throw new Error("Not a valid opponent address");
+        }
+        const moveNumber = requireMove(creatorMove, ruleSet);
+        requirePassword(password);
+        return soliditySha3(
+            { t: "address", v: contractAddress },
+            { t: "address", v: creator },
+            { t: "address", v: opponent },
+            { t: "uint8", v: moveNumber },
+            { t: "bytes32", v: password }
+        );
+    }
+
+    /**
+     * Same as generateOpponentHash of the contract, the hidden move of who joins an open game or plays a hidden
+     * moves game.
+     *
+     * @param {!string} contractAddress
+     * @param {!string} opponent who will call joinOpenGame or commitOpponentMove, then revealOpponentMove.
+     * @param {!string} gameHash
+     * @param {!number | !string} opponentMove
+     * @param {!string} password bytes32.
+     * @param {Object} [ruleSet] of the game, from rule-sets.js, rock, paper or scissors if not set.
+     * @returns {!string} the hash to pass to joinOpenGame or commitOpponentMove.
+     */
+    function generateOpponentHash(contractAddress, opponent, gameHash, opponentMove, password, ruleSet) {
+        if (!isAddress(contractAddress) || !isAddress(opponent)) {
+            throw new Error("Not a valid contract or opponent address");
+        }
+        if (!isBytes32(gameHash) || gameHash === zeroBytes32) {
+            throw new Error("Not a valid game hash");
+        }
+        const moveNumber = requireMove(opponentMove, ruleSet);
+        requirePassword(password);
+        return soliditySha3(
+            { t: "address", v: contractAddress },
+            { t: "address", v: opponent },
+            { t: "bytes32", v: gameHash },
+            { t: "uint8", v: moveNumber },
+            { t: "bytes32", v: password }
+        );
+    }
+
+    /**
+     * Same as generateRoundHash of the contract, the move of the creator for a round of a match after the first.
+     *
+     * @param {!string} contractAddress
+     * @param {!string} creator who will call commitRound and revealRound.
+     * @param {!string} gameHash
+     * @param {!number} round starting at 1, the first one uses generateHash.
+     * @param {!number | !string} creatorMove
+     * @param {!string} password bytes32, a new one for every round.
+     * @returns {!string} the hash to pass to commitRound.
+     */
+    function generateRoundHash(contractAddress, creator, gameHash, round, creatorMove, password) {
+        if (!isAddress(contractAddress) || !isAddress(creator)) {
+            throw new Error("Not a valid contract or creator address");
+        }
+        if (!isBytes32(gameHash) || gameHash === zeroBytes32) {
+            throw new Error("Not a valid game hash");
+        }
+        const moveNumber = requireMove(creatorMove);
+        requirePassword(password);
+        return soliditySha3(
+            { t: "address", v: contractAddress },
+            { t: "address", v: creator },
+            { t: "bytes32", v: gameHash },
+            { t: "uint32", v: round },
+            { t: "uint8", v: moveNumber },
+            { t: "bytes32", v: password }
+        );
+    }
+
+    return {
+        move: move,
+        zeroAddress: zeroAddress,
+        isBytes32: isBytes32,
+        toPassword: toPassword,
+        randomPassword: randomPassword,
+        generateHash: generateHash,
+        generateOpenHash: generateOpenHash,
+        generateRuleSetHash: generateRuleSetHash,
+        generateOpponentHash: generateOpponentHash,
+        generateRoundHash: generateRoundHash
+    };
+};
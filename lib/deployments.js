@@ -0,0 +1,208 @@
+const version = 2;
+
+/**
+ * deployments.json of the project, fs and path are required where used so the browser app can use a registry it
+ * fetched.
+ */
+function defaultFile() {
+    return require("path").join(__dirname, "..", "deployments.json");
+}
+
+/**
+ * Chain id of the network web3 is connected to, the network id on nodes without eth_chainId, which is the chain
+ * id on the public ones.
+ *
+ * @param {!Web3} web3
+ * @returns {Promise<number>}
+ */
+async function getChainId(web3) {
+    try {
+        return Number(web3.eth.getChainId ? await web3.eth.getChainId() : await request(web3, "eth_chainId"));
+    } catch (e) {
+        return Number(await web3.eth.net.getId());
+    }
+}
+
+/**
+ * JSON-RPC call for the web3 versions without a method for it.
+ */
+function request(web3, method) {
+    return new Promise(function(resolve, reject) {
+        web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method: method, params: [] }, function(error, response) {
+            if (error || response.error) {
+                return reject(error || new Error(response.error.message));
+            }
+            resolve(response.result);
+        });
+    });
+}
+
+/**
+ * Chain and network ids of the network web3 is connected to. The chain id alone does not tell local chains apart,
+ * ganache-cli 6 answers 1337 whatever its network id unless started with --chainId.
+ *
+ * @param {!Web3} web3
+ * @returns {Promise<{chainId: number, networkId: number, key: string, name: string}>} key of the network in the
+ *     registry, and name for the messages.
+ */
+async function getNetwork(web3) {
+    const chainId = await getChainId(web3);
+    const networkId = Number(await web3.eth.net.getId());
+    return {
+        chainId: chainId,
+        networkId: networkId,
+        key: chainId + ":" + networkId,
+        name: "chain " + chainId + (networkId === chainId ? "" : " network " + networkId)
+    };
+}
+
+/**
+ * Hash of the interface described by an ABI. Not of its JSON, web3 and truffle add their own fields to the ABI
+ * objects they are given.
+ *
+ * @param {!Web3} web3
+ * @param {!Array<Object>} abi
+ * @returns {string} keccak256 of the sorted signatures.
+ */
+function abiHash(web3, abi) {
+    const types = params => "(" + (params || [])
+        .map(param => param.type + (param.indexed ? " indexed" : "")).join(",") + ")";
+    const signatures = abi.map(item => item.type + " " + (item.name || "") + types(item.inputs) + types(item.outputs)
+        + " " + (item.stateMutability || ""));
+    return web3.utils.sha3(signatures.sort().join("\n"));
+}
+
+/**
+ * Hash of a runtime bytecode without the metadata solc appends, whose hash changes with the comments and the paths
+ * of the sources while the code stays the same.
+ *
+ * @param {!Web3} web3
+ * @param {!string} code hex, from eth_getCode or the deployedBytecode of an artifact.
+ * @returns {?string} keccak256, null when there is no code.
+ */
+function codeHash(web3, code) {
+    let hex = code.replace(/^0x/, "");
+    if (hex.length === 0) {
+        return null;
+    }
+    const metadataLength = (parseInt(hex.substr(-4), 16) + 2) * 2;  // CBOR then its length on 2 bytes
+    if (metadataLength < hex.length) {
+        hex = hex.substr(0, hex.length - metadataLength);
+    }
+    return web3.utils.sha3("0x" + hex);
+}
+
+function emptyRegistry() {
+    return { version: version, networks: {} };
+}
+
+function checkVersion(registry) {
+    if (registry.version !== version) {
+        throw new Error("Unsupported deployment registry version " + registry.version);
+    }
+    return registry;
+}
+
+/**
+ * @param {string} [file] deployments.json of the project by default.
+ * @returns {{version: number, networks: !Object}} the deployments by network key, chain id and network id
+ *     separated by a colon, then contract name.
+ */
+function readRegistry(file = defaultFile()) {
+    const fs = require("fs");
+    if (!fs.existsSync(file)) {
+        return emptyRegistry();
+    }
+    return checkVersion(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Adds a deployment to the registry, replacing the previous one of the contract on the same network. Called by the
+ * migrations.
+ *
+ * @param {!Web3} web3 connected to the network of the deployment.
+ * @param {!Object} artifact truffle contract or JSON from build/contracts.
+ * @param {!{address: string, transactionHash: string}} deployment
+ * @param {string} [file]
+ * @returns {Promise<Object>} the entry recorded.
+ */
+async function recordDeployment(web3, artifact, deployment, file = defaultFile()) {
+    const network = await getNetwork(web3);
+    const receipt = await web3.eth.getTransactionReceipt(deployment.transactionHash);
+    if (receipt === null) {
+        throw new Error("No receipt for the deployment of " + artifact.contractName);
+    }
+    const entry = {
+        address: deployment.address,
+        blockNumber: receipt.blockNumber,
+        transactionHash: deployment.transactionHash,
+        abiHash: abiHash(web3, artifact.abi),
+        codeHash: codeHash(web3, artifact.deployedBytecode)
+    };
+    const registry = readRegistry(file);
+    registry.networks[network.key] = registry.networks[network.key] || {};
+    registry.networks[network.key][artifact.contractName] = entry;
+    require("fs").writeFileSync(file, JSON.stringify(registry, null, 2) + "\n");
+    return entry;
+}
+
+/**
+ * Finds the deployment of the artifact on the network web3 is connected to, and makes sure the code there is the one
+ * of the artifact so that we do not decode events or send transactions with a stale ABI.
+ *
+ * @param {!Web3} web3
+ * @param {!Object} artifact JSON from build/contracts.
+ * @param {Object} [options]
+ * @param {string} [options.address] to use instead of the registered one, the code is checked all the same.
+ * @param {string} [options.file] of the registry.
+ * @param {Object} [options.registry] its content instead, as fetched by the browser app, null when there is none.
+ * @returns {Promise<{chainId: number, networkId: number, address: string, blockNumber: number, contract: Object}>}
+ *     blockNumber is the deployment one, where indexers can start, 0 when unknown.
+ */
+async function loadDeployment(web3, artifact, options = {}) {
+    const name = artifact.contractName;
+    const network = await getNetwork(web3);
+    let registry;
+    if (typeof options.registry === "undefined") {
+        registry = readRegistry(options.file);
+    } else {
+        registry = options.registry === null ? emptyRegistry() : checkVersion(options.registry);
+    }
+    const entry = (registry.networks[network.key] || {})[name];
+    let address = options.address;
+    if (typeof address === "undefined") {
+        if (typeof entry === "undefined") {
+            throw new Error(name + " is not deployed on " + network.name + ", run truffle migrate");
+        }
+        if (entry.abiHash !== abiHash(web3, artifact.abi)) {
+            throw new Error("The ABI of " + name + " changed since its deployment on " + network.name
+                + ", run truffle migrate");
+        }
+        address = entry.address;
+    }
+    const deployedHash = codeHash(web3, await web3.eth.getCode(address));
+    if (deployedHash === null) {
+        throw new Error("There is no contract at " + address + " on " + network.name);
+    }
+    if (deployedHash !== codeHash(web3, artifact.deployedBytecode)) {
+        throw new Error("The code at " + address + " on " + network.name + " is not the " + name + " of the build");
+    }
+    const registered = typeof entry !== "undefined" && entry.address.toLowerCase() === address.toLowerCase();
+    return {
+        chainId: network.chainId,
+        networkId: network.networkId,
+        address: address,
+        blockNumber: registered ? entry.blockNumber : 0,
+        contract: new web3.eth.Contract(artifact.abi, address)
+    };
+}
+
+module.exports = {
+    getChainId: getChainId,
+    getNetwork: getNetwork,
+    abiHash: abiHash,
+    codeHash: codeHash,
+    readRegistry: readRegistry,
+    recordDeployment: recordDeployment,
+    loadDeployment: loadDeployment
+};
@@ -0,0 +1,41 @@
+/**
+ * Gas limit of the transactions we send: the estimate of the node raised by a margin. Sending exactly the estimate
+ * runs out of gas when the state changes between the estimation and the mining, and ganache-cli 6 estimates some of
+ * our transactions below what they use.
+ */
+const margin = 1.2;
+
+/**
+ * @param {number} estimate gas estimated by the node.
+ * @returns {number} the gas limit to send with.
+ */
+function withMargin(estimate) {
+    return Math.ceil(estimate * margin);
+}
+
+/**
+ * @param {!Object} method a web3 contract method object.
+ * @param {!Object} options of the transaction, from and value.
+ * @returns {Promise<number>} the gas to send with.
+ */
+async function estimateGas(method, options) {
+    return withMargin(await method.estimateGas(options));
+}
+
+/**
+ * Sends the transaction with the estimated gas and its margin.
+ *
+ * @param {!Object} method a web3 contract method object.
+ * @param {!Object} options of the transaction, from and value.
+ * @returns {Promise<Object>} the receipt.
+ */
+async function send(method, options) {
+    return method.send(Object.assign({}, options, { gas: await estimateGas(method, options) }));
+}
+
+module.exports = {
+    margin: margin,
+    withMargin: withMargin,
+    estimateGas: estimateGas,
+    send: send
+};
@@ -0,0 +1,449 @@
+const version = 2;
+
+const status = {
+    open: "open",  // waiting for the opponent
+    committed: "committed",  // open game joined or hidden move committed, waiting for the moves to be revealed
+    joined: "joined",  // waiting for the creator to reveal
+    round: "round",  // round of a match revealed, waiting for the creator to commit the next one
+    roundCommitted: "roundCommitted",  // next round of a match committed, waiting for the opponent to play it
+    revealed: "revealed",
+    claimed: "claimed",
+    cancelled: "cancelled",
+    refunded: "refunded"  // after a kill
+};
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Keeps the named arguments of a web3 event only, as strings so they survive JSON.
+ */
+function normalize(event) {
+    const args = {};
+    Object.keys(event.returnValues)
+        .filter(key => isNaN(key))
+        .forEach(key => args[key] = event.returnValues[key].toString());
+    return {
+        event: event.event,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        args: args
+    };
+}
+
+/**
+ * Applies one normalized event on the games and withdrawals.
+ */
+function reduce(state, event) {
+    const args = event.args;
+    const game = state.games[args.hash];
+    const step = { event: event.event, blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+    if (typeof game === "undefined" && typeof args.hash !== "undefined" && event.event !== "LogNewGame") {
+        return;  // a game created before fromBlock
+    }
+    switch (event.event) {
+        case "LogNewGame":
+            state.games[args.hash] = {
+                hash: args.hash,
+                creator: args.creator,
+                opponent: args.opponent,
+                bet: args.bet,
+                expiration: Number(args.expiration),
+                revealSeconds: Number(args.revealSeconds),
+                status: status.open,
+                opponentMove: 0,
+                ruleSet: 0,
+                createdBlock: event.blockNumber,
+                history: [step]
+            };
+            return;
+        case "LogTokenGame":
+            game.token = args.token;
+            break;
+        case "LogRuleSetGame":
+            game.ruleSet = Number(args.ruleSet);
+            break;
+        case "LogHiddenGame":
+            game.hiddenMoves = true;
+            game.creatorMove = 0;
+            break;
+        case "LogOpponentCommit":
+            game.status = status.committed;
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogCreatorMove":
+            game.creatorMove = Number(args.move);
+            break;
+        case "LogNewMatch":
+            game.winsNeeded = Number(args.winsNeeded);
+            game.creatorWins = 0;
+            game.opponentWins = 0;
+            game.rounds = 0;
+            break;
+        case "LogRoundCommit":
+            game.status = status.roundCommitted;
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogRoundResult":
+            game.status = status.round;
+            game.rounds = Number(args.round);
+            game.creatorWins = Number(args.creatorWins);
+            game.opponentWins = Number(args.opponentWins);
+            game.opponentMove = 0;
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogJoinOpenGame":
+            game.status = status.committed;
+            game.opponent = args.opponent;
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogOpponentMove":
+            game.status = status.joined;
+            game.opponentMove = Number(args.move);
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogBetFromBalance":
+            game.fromBalance = game.fromBalance || {};
+            game.fromBalance[args.who] = args.amount;
+            break;
+        case "LogFee":
+            game.fee = args.amount;
+            break;
+        case "LogRevealResult":
+            game.status = status.revealed;
+            game.creatorAmount = args.creatorAmount;
+            game.opponentAmount = args.opponentAmount;
+            break;
+        case "LogClaimAfterExpiration":
+            game.status = status.claimed;
+            game.claimedBy = args.who;
+            game.claimedAmount = args.amount;
+            break;
+        case "LogCancelRequested":
+            game.cancelRequested = true;
+            game.expiration = Number(args.newExpiration);
+            break;
+        case "LogCancelGame":
+            game.status = status.cancelled;
+            game.claimedBy = args.creator;
+            game.claimedAmount = args.amount;
+            break;
+        case "LogEmergencyRefund":
+            game.status = status.refunded;
+            game.creatorAmount = args.creatorAmount;
+            game.opponentAmount = args.opponentAmount;
+            break;
+        case "LogWithdraw":
+        case "LogEmergencyWithdraw":
+        case "LogWithdrawTokens":
+        case "LogEmergencyWithdrawTokens":
+            state.withdrawals.push({ who: args.who, amount: args.amount, token: args.token || null, blockNumber: event.blockNumber });
+            return;
+        default:
+            return;
+    }
+    game.history.push(step);
+}
+
+const settled = [ status.revealed, status.claimed, status.cancelled, status.refunded ];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function emptyState(fromBlock) {
+    return {
+        version: version,
+        fromBlock: fromBlock,
+        lastBlock: fromBlock - 1,
+        checkpoints: [],  // {number, hash} of recent blocks, newest last, to detect reorgs
+        base: { blockNumber: fromBlock - 1, games: {}, withdrawals: [] },  // games up to blockNumber, events compacted
+        events: [],  // after base.blockNumber
+        games: {},  // base then events, not saved
+        withdrawals: []
+    };
+}
+
+/**
+ * Rebuilds the state of every game of a RockPaperScissors contract from its events, as the contract cannot list
+ * them. The state is saved in a storage after every batch so a restart resumes from the last processed block.
+ * Reorgs are detected by comparing the hashes of recently processed blocks with the chain, the events of the
+ * dropped blocks are then discarded and the games rebuilt from the remaining events.
+ *
+ * So the store does not grow forever, the events older than the oldest checkpoint are compacted into a base state
+ * at the start of each sync. The games keep their history there, unless pruneSettled drops the games settled before
+ * the oldest checkpoint along with the withdrawals.
+ * A reorg deeper than the checkpoints rebuilds everything from fromBlock.
+ */
+class GameIndexer {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!Object} options.contract a web3 RockPaperScissors contract.
+     * @param {!{load: function(): ?string, save: function(string)}} options.storage see storage.js.
+     * @param {number} [options.fromBlock] usually the deployment block.
+     * @param {number} [options.batchSize] blocks per getPastEvents call.
+     * @param {number} [options.confirmations] blocks to wait before indexing a block.
+     * @param {number} [options.maxCheckpoints] how many recent block hashes to keep, the deepest reorg handled
+     *     without a full rebuild.
+     * @param {boolean} [options.pruneSettled] forget the settled games and the withdrawals once compacted.
+     */
+    constructor(options) {
+        this.web3 = options.web3;
+        this.contract = options.contract;
+        this.storage = options.storage;
+        this.batchSize = options.batchSize || 5000;
+        this.confirmations = options.confirmations || 0;
+        this.maxCheckpoints = options.maxCheckpoints || 64;
+        this.pruneSettled = options.pruneSettled || false;
+
+        const data = this.storage.load();
+        this.state = data ? JSON.parse(data) : emptyState(options.fromBlock || 0);
+        if (this.state.version === 1) {
+            // Nothing was compacted yet, all its events go after an empty base
+            this.state = Object.assign(emptyState(this.state.fromBlock), {
+                lastBlock: this.state.lastBlock,
+                checkpoints: this.state.checkpoints,
+                events: this.state.events
+            });
+        }
+        if (this.state.version !== version) {
+            throw new Error("Unsupported indexer store version " + this.state.version);
+        }
+        this._replay(this.state.events);
+    }
+
+    get lastBlock() {
+        return this.state.lastBlock;
+    }
+
+    _save() {
+        const state = this.state;
+        this.storage.save(JSON.stringify({
+            version: state.version,
+            fromBlock: state.fromBlock,
+            lastBlock: state.lastBlock,
+            checkpoints: state.checkpoints,
+            base: state.base,
+            events: state.events
+        }));
+    }
+
+    _addCheckpoint(number, hash) {
+        const checkpoints = this.state.checkpoints;
+        if (checkpoints.length > 0 && checkpoints[checkpoints.length - 1].number >= number) {
+            return;
+        }
+        checkpoints.push({ number: number, hash: hash });
+        if (checkpoints.length > this.maxCheckpoints) {
+            checkpoints.shift();
+        }
+    }
+
+    /**
+     * Rebuilds the games from the base state and `events`.
+     */
+    _replay(events) {
+        this.state.games = clone(this.state.base.games);
+        this.state.withdrawals = clone(this.state.base.withdrawals);
+        this.state.events = [];
+        events.forEach(event => this._apply(event));
+    }
+
+    /**
+     * Forgets everything after `blockNumber` and rebuilds the games from the events kept, or from fromBlock when
+     * `blockNumber` is before the base state.
+     */
+    _rewind(blockNumber) {
+        if (blockNumber < this.state.base.blockNumber) {
+            this.state = emptyState(this.state.fromBlock);
+            return;
+        }
+        this.state.lastBlock = blockNumber;
+        this.state.checkpoints = this.state.checkpoints.filter(checkpoint => checkpoint.number <= blockNumber);
+        this._replay(this.state.events.filter(event => event.blockNumber <= blockNumber));
+    }
+
+    /**
+     * Moves the events up to the oldest checkpoint, deeper than any reorg handled, into the base state.
+     */
+    _compact() {
+        const state = this.state;
+        if (state.checkpoints.length === 0) {
+            return;
+        }
+        const blockNumber = state.checkpoints[0].number;
+        state.events.filter(event => event.blockNumber <= blockNumber).forEach(event => reduce(state.base, event));
+        state.events = state.events.filter(event => event.blockNumber > blockNumber);
+        state.base.blockNumber = blockNumber;
+        if (!this.pruneSettled) {
+            return;
+        }
+        Object.values(state.base.games)
+            .filter(game => settled.includes(game.status))
+            .forEach(game => {
+                delete state.base.games[game.hash];
+                delete state.games[game.hash];
+            });
+        state.base.withdrawals = [];
+        state.withdrawals = state.withdrawals.filter(withdrawal => withdrawal.blockNumber > blockNumber);
+    }
+
+    _apply(event) {
+        this.state.events.push(event);
+        reduce(this.state, event);
+    }
+
+    /**
+     * Finds the newest checkpoint still in the chain and rewinds to it.
+     *
+     * @returns {Promise<boolean>} true if there was a reorg.
+     */
+    async _checkReorg() {
+        const checkpoints = this.state.checkpoints;
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const block = await this.web3.eth.getBlock(checkpoints[i].number);
+            if (block !== null && block.hash === checkpoints[i].hash) {
+                if (i === checkpoints.length - 1) {
+                    return false;
+                }
+                this._rewind(checkpoints[i].number);
+                return true;
+            }
+        }
+        if (checkpoints.length === 0) {
+            return false;
+        }
+        // Deeper than the checkpoints we kept
+        this._rewind(this.state.fromBlock - 1);
+        return true;
+    }
+
+    /**
+     * Indexes up to the latest confirmed block.
+     *
+     * @returns {Promise<{reorg: boolean, events: number}>} what happened.
+     */
+    async sync() {
+        const reorg = await this._checkReorg();
+        // The events of the previous sync are compacted only now, so eventsAfter still had them in between
+        this._compact();
+        if (reorg) {
+            this._save();
+        }
+        const latest = await this.web3.eth.getBlockNumber() - this.confirmations;
+        let count = 0;
+        for (let from = this.state.lastBlock + 1; from <= latest; from = this.state.lastBlock + 1) {
+            const to = Math.min(from + this.batchSize - 1, latest);
+            const events = await this.contract.getPastEvents("allEvents", { fromBlock: from, toBlock: to });
+            events.map(normalize).forEach(event => {
+                this._addCheckpoint(event.blockNumber, event.blockHash);
+                this._apply(event);
+            });
+            const block = await this.web3.eth.getBlock(to);
+            this._addCheckpoint(to, block.hash);
+            this.state.lastBlock = to;
+            this._save();
+            count += events.length;
+        }
+        return { reorg: reorg, events: count };
+    }
+
+    /**
+     * @returns {?Object} the game or null if unknown.
+     */
+    game(hash) {
+        return this.state.games[hash] || null;
+    }
+
+    /**
+     * @returns {!Array<Object>} all the games, oldest first.
+     */
+    games() {
+        return Object.values(this.state.games);
+    }
+
+    /**
+     * @param {number} blockNumber
+     * @returns {!Array<Object>} the normalized events of the blocks after `blockNumber`, oldest first. Only the
+     *     events of the last sync and of the blocks after the oldest checkpoint are kept.
+     */
+    eventsAfter(blockNumber) {
+        return this.state.events.filter(event => event.blockNumber > blockNumber);
+    }
+
+    /**
+     * @param {!string} address
+     * @returns {!Array<{who: string, amount: string, token: ?string, blockNumber: number}>} token is null for ether,
+     *     the recent ones only with pruneSettled.
+     */
+    withdrawals(address) {
+        return this.state.withdrawals.filter(withdrawal => sameAddress(withdrawal.who, address));
+    }
+
+    /**
+     * Games `opponent` can still join.
+     *
+     * @param {!string} opponent
+     * @param {number} now timestamp in seconds, of the latest block ideally.
+     */
+    openGamesFor(opponent, now) {
+        return this.games().filter(game => game.status === status.open
+            && sameAddress(game.opponent, opponent) && now <= game.expiration);
+    }
+
+    /**
+     * Open games anyone but their creator can still join.
+     *
+     * @param {number} now timestamp in seconds.
+     * @param {string} [player] to leave out the games he created.
+     */
+    openChallenges(now, player) {
+        return this.games().filter(game => game.status === status.open
+            && /^0x0{40}$/.test(game.opponent) && now <= game.expiration
+            && (typeof player === "undefined" || !sameAddress(game.creator, player)));
+    }
+
+    /**
+     * Matches where `opponent` must play the round the creator committed before expiration.
+     *
+     * @param {!string} opponent
+     * @param {number} now timestamp in seconds.
+     */
+    roundsToPlay(opponent, now) {
+        return this.games().filter(game => game.status === status.roundCommitted
+            && sameAddress(game.opponent, opponent) && now <= game.expiration);
+    }
+
+    /**
+     * Games where the opponent moved, or committed his hidden move, and `creator` must reveal before expiration.
+     *
+     * @param {!string} creator
+     * @param {number} now timestamp in seconds.
+     */
+    awaitingReveal(creator, now) {
+        return this.games().filter(game => (game.status === status.joined
+            || game.hiddenMoves && game.status === status.committed && game.creatorMove === 0)
+            && sameAddress(game.creator, creator) && now <= game.expiration);
+    }
+
+    /**
+     * Games past expiration where nobody claimed yet, of `address` as creator or opponent if set.
+     *
+     * @param {number} now timestamp in seconds.
+     * @param {string} [address]
+     */
+    expiredUnclaimed(now, address) {
+        return this.games().filter(game => game.status !== status.revealed && game.status !== status.claimed
+            && game.status !== status.cancelled && game.status !== status.refunded && now > game.expiration
+            && (typeof address === "undefined" || sameAddress(game.creator, address) || sameAddress(game.opponent, address)));
+    }
+}
+
+GameIndexer.status = status;
+
+module.exports = GameIndexer;
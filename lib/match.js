@@ -0,0 +1,172 @@
+const commitmentFactory = require("./commitment.js");
+const gas = require("./gas.js");
+
+const turn = {
+    play: "play",  // the opponent plays the round
+    reveal: "reveal",  // the creator reveals the round
+    commit: "commit",  // the creator commits the next round
+    over: "over"
+};
+
+/**
+ * Drives the rounds of a best-of-N match, each round is a commit by the creator, a move of the opponent and a
+ * reveal. Call step for each player until the match is over, it does whatever is his turn. The secrets of the
+ * creator are kept in the vault, a new password for every round.
+ */
+class MatchDriver {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!Object} options.contract a web3 RockPaperScissors contract.
+     * @param {!SecretVault} options.vault
+     * @param {!string} options.account the player, creator or opponent.
+     */
+    constructor(options) {
+        this.web3 = options.web3;
+        this.contract = options.contract;
+        this.vault = options.vault;
+        this.account = options.account;
+        this.commitment = commitmentFactory(this.web3);
+    }
+
+    get address() {
+        return this.contract.options.address;
+    }
+
+    async send(method, value = "0") {
+        return gas.send(method, { from: this.account, value: value });
+    }
+
+    /**
+     * @param {!string} hash
+     * @returns {Promise<{round: number, winsNeeded: number, creatorWins: number, opponentWins: number, turn: string,
+     *     game: Object}>} where the match is, round being the one currently played, starting at 1.
+     */
+    async state(hash) {
+        const game = await this.contract.methods.games(hash).call();
+        if (game.winsNeeded.toString() === "0") {
+            throw new Error("There is no match " + hash + ".");
+        }
+        const rounds = Number(game.rounds);
+        let current;
+        if (game.bet.toString() === "0") {
+            current = turn.over;
+        } else if (game.opponentMove.toString() !== "0") {
+            current = turn.reveal;
+        } else if (rounds > 0 && /^0x0{64}$/.test(game.roundHash)) {
+            current = turn.commit;
+        } else {
+            current = turn.play;
+        }
+        return {
+            round: current === turn.over ? rounds : rounds + 1,
+            winsNeeded: Number(game.winsNeeded),
+            creatorWins: Number(game.creatorWins),
+            opponentWins: Number(game.opponentWins),
+            turn: current,
+            game: game
+        };
+    }
+
+    /**
+     * Creates a match against `opponent`, `move` being the one of the first round.
+     *
+     * @param {!string} opponent
+     * @param {number} bestOf 3, 5, 7 or 9.
+     * @param {!string} bet in wei.
+     * @param {number} seconds to expiration of the first round.
+     * @param {number} move
+     * @returns {Promise<string>} the hash of the match.
+     */
+    async create(opponent, bestOf, bet, seconds, move) {
+        const entry = {
+            contract: this.address,
+            hash: null,
+            creator: this.account,
+            opponent: opponent,
+            move: move,
+            password: this.commitment.randomPassword(),
+            round: 1,
+            expiration: 0
+        };
+        entry.hash = this.commitment.generateHash(entry.contract, entry.creator, opponent, move, entry.password);
+        this.vault.add(entry);  // before sending, the password must never be lost
+        let receipt;
+        try {
+            receipt = await this.send(this.contract.methods.newMatch(entry.hash, opponent, seconds, bestOf), bet);
+        } catch (e) {
+            this.vault.remove(entry.contract, entry.hash);
+            throw e;
+        }
+        entry.expiration = Number(receipt.events.LogNewGame.returnValues.expiration);
+        this.vault.add(entry);
+        return entry.hash;
+    }
+
+    /**
+     * Does the turn of the account, if it is his.
+     *
+     * @param {!string} hash
+     * @param {number} [move] needed to commit or play.
+     * @returns {Promise<?{turn: string, receipt: Object}>} null when it is the turn of the other player.
+     */
+    async step(hash, move) {
+        const state = await this.state(hash);
+        const game = state.game;
+        const isCreator = game.creator.toLowerCase() === this.account.toLowerCase();
+        if (state.turn === turn.over || isCreator === (state.turn === turn.play)) {
+            return null;
+        }
+        let receipt;
+        switch (state.turn) {
+            case turn.play:
+                if (typeof move === "undefined") {
+                    throw new Error("A move is needed to play the round.");
+                }
+                receipt = state.round === 1
+                    ? await this.send(this.contract.methods.setOpponentMove(hash, move), game.bet)
+                    : await this.send(this.contract.methods.playRound(hash, move));
+                break;
+            case turn.commit: {
+                if (typeof move === "undefined") {
+                    throw new Error("A move is needed to commit the round.");
+                }
+                const entry = Object.assign({}, this.vault.get(this.address, hash), {
+                    contract: this.address,
+                    hash: hash,
+                    creator: this.account,
+                    opponent: game.opponent,
+                    move: move,
+                    password: this.commitment.randomPassword(),
+                    round: state.round
+                });
+                this.vault.add(entry);
+                const roundHash = this.commitment.generateRoundHash(entry.contract, entry.creator, hash, entry.round,
+                    move, entry.password);
+                receipt = await this.send(this.contract.methods.commitRound(hash, roundHash));
+                entry.expiration = Number(receipt.events.LogRoundCommit.returnValues.newExpiration);
+                this.vault.add(entry);
+                break;
+            }
+            case turn.reveal: {
+                const entry = this.vault.get(this.address, hash);
+                if (entry === null || entry.round !== state.round) {
+                    throw new Error("The secret of round " + state.round + " of " + hash + " is not in the vault.");
+                }
+                receipt = state.round === 1
+                    ? await this.send(this.contract.methods.revealResult(entry.opponent, entry.move, entry.password))
+                    : await this.send(this.contract.methods.revealRound(hash, entry.move, entry.password));
+                if (typeof receipt.events.LogRevealResult !== "undefined") {
+                    this.vault.remove(this.address, hash);
+                }
+                break;
+            }
+        }
+        return { turn: state.turn, receipt: receipt };
+    }
+}
+
+MatchDriver.turn = turn;
+
+module.exports = MatchDriver;
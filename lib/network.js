@@ -0,0 +1,18 @@
+/**
+ * Url of a network of truffle-config.js, by the same name as in `truffle migrate --network`.
+ *
+ * @param {!string} network
+ * @param {Object} [config] defaults to the truffle-config.js of the project.
+ * @returns {!string}
+ */
+function getProviderUrl(network, config = require("../truffle-config.js")) {
+    const settings = config.networks[network];
+    if (typeof settings === "undefined") {
+        throw new Error("Unknown network " + network + " in truffle-config.js");
+    }
+    return "http://" + settings.host + ":" + settings.port;
+}
+
+module.exports = {
+    getProviderUrl: getProviderUrl
+};
@@ -0,0 +1,404 @@
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const GameIndexer = require("./indexer.js");
+
+const version = 1;
+const zeroAddress = /^0x0{40}$/;
+
+const type = {
+    challenged: "challenged",  // a game was created with the player as opponent
+    opponentMoved: "opponentMoved",  // the opponent moved, the player must reveal by `revealBy`
+    result: "result",  // the game was revealed
+    deadline: "deadline",  // the player must act before `deadline`, sent once `remindBefore` seconds before it
+    withdrawable: "withdrawable"  // `amount` was added to the balance of the player
+};
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * The signature sent in the X-RPS-Signature header: HMAC-SHA256 of the timestamp, a dot and the body.
+ *
+ * @param {!string} secret of the subscription.
+ * @param {number|string} timestamp the X-RPS-Timestamp header, in seconds.
+ * @param {!string} body the raw JSON.
+ * @returns {string} "sha256=" followed by the hex HMAC.
+ */
+function sign(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(timestamp + "." + body).digest("hex");
+}
+
+/**
+ * For the receivers: checks the signature of a delivery and that it is recent, so that a payload seen once cannot
+ * be replayed later.
+ *
+ * @param {!string} secret of the subscription.
+ * @param {!Object} headers of the request, as node lower cases them.
+ * @param {!string} body the raw JSON, before parsing.
+ * @param {number} [maxAge] seconds a delivery stays valid, 300 by default.
+ * @returns {boolean}
+ */
+function verifySignature(secret, headers, body, maxAge = 300) {
+    const timestamp = Number(headers["x-rps-timestamp"]);
+    const signature = headers["x-rps-signature"];
+    if (!Number.isInteger(timestamp) || typeof signature !== "string"
+        || Math.abs(Date.now() / 1000 - timestamp) > maxAge) {
+        return false;
+    }
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * POSTs the body once.
+ *
+ * @returns {Promise<number>} the status code of the answer.
+ */
+function post(url, body, headers, timeout) {
+    const client = url.startsWith("https:") ? https : http;
+    return new Promise(function(resolve, reject) {
+        const request = client.request(url, {
+            method: "POST",
+            headers: Object.assign({
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body)
+            }, headers)
+        }, function(response) {
+            response.resume();
+            response.on("end", () => resolve(response.statusCode));
+        });
+        request.setTimeout(timeout, () => request.destroy(new Error("No answer after " + timeout + "ms")));
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+function emptyState() {
+    return {
+        version: version,
+        lastBlock: null,  // of the last notified events, null until the first poll
+        subscriptions: [],  // {address, url, secret}
+        reminded: {}  // hash => expiration of the deadline notification sent
+    };
+}
+
+/**
+ * Pushes the game events of a RockPaperScissors contract to the players as webhooks, so that they do not have to
+ * watch the chain: a POST of a JSON payload to the URLs they subscribed for their address. Each subscription has its
+ * own secret, the payload is signed with it, see verifySignature. Failed deliveries are retried with an exponential
+ * backoff, a 4xx answer other than 408 and 429 is final.
+ *
+ * The games come from a GameIndexer, only the events of the blocks mined after the first poll are notified. The
+ * subscriptions and the progress are saved in a storage so a restart neither loses nor repeats notifications, a reorg
+ * deeper than the confirmations of the indexer can still do both.
+ *
+ * Emits "delivered" with (subscription, payload) and "failed" with (subscription, payload, error) once retries are
+ * exhausted.
+ */
+class Notifier extends EventEmitter {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!GameIndexer} options.indexer
+     * @param {!{load: function(): ?string, save: function(string)}} options.storage see storage.js.
+     * @param {number} [options.remindBefore] seconds before a deadline to remind the player who must act.
+     * @param {number} [options.retries] attempts per delivery.
+     * @param {number} [options.retryDelay] milliseconds before the first retry, doubled on every next one.
+     * @param {number} [options.maxRetryDelay] milliseconds the delay between retries never goes above.
+     * @param {number} [options.timeout] milliseconds to wait for an answer.
+     * @param {number} [options.pollInterval] milliseconds between polls when running.
+     * @param {{info: function, error: function}} [options.logger]
+     */
+    constructor(options) {
+        super();
+        this.web3 = options.web3;
+        this.indexer = options.indexer;
+        this.storage = options.storage;
+        this.remindBefore = typeof options.remindBefore === "number" ? options.remindBefore : 3600;
+        this.retries = options.retries || 5;
+        this.retryDelay = typeof options.retryDelay === "number" ? options.retryDelay : 1000;
+        this.maxRetryDelay = options.maxRetryDelay || 60000;
+        this.timeout = options.timeout || 10000;
+        this.pollInterval = options.pollInterval || 15000;
+        this.logger = options.logger || console;
+        this.running = false;
+
+        const data = this.storage.load();
+        this.state = data ? JSON.parse(data) : emptyState();
+        if (this.state.version !== version) {
+            throw new Error("Unsupported notifier store version " + this.state.version);
+        }
+    }
+
+    get address() {
+        return this.indexer.contract.options.address;
+    }
+
+    _save() {
+        this.storage.save(JSON.stringify(this.state));
+    }
+
+    /**
+     * Sends the notifications of `address` to `url` from now on.
+     *
+     * @param {!string} address of the player.
+     * @param {!string} url http or https.
+     * @param {string} [secret] to sign the payloads with, a random one by default.
+     * @returns {{address: string, url: string, secret: string}} to give to the receiver.
+     */
+    subscribe(address, url, secret) {
+        if (!this.web3.utils.isAddress(address)) {
+            throw new Error("Not an address: " + address);
+        }
+        if (!/^https?:\/\//.test(url)) {
+            throw new Error("Not an http or https URL: " + url);
+        }
+        this.unsubscribe(address, url);
+        const subscription = { address: address, url: url, secret: secret || crypto.randomBytes(32).toString("hex") };
+        this.state.subscriptions.push(subscription);
+        this._save();
+        return subscription;
+    }
+
+    /**
+     * @returns {boolean} false if there was no such subscription.
+     */
+    unsubscribe(address, url) {
+        const count = this.state.subscriptions.length;
+        this.state.subscriptions = this.state.subscriptions
+            .filter(subscription => !sameAddress(subscription.address, address) || subscription.url !== url);
+        this._save();
+        return this.state.subscriptions.length < count;
+    }
+
+    /**
+     * @param {string} [address] only the subscriptions of this player if set.
+     */
+    subscriptions(address) {
+        return this.state.subscriptions
+            .filter(subscription => typeof address === "undefined" || sameAddress(subscription.address, address));
+    }
+
+    /**
+     * What `event` tells each player.
+     *
+     * @returns {!Array<{player: string, type: string}>} with the details of the type.
+     */
+    notificationsOf(event) {
+        const args = event.args;
+        const game = this.indexer.game(args.hash);
+        if (game === null) {
+            return [];
+        }
+        const token = game.token || null;
+        const withdrawable = (player, amount) => amount === "0" ? []
+            : [{ player: player, type: type.withdrawable, amount: amount, token: token }];
+        switch (event.event) {
+            case "LogNewGame":
+                return zeroAddress.test(args.opponent) ? [] : [{
+                    player: args.opponent,
+                    type: type.challenged,
+                    creator: args.creator,
+                    bet: args.bet,
+                    token: token,
+                    expiration: Number(args.expiration)
+                }];
+            case "LogOpponentMove":
+                if (game.hiddenMoves) {
+                    return [];  // the creator was told when the opponent committed
+                }
+                // falls through
+            case "LogOpponentCommit": {
+                const revealBy = Number(args.newExpiration);
+                return [{
+                    player: game.creator,
+                    type: type.opponentMoved,
+                    move: event.event === "LogOpponentMove" ? Number(args.move) : null,
+                    revealBy: revealBy,
+                    revealByDate: new Date(revealBy * 1000).toISOString()
+                }];
+            }
+            case "LogRevealResult":
+                return [args.creator, args.opponent]
+                    .map(player => ({
+                        player: player,
+                        type: type.result,
+                        creatorAmount: args.creatorAmount,
+                        opponentAmount: args.opponentAmount,
+                        token: token
+                    }))
+                    .concat(withdrawable(args.creator, args.creatorAmount))
+                    .concat(withdrawable(args.opponent, args.opponentAmount));
+            case "LogEmergencyRefund":
+                return withdrawable(args.creator, args.creatorAmount)
+                    .concat(withdrawable(args.opponent, args.opponentAmount));
+            case "LogClaimAfterExpiration":
+                // Nobody revealed a hidden moves game: the claimer is paid, the other one credited with his bet
+                return game.hiddenMoves && game.creatorMove === 0 && game.opponentMove === 0
+                    ? withdrawable(sameAddress(args.who, game.creator) ? game.opponent : game.creator, args.amount)
+                    : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * @returns {!Array<string>} the players who must act in `game` before its expiration.
+     */
+    mustAct(game) {
+        const status = GameIndexer.status;
+        if (game.status === status.joined || game.status === status.round) {
+            return [game.creator];  // reveal, or commit the next round of the match
+        }
+        if (game.status === status.committed && game.hiddenMoves) {
+            return [game.creatorMove === 0 ? game.creator : null, game.opponentMove === 0 ? game.opponent : null]
+                .filter(player => player !== null);
+        }
+        if (game.status === status.committed || game.status === status.roundCommitted) {
+            return [game.opponent];  // reveal the move he joined with, or play the next round of the match
+        }
+        return [];
+    }
+
+    /**
+     * Deadline notifications of the games expiring within remindBefore, once per deadline.
+     */
+    deadlines(now) {
+        const notifications = [];
+        const reminded = {};
+        this.indexer.games().forEach(game => {
+            const players = now <= game.expiration ? this.mustAct(game) : [];
+            if (players.length === 0) {
+                return;
+            }
+            if (this.state.reminded[game.hash] === game.expiration) {
+                reminded[game.hash] = game.expiration;
+            } else if (game.expiration - now <= this.remindBefore) {
+                reminded[game.hash] = game.expiration;
+                players.forEach(player => notifications.push({
+                    id: game.hash + ":" + game.expiration + ":" + type.deadline + ":" + player.toLowerCase(),
+                    player: player,
+                    type: type.deadline,
+                    hash: game.hash,
+                    deadline: game.expiration,
+                    deadlineDate: new Date(game.expiration * 1000).toISOString(),
+                    secondsLeft: game.expiration - now
+                }));
+            }
+        });
+        this.state.reminded = reminded;  // forgets the games nobody has to act in anymore
+        return notifications;
+    }
+
+    /**
+     * Delivers one payload to one subscription with retries.
+     *
+     * @returns {Promise<boolean>} true once the receiver answered 2xx.
+     */
+    async deliver(subscription, payload) {
+        const body = JSON.stringify(payload);
+        let lastError;
+        for (let attempt = 0; attempt < this.retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(Math.min(this.retryDelay * Math.pow(2, attempt - 1), this.maxRetryDelay));
+            }
+            const timestamp = Math.floor(Date.now() / 1000);
+            try {
+                const statusCode = await post(subscription.url, body, {
+                    "X-RPS-Delivery": payload.id,
+                    "X-RPS-Timestamp": timestamp.toString(),
+                    "X-RPS-Signature": sign(subscription.secret, timestamp, body)
+                }, this.timeout);
+                if (statusCode >= 200 && statusCode < 300) {
+                    this.emit("delivered", subscription, payload);
+                    return true;
+                }
+                lastError = new Error("The receiver answered " + statusCode);
+                if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429) {
+                    break;
+                }
+            } catch (e) {
+                lastError = e;
+            }
+            this.logger.error("Attempt " + (attempt + 1) + " of " + payload.id + " to " + subscription.url
+                + " failed: " + lastError.message);
+        }
+        this.emit("failed", subscription, payload, lastError);
+        return false;
+    }
+
+    /**
+     * Does one round: indexes the new events, then sends their notifications and the deadline reminders to the
+     * subscribers, all deliveries in parallel.
+     *
+     * @returns {Promise<number>} how many payloads were delivered.
+     */
+    async poll() {
+        if (this.state.lastBlock === null) {
+            this.state.lastBlock = await this.web3.eth.getBlockNumber();
+        }
+        await this.indexer.sync();
+        const notifications = [];
+        this.indexer.eventsAfter(this.state.lastBlock).forEach(event => {
+            this.notificationsOf(event).forEach(notification => notifications.push(Object.assign({
+                id: event.transactionHash + ":" + event.logIndex + ":" + notification.type + ":"
+                    + notification.player.toLowerCase(),
+                hash: event.args.hash,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            }, notification)));
+        });
+        this.state.lastBlock = this.indexer.lastBlock;
+        const now = (await this.web3.eth.getBlock("latest")).timestamp;
+        this.deadlines(now).forEach(notification => notifications.push(notification));
+
+        const deliveries = [];
+        notifications.forEach(notification => {
+            const payload = Object.assign({ contract: this.address }, notification);
+            this.subscriptions(notification.player)
+                .forEach(subscription => deliveries.push(this.deliver(subscription, payload)));
+        });
+        const delivered = (await Promise.all(deliveries)).filter(done => done).length;
+        this._save();
+        return delivered;
+    }
+
+    /**
+     * Polls until stop is called.
+     */
+    async run() {
+        this.running = true;
+        while (this.running) {
+            try {
+                const delivered = await this.poll();
+                if (delivered > 0) {
+                    this.logger.info("Delivered " + delivered + " notifications");
+                }
+            } catch (e) {
+                this.logger.error("Poll failed: " + e.message);
+            }
+            await sleep(this.pollInterval);
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+}
+
+Notifier.type = type;
+
+module.exports = {
+    Notifier: Notifier,
+    sign: sign,
+    verifySignature: verifySignature
+};
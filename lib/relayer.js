@@ -0,0 +1,168 @@
+const http = require("http");
+const signedMovesFactory = require("./signed-moves.js");
+const { explain } = require("./revert-reasons.js");
+const { withMargin } = require("./gas.js");
+
+const maxBodyBytes = 16 * 1024;
+
+/**
+ * Sends the signed moves of players to RockPaperScissorsForwarder and pays the gas, repaid by the fee each payload
+ * takes from the balance of its player in RockPaperScissors. Every payload is simulated first, so one that would
+ * revert costs nothing and its reason goes back to the player.
+ */
+class Relayer {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!Object} options.forwarder a web3 RockPaperScissorsForwarder contract.
+     * @param {!string} options.account sends the transactions and gets the fees.
+     * @param {string} [options.minGasPrice] in wei, the fee must pay at least this price for the gas used, 0 by
+     *     default to relay for free.
+     */
+    constructor(options) {
+        this.web3 = options.web3;
+        this.forwarder = options.forwarder;
+        this.account = options.account;
+        this.minGasPrice = this.web3.utils.toBN(options.minGasPrice || "0");
+        this.signedMoves = signedMovesFactory(this.web3);
+    }
+
+    /**
+     * @returns {Promise<Object>} what players need to sign for this relayer.
+     */
+    async info() {
+        return {
+            forwarder: this.forwarder.options.address,
+            domain: await this.signedMoves.getDomain(this.forwarder),
+            relayer: this.account,
+            minGasPrice: this.minGasPrice.toString(),
+            actions: Object.keys(this.signedMoves.actions)
+        };
+    }
+
+    /**
+     * Simulates and sends a signed payload.
+     *
+     * @param {!Object} payload from signed-moves.js.
+     * @returns {Promise<{transactionHash: string, blockNumber: number, gasUsed: number}>}
+     */
+    async relay(payload) {
+        const { toBN, isAddress } = this.web3.utils;
+        if (payload === null || typeof payload !== "object" || typeof payload.params !== "object") {
+            throw new Error("The payload must be an object with the params of the action.");
+        }
+        if (!isAddress(payload.player) || !/^0x[0-9a-fA-F]{130}$/.test(payload.signature || "")) {
+            throw new Error("The payload needs the address of the player and his signature.");
+        }
+        const args = this.signedMoves.toArguments(payload);  // refuses unknown actions
+        const method = this.forwarder.methods[payload.action](...args);
+        const options = { from: this.account };
+        let gas;
+        try {
+            await method.call(options);
+            gas = await method.estimateGas(options);
+        } catch (e) {
+            throw new Error(explain(e, this.web3));
+        }
+        if (toBN(payload.fee).lt(this.minGasPrice.muln(gas))) {
+            throw new Error("The fee does not cover the gas, " + this.minGasPrice.muln(gas).toString() + " wei at least.");
+        }
+        options.gas = withMargin(gas);
+        options.gasPrice = this.minGasPrice.isZero() ? undefined : this.minGasPrice.toString();
+        let receipt;
+        try {
+            receipt = await method.send(options);
+        } catch (e) {
+            throw new Error(explain(e, this.web3));
+        }
+        return { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    }
+}
+
+function respond(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * The HTTP front of a relayer: `GET /info` tells what to sign, `POST /relay` takes a signed payload as JSON and
+ * answers with the transaction, or with `{error}` and status 400 when the payload is refused.
+ *
+ * @param {!Relayer} relayer
+ * @returns {!http.Server} not listening yet.
+ */
+function createServer(relayer) {
+    return http.createServer(function(request, response) {
+        if (request.method === "GET" && request.url === "/info") {
+            relayer.info()
+                .then(info => respond(response, 200, info))
+                .catch(e => respond(response, 500, { error: e.message }));
+            return;
+        }
+        if (request.method !== "POST" || request.url !== "/relay") {
+            respond(response, 404, { error: "Use GET /info or POST /relay." });
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        request.on("data", function(chunk) {
+            size += chunk.length;
+            if (size > maxBodyBytes) {
+                respond(response, 413, { error: "The payload is too large." });
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on("end", function() {
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+            } catch (e) {
+                respond(response, 400, { error: "The payload is not valid JSON." });
+                return;
+            }
+            relayer.relay(payload)
+                .then(result => respond(response, 200, result))
+                .catch(e => respond(response, 400, { error: e.message }));
+        });
+    });
+}
+
+/**
+ * Sends a signed payload to the relayer at `url`, for players and tests.
+ *
+ * @param {!string} url of the relayer, like http://localhost:8546.
+ * @param {!Object} payload
+ * @returns {Promise<Object>} the answer of the relayer, rejected with its error.
+ */
+function postPayload(url, payload) {
+    const body = JSON.stringify(payload);
+    return new Promise(function(resolve, reject) {
+        const request = http.request(url.replace(/\/$/, "") + "/relay", {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) }
+        }, function(response) {
+            const chunks = [];
+            response.on("data", chunk => chunks.push(chunk));
+            response.on("end", function() {
+                let answer;
+                try {
+                    answer = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+                } catch (e) {
+                    return reject(new Error("The relayer did not answer with JSON, status " + response.statusCode + "."));
+                }
+                return response.statusCode === 200 ? resolve(answer) : reject(new Error(answer.error));
+            });
+        });
+        request.on("error", reject);
+        request.end(body);
+    });
+}
+
+module.exports = {
+    Relayer: Relayer,
+    createServer: createServer,
+    postPayload: postPayload
+};
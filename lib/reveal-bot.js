@@ -0,0 +1,232 @@
+const EventEmitter = require("events");
+const { estimateGas } = require("./gas.js");
+
+const moveUnset = "0";
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Reveals our games as soon as the opponent moves, before the end of the reveal window of the game, and claims
+ * back the bet of the games nobody joined before expiration. In hidden moves games the reveal is done as soon as the
+ * opponent committed, and the pot claimed if he does not reveal his move in time. The secrets come from a
+ * SecretVault, only the ones of games we created are used. A retry replaces the transaction of the previous attempt,
+ * same nonce and higher gas price, rather than adding a second one. With a storage, the last block looked at and the
+ * reveals to do survive restarts.
+ *
+ * Emits "revealed" and "claimed" with (entry, receipt), "failed" with (entry, error) once retries are exhausted.
+ */
+class RevealBot extends EventEmitter {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!Object} options.contract a web3 RockPaperScissors contract.
+     * @param {!SecretVault} options.vault
+     * @param {string} [options.account] sender when the vault entry has no creator.
+     * @param {number} [options.fromBlock] where to start looking for LogOpponentMove, when the storage has nothing.
+     * @param {{load: function(): ?string, save: function(string)}} [options.storage] see storage.js.
+     * @param {number} [options.retries] attempts per transaction.
+     * @param {number} [options.retryDelay] milliseconds between attempts.
+     * @param {number} [options.pollInterval] milliseconds between polls when running.
+     * @param {number} [options.gasPriceMultiplier] applied to the node gas price on every new attempt.
+     * @param {string} [options.maxGasPrice] in wei, the gas price never goes above.
+     * @param {{info: function, error: function}} [options.logger]
+     */
+    constructor(options) {
+        super();
+        this.web3 = options.web3;
+        this.contract = options.contract;
+        this.vault = options.vault;
+        this.account = options.account;
+        this.storage = options.storage || null;
+        this.nextBlock = options.fromBlock || 0;
+        this.retries = options.retries || 3;
+        this.retryDelay = typeof options.retryDelay === "number" ? options.retryDelay : 15000;
+        this.pollInterval = options.pollInterval || 15000;
+        this.gasPriceMultiplier = options.gasPriceMultiplier || 1.25;
+        this.maxGasPrice = options.maxGasPrice ? this.web3.utils.toBN(options.maxGasPrice) : null;
+        this.logger = options.logger || console;
+        this.pending = {};  // hash => true, reveals to do, kept until done or expired
+        this.running = false;
+
+        const data = this.storage !== null ? this.storage.load() : null;
+        if (data) {
+            const state = JSON.parse(data);
+            this.nextBlock = state.nextBlock;
+            this.pending = state.pending;
+        }
+    }
+
+    _save() {
+        if (this.storage !== null) {
+            this.storage.save(JSON.stringify({ nextBlock: this.nextBlock, pending: this.pending }));
+        }
+    }
+
+    get address() {
+        return this.contract.options.address;
+    }
+
+    /**
+     * @returns {?Object} the vault entry of a game we created, null otherwise.
+     */
+    createdEntry(hash) {
+        const entry = this.vault.get(this.address, hash);
+        return entry !== null && entry.role !== "opponent" ? entry : null;
+    }
+
+    /**
+     * Gas price for the given attempt, the node one raised by the multiplier on every retry and capped.
+     *
+     * @param {number} attempt starting at 0.
+     * @returns {Promise<BN>}
+     */
+    async gasPrice(attempt) {
+        const { toBN } = this.web3.utils;
+        const factor = Math.round(Math.pow(this.gasPriceMultiplier, attempt) * 1000);
+        const gasPrice = toBN(await this.web3.eth.getGasPrice()).muln(factor).divn(1000);
+        return this.maxGasPrice !== null && gasPrice.gt(this.maxGasPrice) ? this.maxGasPrice : gasPrice;
+    }
+
+    async now() {
+        return (await this.web3.eth.getBlock("latest")).timestamp;
+    }
+
+    /**
+     * Sends the transaction with retries, giving up early if the game got settled meanwhile. Every attempt reuses
+     * the nonce of the previous one, so a transaction still pending gets replaced by one with a higher gas price,
+     * unless that nonce got mined already.
+     *
+     * @returns {Promise<?Object>} the receipt or null if there was nothing left to do.
+     */
+    async sendWithRetries(entry, method) {
+        const from = entry.creator || this.account;
+        let nonce = null;
+        let lastError;
+        for (let attempt = 0; attempt < this.retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(this.retryDelay);
+                const game = await this.contract.methods.games(entry.hash).call();
+                if (game.bet.toString() === "0") {
+                    return null;
+                }
+            }
+            try {
+                const gas = await estimateGas(method, { from: from });
+                const gasPrice = await this.gasPrice(attempt);
+                if (nonce === null || await this.web3.eth.getTransactionCount(from) > nonce) {
+                    nonce = await this.web3.eth.getTransactionCount(from, "pending");
+                }
+                return await method.send({ from: from, gas: gas, gasPrice: gasPrice.toString(), nonce: nonce });
+            } catch (e) {
+                lastError = e;
+                this.logger.error("Attempt " + (attempt + 1) + " for " + entry.hash + " failed: " + e.message);
+            }
+        }
+        throw lastError;
+    }
+
+    async reveal(entry) {
+        const method = entry.round > 1
+            ? this.contract.methods.revealRound(entry.hash, entry.move, entry.password)
+            : this.contract.methods.revealResult(entry.opponent, entry.move, entry.password);
+        const receipt = await this.sendWithRetries(entry, method);
+        if (receipt !== null) {
+            this.logger.info("Revealed " + entry.hash);
+            this.emit("revealed", entry, receipt);
+        }
+        return receipt;
+    }
+
+    async claim(entry) {
+        const receipt = await this.sendWithRetries(entry, this.contract.methods.claimAfterExpiration(entry.hash));
+        if (receipt !== null) {
+            this.logger.info("Claimed " + entry.hash);
+            this.emit("claimed", entry, receipt);
+        }
+        return receipt;
+    }
+
+    /**
+     * Does one round: reads the new events, reveals the games where the opponent moved and claims the unjoined
+     * expired ones. A failed reveal stays pending and is tried again on the next round until its deadline.
+     */
+    async poll() {
+        const toBlock = await this.web3.eth.getBlockNumber();
+        if (toBlock >= this.nextBlock) {
+            const events = await this.contract.getPastEvents("allEvents", { fromBlock: this.nextBlock, toBlock: toBlock });
+            events.forEach(event => {
+                if ((event.event === "LogOpponentMove" || event.event === "LogOpponentCommit")
+                    && this.createdEntry(event.returnValues.hash) !== null) {
+                    this.pending[event.returnValues.hash] = true;
+                }
+                this.vault.handleEvent(event);
+            });
+            this.nextBlock = toBlock + 1;
+            this._save();
+        }
+
+        const now = await this.now();
+        for (let hash of Object.keys(this.pending)) {
+            const entry = this.createdEntry(hash);
+            if (entry === null) {
+                delete this.pending[hash];  // settled meanwhile
+            } else if (now > entry.expiration) {
+                delete this.pending[hash];
+                this.logger.error("Missed the reveal deadline of " + hash);
+            } else {
+                try {
+                    const receipt = await this.reveal(entry);
+                    delete this.pending[hash];
+                    if (receipt === null || typeof receipt.events.LogCreatorMove === "undefined") {
+                        this.vault.remove(this.address, hash);
+                    }  // else kept to claim the pot if the opponent of the hidden moves game does not reveal
+                } catch (e) {
+                    this.emit("failed", entry, e);
+                }
+            }
+        }
+        this._save();
+
+        for (let entry of this.vault.list(this.address)) {
+            if (entry.role === "opponent" || this.pending[entry.hash] || entry.expiration === 0 || now <= entry.expiration) {
+                continue;
+            }
+            const game = await this.contract.methods.games(entry.hash).call();
+            if (game.bet.toString() !== "0" && game.opponentMove.toString() === moveUnset
+                && (game.rounds.toString() === "0" || !/^0x0{64}$/.test(game.roundHash))) {
+                try {
+                    await this.claim(entry);
+                } catch (e) {
+                    this.emit("failed", entry, e);
+                    continue;
+                }
+            }
+            // Claimed, settled, or not revealed in time: the secret is of no use anymore
+            this.vault.remove(this.address, entry.hash);
+        }
+    }
+
+    /**
+     * Polls until stop is called.
+     */
+    async run() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.poll();
+            } catch (e) {
+                this.logger.error("Poll failed: " + e.message);
+            }
+            await sleep(this.pollInterval);
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+}
+
+module.exports = RevealBot;
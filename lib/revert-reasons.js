@@ -0,0 +1,141 @@
+/**
+ * Plain language explanations of the require messages of RockPaperScissors and its parents.
+ */
+const explanations = {
+    "Not a valid opponent address": "The opponent address is not valid.",
+    "Wrong move": "The move is not one of the moves of the game, rock, paper or scissors unless it has other rules.",
+    "Password not set": "The password cannot be empty.",
+    "Not a valid hash": "The game hash is empty.",
+    "Not a valid creator address": "The opponent address is not valid.",
+    "You must set a number of seconds to expiration": "The game needs an expiration time.",
+    "Cannot set more than maxExpirationDays": "The expiration is too far away, above the maximum set by the owner.",
+    "You must send something to bet": "The bet cannot be zero.",
+    "You already used this password in this contract": "This move and password were already used, pick another password.",
+    "Not a valid game hash": "The game hash is empty.",
+    "Not a valid move": "The move is not one of the moves of the game, rock, paper or scissors unless it has other rules.",
+    "You are not the right opponent for the game": "This game was created for another opponent.",
+    "Game already claimed": "This game is already settled, or does not exist.",
+    "You must send the right amount for this game": "You must bet exactly the same amount as the creator.",
+    "Game already expired": "The game already expired.",
+    "Move already set": "The opponent already played this game.",
+    "Opponent did not set his move yet": "The opponent did not play yet, or the move or password is wrong.",
+    "There is no balance to withdraw": "You have nothing to withdraw.",
+    "You sent more than the bet": "You sent more than the bet, send only what your balance does not cover.",
+    "Not enough balance to bet": "Your balance and what you sent do not cover the bet.",
+    "You are not allowed to claim": "Only the creator or the opponent of the game can claim it.",
+    "Game has been already claimed": "This game is already settled, or does not exist.",
+    "Game has not been expired yet": "The game has not expired yet, wait for its expiration to claim.",
+    "Opponent already showed up": "The opponent played, only they can claim if you do not reveal.",
+    "You did not show up": "You never played this game, there is nothing for you to claim.",
+    "Not a valid opponent hash": "The hidden move is empty.",
+    "Game already joined or not open": "Someone already joined this game, or it is not an open game.",
+    "You cannot join your own game": "You cannot join your own game.",
+    "Move does not match the committed one": "The move or password does not match the hidden move you committed.",
+    "Open game, reveal your committed move instead": "You already joined this open game, reveal your hidden move instead.",
+    "Hidden moves game, commit your move instead": "Your move must stay hidden in this game, join it to commit it.",
+    "Not a hidden moves game": "This game is not played with hidden moves, join it with your move in clear.",
+    "Move already revealed": "You already revealed your move, wait for the opponent to reveal theirs.",
+    "A match is best of an odd number of rounds up to maxBestOf": "A match must be best of 3, 5, 7 or 9 rounds.",
+    "Match started, play the next rounds with playRound": "The match already started, the bet is paid, play the next rounds.",
+    "Reveal the next rounds with revealRound": "The first round is already revealed, reveal the current round instead.",
+    "Not a valid round hash": "The committed move of the round is empty.",
+    "Only the creator can commit a round": "Only the creator of the match commits the rounds.",
+    "No round to commit now": "The current round is not revealed yet, or this is not a match.",
+    "Creator did not commit the round yet": "The creator did not commit the next round yet.",
+    "You did not commit the next round": "You did not commit the next round in time, the opponent can claim the pot.",
+    "Only the creator can cancel the game": "Only the creator of the game can cancel it.",
+    "Cancel already requested": "You already asked to cancel this game.",
+    "Cancel not requested": "Ask to cancel the game first, it can be cancelled one hour later.",
+    "Cancel delay not passed yet": "The opponent can still play, wait until the cancel delay passed.",
+    "Unknown rule set": "There is no such rule set, list them with rules.",
+    "A rule set has an odd number of moves up to maxRuleSetMoves": "A rule set must have 3, 5, 7, 9, 11, 13 or 15 moves.",
+    "Too many rule sets": "No more rule sets can be registered.",
+    "Each move must beat exactly half of the others": "Every move must beat exactly half of the other moves and lose to the rest.",
+    "Fee above maxFeeBasisPoints": "The fee cannot be above 5%.",
+    "Reveal window out of bounds": "The reveal window is outside the bounds set by the owner, choose another one.",
+    "Not a valid expiration policy": "The maximum expiration cannot be zero and the reveal bounds must allow one day.",
+    "There are no fees to withdraw": "There are no fees to withdraw.",
+    "Not a valid token": "The token address is not valid.",
+    "Not a token game": "This game is in ether, not in a token.",
+    "Wrong currency for this game": "This game is in a token, play it with tokens.",
+    "SafeERC20: call to non-contract": "The token address is not a token contract.",
+    "SafeERC20: low-level call failed": "The token transfer failed, check your token balance and allowance.",
+    "SafeERC20: ERC20 operation did not succeed": "The token refused the transfer, check your token balance and allowance.",
+    "Not enough balance to transfer": "Your balance in the contract does not cover the amount, or the relayer fee.",
+    "Signature expired": "The deadline of the signed move passed, sign it again.",
+    "Not a valid signature": "The signature is not 65 bytes long.",
+    "Signature does not match the player": "The move was not signed by this player, or with another nonce, sign it again.",
+    "A tournament takes 2 to 64 players": "A tournament must take from 2 to 64 players.",
+    "Not a valid registration duration": "The registration must last from one second to 10 days.",
+    "Not a valid phase duration": "Players must get from one second to 10 days to commit, then to reveal.",
+    "Runner-up share too high": "The runner-up cannot get more than half of the pot.",
+    "Not a valid rule set": "There is no such rule set in RockPaperScissors.",
+    "Registration is closed": "The registration of this tournament is over, or it does not exist.",
+    "Tournament is full": "This tournament already has all its players.",
+    "Already registered": "You are already registered in this tournament.",
+    "You must send the entry fee": "You must send exactly the entry fee of the tournament.",
+    "Tournament already started": "The bracket of this tournament is already seeded, or it does not exist.",
+    "Registration is still open": "Wait for the end of the registration, or for the tournament to be full.",
+    "Move already committed": "You already committed your move in this match.",
+    "Both moves are not committed yet": "Wait for both players to commit before revealing.",
+    "Match is not being played": "This match is over, or its players are not known yet.",
+    "Match already expired": "The deadline of this match passed, anyone can settle it now.",
+    "Match has not expired yet": "The players can still commit or reveal, wait for the deadline.",
+    "You are not playing this match": "Only the two players of the match can play it.",
+    "Tournament already over": "This tournament is already finished or cancelled.",
+    "Pausable: paused": "The contract is paused, try again later.",
+    "Pausable: not paused": "The contract is not paused.",
+    "The contract is dead": "The contract was killed and cannot be unpaused.",
+    "The contract is not dead": "Emergency refunds and withdrawals are only open once the contract is killed.",
+    "Ownable: caller is not the owner": "Only the owner of the contract can do this.",
+    "Ownable: new owner is the zero address": "The new owner address is not valid.",
+    "Ownable: no transfer scheduled": "No ownership transfer is scheduled.",
+    "Ownable: caller is not the new owner": "Only the account the ownership is transferred to can accept it.",
+    "Pausable: caller is not a guardian": "Only the owner or a guardian can pause the contract.",
+    "Pausable: kill scheduled": "A kill is scheduled, nobody can pause until then so players can withdraw.",
+    "No kill scheduled": "No kill is scheduled, kill --yes schedules it.",
+    "Timelock not over yet": "The timelock is not over, players still have time to leave, try again later."
+};
+
+const errorSelector = "0x08c379a0";  // Error(string)
+const reasons = Object.keys(explanations).sort((a, b) => b.length - a.length);  // longest first, some overlap
+
+/**
+ * Finds the revert reason in an error from web3, either in the message (ganache) or in the returned data (geth).
+ *
+ * @param {!Error} error
+ * @param {Web3} [web3] to decode returned data.
+ * @returns {?string} the reason or null if none found.
+ */
+function getRevertReason(error, web3) {
+    const message = (error && error.message) || "";
+    const known = reasons.find(reason => message.indexOf(reason) > -1);
+    if (typeof known !== "undefined") {
+        return known;
+    }
+    const data = error && (error.data || (message.match(/0x08c379a0[0-9a-fA-F]*/) || [])[0]);
+    if (web3 && typeof data === "string" && data.startsWith(errorSelector)) {
+        return web3.eth.abi.decodeParameter("string", "0x" + data.substr(errorSelector.length));
+    }
+    const reverted = message.match(/revert (.+)$/m);
+    return reverted ? reverted[1].trim() : null;
+}
+
+/**
+ * @param {!Error} error
+ * @param {Web3} [web3]
+ * @returns {!string} what went wrong, in plain language if the reason is known.
+ */
+function explain(error, web3) {
+    const reason = getRevertReason(error, web3);
+    if (reason === null) {
+        return error.message;
+    }
+    return explanations[reason] || "The contract refused it: " + reason;
+}
+
+module.exports = {
+    explanations: explanations,
+    getRevertReason: getRevertReason,
+    explain: explain
+};
@@ -0,0 +1,91 @@
+/**
+ * The rule sets a RockPaperScissors game can be played with, as registered in the contract. Moves are numbered from
+ * 1 like in the contract, move n is moves[n - 1].
+ *
+ * @param {!Web3} web3
+ * @returns {!Object}
+ */
+module.exports = function ruleSets(web3) {
+    const { toBN, hexToUtf8 } = web3.utils;
+
+    const classic = { id: 0, name: "Rock-Paper-Scissors", moves: ["Rock", "Paper", "Scissors"] };
+
+    /**
+     * @param {!Object} contract a web3 RockPaperScissors contract.
+     * @param {number | string} id
+     * @returns {Promise<{id: number, name: string, moves: Array<string>}>}
+     */
+    async function getRuleSet(contract, id) {
+        const ruleSet = await contract.methods.ruleSets(id).call();
+        if (ruleSet.moveCount.toString() === "0") {
+            throw new Error("There is no rule set " + id + ".");
+        }
+        const moveNames = await contract.methods.ruleSetMoveNames(id).call();
+        return { id: Number(id), name: hexToUtf8(ruleSet.name), moves: moveNames.map(name => hexToUtf8(name)) };
+    }
+
+    /**
+     * @param {!Object} contract
+     * @returns {Promise<Array<{id: number, name: string, moves: Array<string>}>>} all of them, by id.
+     */
+    async function listRuleSets(contract) {
+        const count = Number(await contract.methods.ruleSetCount().call());
+        const list = [];
+        for (let id = 0; id < count; id++) {
+            list.push(await getRuleSet(contract, id));
+        }
+        return list;
+    }
+
+    /**
+     * @param {!Object} contract
+     * @param {!string} hash
+     * @returns {Promise<{id: number, name: string, moves: Array<string>}>} what the game is played with.
+     */
+    async function gameRuleSet(contract, hash) {
+        return getRuleSet(contract, await contract.methods.gameRuleSets(hash).call());
+    }
+
+    /**
+     * @param {!Array<Object>} list from listRuleSets.
+     * @param {!string | number} nameOrId case insensitive name, or id.
+     * @returns {!Object}
+     */
+    function findRuleSet(list, nameOrId) {
+        const name = String(nameOrId).toLowerCase();
+        const found = list.find(ruleSet => ruleSet.name.toLowerCase() === name || String(ruleSet.id) === name);
+        if (typeof found === "undefined") {
+            throw new Error("Unknown rule set " + nameOrId + ", it is one of: " + list.map(ruleSet => ruleSet.name).join(", ") + ".");
+        }
+        return found;
+    }
+
+    /**
+     * @param {!Object} ruleSet
+     * @param {number | string} move
+     * @returns {!string} its name, "unset" for 0.
+     */
+    function moveName(ruleSet, move) {
+        return Number(move) === 0 ? "unset" : ruleSet.moves[Number(move) - 1] || "unknown move " + move;
+    }
+
+    /**
+     * The `beats` argument of registerRuleSet.
+     *
+     * @param {!Array<Array<number>>} wins [winner, loser] pairs of moves.
+     * @returns {!string} uint with the bit (winner - 1) * 16 + loser - 1 set for every pair.
+     */
+    function beatsMatrix(wins) {
+        return wins.reduce((matrix, [winner, loser]) => matrix.setn((winner - 1) * 16 + loser - 1, 1), toBN(0)).toString();
+    }
+
+    return {
+        classic: classic,
+        getRuleSet: getRuleSet,
+        listRuleSets: listRuleSets,
+        gameRuleSet: gameRuleSet,
+        findRuleSet: findRuleSet,
+        moveName: moveName,
+        beatsMatrix: beatsMatrix
+    };
+};
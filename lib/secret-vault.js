@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { memoryStorage, fileStorage, localStorageStorage } = require("./storage.js");
+
+const version = 1;
+const defaultIterations = 262144;
+const cipherName = "aes-256-gcm";
+
+/**
+ * PBKDF2-SHA256 key of the passphrase, off the main thread: with WebCrypto in the browser, where hundreds of
+ * thousands of iterations in JavaScript would freeze the page, and in the thread pool of Node.
+ *
+ * @returns {!Promise<Buffer>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    if (typeof passphrase !== "string" || passphrase.length === 0) {
+        throw new Error("Passphrase not set");
+    }
+    const subtle = typeof window !== "undefined" && window.crypto && window.crypto.subtle;
+    if (!subtle) {
+        return promisify(crypto.pbkdf2)(passphrase, salt, iterations, 32, "sha256");
+    }
+    const material = await subtle.importKey("raw", Buffer.from(passphrase, "utf8"), "PBKDF2", false, ["deriveBits"]);
+    const bits = await subtle.deriveBits({ name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+        material, 256);
+    return Buffer.from(bits);
+}
+
+function encrypt(key, salt, iterations, plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(cipherName, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+    return JSON.stringify({
+        version: version,
+        kdf: "pbkdf2-sha256",
+        iterations: iterations,
+        salt: salt.toString("hex"),
+        iv: iv.toString("hex"),
+        tag: cipher.getAuthTag().toString("hex"),
+        ciphertext: ciphertext.toString("hex")
+    });
+}
+
+function decrypt(key, blob) {
+    try {
+        const decipher = crypto.createDecipheriv(cipherName, key, Buffer.from(blob.iv, "hex"));
+        decipher.setAuthTag(Buffer.from(blob.tag, "hex"));
+        const plain = Buffer.concat([decipher.update(Buffer.from(blob.ciphertext, "hex")), decipher.final()]);
+        return JSON.parse(plain.toString("utf8"));
+    } catch (e) {
+        throw new Error("Wrong passphrase or corrupted vault");
+    }
+}
+
+function parseBlob(data) {
+    const blob = JSON.parse(data);
+    if (blob.version !== version) {
+        throw new Error("Unsupported vault version " + blob.version);
+    }
+    return blob;
+}
+
+function entryKey(contract, hash) {
+    return contract.toLowerCase() + ":" + hash.toLowerCase();
+}
+
+/**
+ * Keeps the secrets of the games we created, encrypted with a passphrase. Losing the password of a game means
+ * the opponent takes the whole pot with claimAfterExpiration, so every change is saved right away.
+ */
+class SecretVault {
+
+    /**
+     * Opens the vault found in `storage`, or starts an empty one.
+     *
+     * @param {!string} passphrase
+     * @param {!{load: function(): ?string, save: function(string)}} storage
+     * @param {number} [iterations] of the key derivation, only used when creating the vault.
+     * @returns {!Promise<SecretVault>}
+     */
+    static async open(passphrase, storage, iterations = defaultIterations) {
+        const data = storage.load();
+        if (data === null || typeof data === "undefined") {
+            const salt = crypto.randomBytes(16);
+            return new SecretVault(storage, await deriveKey(passphrase, salt, iterations), salt, iterations, {});
+        }
+        const blob = parseBlob(data);
+        const salt = Buffer.from(blob.salt, "hex");
+        const key = await deriveKey(passphrase, salt, blob.iterations);
+        return new SecretVault(storage, key, salt, blob.iterations, decrypt(key, blob));
+    }
+
+    constructor(storage, key, salt, iterations, entries) {
+        this._storage = storage;
+        this._key = key;
+        this._salt = salt;
+        this._iterations = iterations;
+        this._entries = entries;
+    }
+
+    _save() {
+        this._storage.save(this.export());
+    }
+
+    /**
+     * Records the secret of a new game, call it before sending newGame. Who joins an open game keeps his hidden
+     * move too, with `role` "opponent".
+     *
+     * @param {!{contract: string, hash: string, creator: string, opponent: string, move: number, password: string,
+     *     expiration: number, role: string}} entry
+     */
+    add(entry) {
+        ["contract", "hash", "opponent", "move", "password"].forEach(function(field) {
+            if (typeof entry[field] === "undefined") {
+                throw new Error("Missing " + field + " in vault entry");
+            }
+        });
+        this._entries[entryKey(entry.contract, entry.hash)] = Object.assign({}, entry, {
+            move: Number(entry.move),
+            expiration: Number(entry.expiration || 0)
+        });
+        this._save();
+    }
+
+    /**
+     * @returns {?Object} the entry or null if unknown.
+     */
+    get(contract, hash) {
+        return this._entries[entryKey(contract, hash)] || null;
+    }
+
+    /**
+     * @param {string} [contract] only the entries of this contract if set.
+     * @returns {!Array<Object>}
+     */
+    list(contract) {
+        return Object.values(this._entries)
+            .filter(entry => typeof contract === "undefined" || entry.contract.toLowerCase() === contract.toLowerCase());
+    }
+
+    remove(contract, hash) {
+        const key = entryKey(contract, hash);
+        if (typeof this._entries[key] === "undefined") {
+            return false;
+        }
+        delete this._entries[key];
+        this._save();
+        return true;
+    }
+
+    /**
+     * Keeps the vault in line with a contract event, either from web3 (returnValues) or from truffle (args).
+     * Games are forgotten once revealed or claimed, and the expiration follows the opponent move.
+     *
+     * @param {!Object} event
+     * @returns {boolean} true if the vault changed.
+     */
+    handleEvent(event) {
+        const args = event.returnValues || event.args;
+        if (typeof args.hash === "undefined") {
+            return false;
+        }
+        const entry = this.get(event.address, args.hash);
+        if (entry === null) {
+            return false;
+        }
+        switch (event.event) {
+            case "LogJoinOpenGame":
+            case "LogOpponentCommit":
+            case "LogOpponentMove":
+            case "LogCancelRequested":
+            case "LogRoundCommit":
+            case "LogRoundResult":
+                entry.expiration = Number(args.newExpiration.toString());
+                this._save();
+                return true;
+            case "LogRevealResult":
+            case "LogClaimAfterExpiration":
+            case "LogCancelGame":
+            case "LogEmergencyRefund":
+                return this.remove(event.address, args.hash);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @returns {!string} the encrypted JSON backup.
+     */
+    export() {
+        return encrypt(this._key, this._salt, this._iterations, JSON.stringify(this._entries));
+    }
+
+    /**
+     * Merges a backup into the vault, existing entries are overwritten by the imported ones.
+     *
+     * @param {!string} data an exported backup.
+     * @param {!string} passphrase the one of the backup.
+     * @returns {!Promise<number>} how many entries were imported.
+     */
+    async import(data, passphrase) {
+        const blob = parseBlob(data);
+        const entries = decrypt(await deriveKey(passphrase, Buffer.from(blob.salt, "hex"), blob.iterations), blob);
+        Object.assign(this._entries, entries);
+        this._save();
+        return Object.keys(entries).length;
+    }
+}
+
+module.exports = {
+    SecretVault: SecretVault,
+    memoryStorage: memoryStorage,
+    fileStorage: fileStorage,
+    localStorageStorage: localStorageStorage
+};
@@ -0,0 +1,157 @@
+/**
+ * The fields the player signs for each action of RockPaperScissorsForwarder, besides the fee, nonce and deadline
+ * every action has. The forwarder takes them in this order, between the player and the fee.
+ */
+const actions = {
+    newGame: {
+        type: "NewGame",
+        fields: [{ name: "hash", type: "bytes32" }, { name: "opponent", type: "address" },
+            { name: "seconds", type: "uint256" }, { name: "bet", type: "uint256" }]
+    },
+    setOpponentMove: {
+        type: "SetOpponentMove",
+        fields: [{ name: "hash", type: "bytes32" }, { name: "move", type: "uint8" }]
+    },
+    revealResult: {
+        type: "RevealResult",
+        fields: [{ name: "opponent", type: "address" }, { name: "creatorMove", type: "uint8" },
+            { name: "creatorPassword", type: "bytes32" }]
+    },
+    withdrawFunds: {
+        type: "WithdrawFunds",
+        fields: []
+    }
+};
+
+const domainFields = [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+];
+
+const trailingFields = [{ name: "fee", type: "uint256" }, { name: "nonce", type: "uint256" }, { name: "deadline", type: "uint256" }];
+
+function getAction(name) {
+    if (!Object.prototype.hasOwnProperty.call(actions, name)) {
+        throw new Error("Unknown action " + name + ", it is one of " + Object.keys(actions).join(", ") + ".");
+    }
+    return actions[name];
+}
+
+/**
+ * Signs the moves of a player for RockPaperScissorsForwarder with EIP-712 typed data, so a relayer can send them and
+ * pay the gas. A signed payload is plain JSON:
+ * `{action, player, params: {...fields of the action}, fee, nonce, deadline, signature}`, amounts in wei as strings.
+ *
+ * @param {!Web3} web3
+ * @returns {!Object}
+ */
+module.exports = function signedMoves(web3) {
+
+    /**
+     * @param {!Object} forwarder a web3 RockPaperScissorsForwarder contract.
+     * @returns {Promise<Object>} the EIP-712 domain of the forwarder.
+     */
+    async function getDomain(forwarder) {
+        return {
+            name: "RockPaperScissors",
+            version: "1",
+            chainId: Number(await forwarder.methods.chainId().call()),
+            verifyingContract: forwarder.options.address
+        };
+    }
+
+    /**
+     * @param {!Object} domain from getDomain.
+     * @param {!Object} payload without its signature.
+     * @returns {!Object} what eth_signTypedData_v4 signs.
+     */
+    function toTypedData(domain, payload) {
+        const action = getAction(payload.action);
+        const message = { fee: String(payload.fee), nonce: String(payload.nonce), deadline: String(payload.deadline) };
+        action.fields.forEach(field => message[field.name] = String(payload.params[field.name]));
+        return {
+            types: {
+                EIP712Domain: domainFields,
+                [action.type]: action.fields.concat(trailingFields)
+            },
+            primaryType: action.type,
+            domain: domain,
+            message: message
+        };
+    }
+
+    /**
+     * Asks the node or the wallet of `account` to sign, with eth_signTypedData_v4 or the eth_signTypedData of the
+     * nodes that only have that one, ganache among them.
+     *
+     * @returns {Promise<string>} the 65 bytes signature.
+     */
+    async function signTypedData(account, typedData) {
+        const provider = web3.currentProvider;
+        const request = method => new Promise(function(resolve, reject) {
+            const params = [account, method === "eth_signTypedData_v4" ? JSON.stringify(typedData) : typedData];
+            provider.send({ jsonrpc: "2.0", method: method, params: params, id: Date.now() }, function(err, response) {
+                if (err || response.error) {
+                    return reject(err || new Error(response.error.message));
+                }
+                resolve(response.result);
+            });
+        });
+        try {
+            return await request("eth_signTypedData_v4");
+        } catch (e) {
+            if (!/not supported|does not exist|not found/i.test(e.message)) {
+                throw e;
+            }
+            return request("eth_signTypedData");
+        }
+    }
+
+    /**
+     * Signs `action` for `player` with his current nonce in the forwarder.
+     *
+     * @param {!Object} forwarder a web3 RockPaperScissorsForwarder contract.
+     * @param {!string} player
+     * @param {!string} action one of the keys of actions.
+     * @param {!Object} params the fields of the action by name.
+     * @param {!Object} options
+     * @param {!string} options.fee in wei, taken from the balance of the player for the relayer.
+     * @param {!number} options.deadline timestamp in seconds after which the signature is refused.
+     * @returns {Promise<Object>} the payload to give to a relayer.
+     */
+    async function sign(forwarder, player, action, params, options) {
+        getAction(action);
+        const payload = {
+            action: action,
+            player: player,
+            params: params,
+            fee: String(options.fee),
+            nonce: String(await forwarder.methods.nonces(player).call()),
+            deadline: String(options.deadline)
+        };
+        payload.signature = await signTypedData(player, toTypedData(await getDomain(forwarder), payload));
+        return payload;
+    }
+
+    /**
+     * @param {!Object} payload signed.
+     * @returns {!Array} the arguments of the forwarder method named after the action.
+     */
+    function toArguments(payload) {
+        const action = getAction(payload.action);
+        return [payload.player]
+            .concat(action.fields.map(field => payload.params[field.name]))
+            .concat([payload.fee, payload.deadline, payload.signature]);
+    }
+
+    return {
+        actions: actions,
+        getDomain: getDomain,
+        toTypedData: toTypedData,
+        signTypedData: signTypedData,
+        sign: sign,
+        toArguments: toArguments
+    };
+};
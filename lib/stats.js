@@ -0,0 +1,295 @@
+const ruleSetsFactory = require("./rule-sets.js");
+
+/**
+ * The reveal functions whose input tells the move of the creator, which LogRevealResult does not. The second one is
+ * RockPaperScissorsForwarder relaying a signed reveal.
+ */
+const revealSignatures = [
+    { signature: "revealResult(address,uint8,bytes32)", types: ["address", "uint8", "bytes32"], moveIndex: 1 },
+    { signature: "revealResult(address,address,uint8,bytes32,uint256,uint256,bytes)",
+        types: ["address", "address", "uint8", "bytes32", "uint256", "uint256", "bytes"], moveIndex: 2 }
+];
+
+const csvColumns = ["rank", "address", "games", "wins", "losses", "draws", "forfeits", "net", "favouriteMove"];
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+function csvField(value) {
+    const text = value === null || typeof value === "undefined" ? "" : String(value);
+    return /[",\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+/**
+ * Statistics of the players of a RockPaperScissors contract, rebuilt from LogNewGame, LogRevealResult and
+ * LogClaimAfterExpiration along with the events telling the moves. A game counts once it is over, in the time window
+ * its result falls in:
+ * - revealed, it is a win and a loss, or a draw for both. A match counts as one game.
+ * - claimed after expiration with the pot, the claimer wins and the other one forfeits, which is also a loss. Bets
+ *   claimed back from games nobody joined do not count, nor do games bet 0 claimed by their creator.
+ * Net is the ether won less the ether bet, in wei, token games only count in the wins and losses.
+ *
+ * @param {!Web3} web3
+ * @returns {!Object}
+ */
+module.exports = function stats(web3) {
+    const { toBN } = web3.utils;
+    const ruleSets = ruleSetsFactory(web3);
+    const selectors = revealSignatures.map(reveal =>
+        Object.assign({ selector: web3.eth.abi.encodeFunctionSignature(reveal.signature) }, reveal));
+
+    /**
+     * @returns {Promise<?number>} the move of the creator in the input of the reveal transaction, null if the
+     *     transaction called something else.
+     */
+    async function creatorMoveOf(transactionHash) {
+        const input = (await web3.eth.getTransaction(transactionHash)).input;
+        const reveal = selectors.find(candidate => input.startsWith(candidate.selector));
+        if (typeof reveal === "undefined") {
+            return null;
+        }
+        return Number(web3.eth.abi.decodeParameters(reveal.types, "0x" + input.substr(10))[reveal.moveIndex]);
+    }
+
+    /**
+     * Reads the games over in the blocks given, with the moves played and when they ended.
+     *
+     * @param {!Object} contract a web3 RockPaperScissors contract.
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] usually the deployment block, 0 by default.
+     * @param {number} [options.toBlock] the latest block by default.
+     * @param {number} [options.batchSize] blocks per getPastEvents call.
+     * @returns {Promise<Array<Object>>} the games over, in the order they ended.
+     */
+    async function collectGames(contract, options = {}) {
+        const batchSize = options.batchSize || 5000;
+        const toBlock = typeof options.toBlock === "number" ? options.toBlock : await web3.eth.getBlockNumber();
+        const list = await ruleSets.listRuleSets(contract);
+        const games = {};
+        const over = [];
+        const timestamps = {};
+
+        async function end(game, event, result) {
+            if (!(event.blockNumber in timestamps)) {
+                timestamps[event.blockNumber] = Number((await web3.eth.getBlock(event.blockNumber)).timestamp);
+            }
+            game.result = Object.assign({ timestamp: timestamps[event.blockNumber] }, result);
+            over.push(game);
+        }
+
+        for (let from = options.fromBlock || 0; from <= toBlock; from += batchSize) {
+            const events = await contract.getPastEvents("allEvents", { fromBlock: from, toBlock: Math.min(from + batchSize - 1, toBlock) });
+            for (const event of events) {
+                const args = event.returnValues;
+                const game = games[args.hash];
+                if (typeof game === "undefined" && event.event !== "LogNewGame") {
+                    continue;  // not about a game, or one created before fromBlock
+                }
+                switch (event.event) {
+                    case "LogNewGame":
+                        games[args.hash] = {
+                            hash: args.hash,
+                            creator: args.creator,
+                            opponent: args.opponent,
+                            bet: args.bet.toString(),
+                            token: null,
+                            ruleSet: list[0],
+                            match: false,
+                            hiddenMoves: false,
+                            moves: { creator: [], opponent: [] },
+                            result: null
+                        };
+                        break;
+                    case "LogTokenGame":
+                        game.token = args.token;
+                        break;
+                    case "LogRuleSetGame":
+                        game.ruleSet = list[Number(args.ruleSet)];
+                        break;
+                    case "LogHiddenGame":
+                        game.hiddenMoves = true;
+                        break;
+                    case "LogNewMatch":
+                        game.match = true;
+                        break;
+                    case "LogJoinOpenGame":
+                        game.opponent = args.opponent;
+                        break;
+                    case "LogOpponentMove":
+                        if (!game.match) {  // the rounds tell both moves
+                            game.moves.opponent.push(Number(args.move));
+                        }
+                        break;
+                    case "LogCreatorMove":
+                        game.moves.creator.push(Number(args.move));
+                        break;
+                    case "LogRoundResult":
+                        game.moves.creator.push(Number(args.creatorMove));
+                        game.moves.opponent.push(Number(args.opponentMove));
+                        break;
+                    case "LogRevealResult":
+                        if (!game.match && game.moves.creator.length === 0) {
+                            const move = await creatorMoveOf(event.transactionHash);
+                            if (move !== null) {
+                                game.moves.creator.push(move);
+                            }
+                        }
+                        await end(game, event, {
+                            event: "revealed",
+                            creatorAmount: args.creatorAmount.toString(),
+                            opponentAmount: args.opponentAmount.toString()
+                        });
+                        break;
+                    case "LogClaimAfterExpiration":
+                        await end(game, event, { event: "claimed", claimer: args.who, amount: args.amount.toString() });
+                        break;
+                    default:
+                        break;
+                }
+            }
+        }
+        return over;
+    }
+
+    /**
+     * @returns {?{winner: string, loser: string, forfeit: boolean}} null for a draw or a game that does not count.
+     */
+    function outcome(game) {
+        const result = game.result;
+        if (result.event === "revealed") {
+            const creatorAmount = toBN(result.creatorAmount);
+            const opponentAmount = toBN(result.opponentAmount);
+            if (creatorAmount.eq(opponentAmount)) {
+                return null;
+            }
+            return creatorAmount.gt(opponentAmount)
+                ? { winner: game.creator, loser: game.opponent, forfeit: false }
+                : { winner: game.opponent, loser: game.creator, forfeit: false };
+        }
+        const creatorClaimed = sameAddress(result.claimer, game.creator);
+        const potTaken = toBN(result.amount).gt(toBN(game.bet))
+            || toBN(game.bet).isZero() && !creatorClaimed && game.moves.opponent.length > 0;
+        if (!potTaken) {
+            return null;
+        }
+        return { winner: result.claimer, loser: creatorClaimed ? game.opponent : game.creator, forfeit: true };
+    }
+
+    function inWindow(game, window) {
+        return (typeof window.from === "undefined" || game.result.timestamp >= window.from)
+            && (typeof window.to === "undefined" || game.result.timestamp < window.to);
+    }
+
+    /**
+     * @param {!Array<Object>} games from collectGames.
+     * @param {Object} [window] timestamps in seconds.
+     * @param {number} [window.from] games ended at or after it.
+     * @param {number} [window.to] games ended before it.
+     * @returns {!Array<{address: string, games: number, wins: number, losses: number, draws: number,
+     *     forfeits: number, net: string, favouriteMove: ?string}>} one per player, in the order they first ended a game.
+     */
+    function playerStats(games, window = {}) {
+        const players = {};
+        const moveCounts = {};
+
+        function player(address) {
+            const key = address.toLowerCase();
+            if (!(key in players)) {
+                players[key] = { address: address, games: 0, wins: 0, losses: 0, draws: 0, forfeits: 0, net: toBN(0) };
+                moveCounts[key] = {};
+            }
+            return players[key];
+        }
+
+        function countMoves(address, ruleSet, moves) {
+            const counts = moveCounts[address.toLowerCase()];
+            moves.forEach(move => {
+                const name = ruleSets.moveName(ruleSet, move);
+                counts[name] = (counts[name] || 0) + 1;
+            });
+        }
+
+        games.filter(game => inWindow(game, window)).forEach(game => {
+            const result = outcome(game);
+            if (result === null && game.result.event === "claimed") {
+                return;
+            }
+            const creator = player(game.creator);
+            const opponent = player(game.opponent);
+            creator.games++;
+            opponent.games++;
+            countMoves(game.creator, game.ruleSet, game.moves.creator);
+            countMoves(game.opponent, game.ruleSet, game.moves.opponent);
+            if (result === null) {
+                creator.draws++;
+                opponent.draws++;
+            } else {
+                const winner = sameAddress(result.winner, game.creator) ? creator : opponent;
+                const loser = winner === creator ? opponent : creator;
+                winner.wins++;
+                loser.losses++;
+                if (result.forfeit) {
+                    loser.forfeits++;
+                }
+            }
+            if (game.token === null) {
+                const bet = toBN(game.bet);
+                if (game.result.event === "revealed") {
+                    creator.net.iadd(toBN(game.result.creatorAmount).sub(bet));
+                    opponent.net.iadd(toBN(game.result.opponentAmount).sub(bet));
+                } else {
+                    const winner = sameAddress(result.winner, game.creator) ? creator : opponent;
+                    const loser = winner === creator ? opponent : creator;
+                    winner.net.iadd(toBN(game.result.amount).sub(bet));
+                    loser.net.isub(bet);
+                }
+            }
+        });
+
+        return Object.keys(players).map(key => {
+            const counts = moveCounts[key];
+            const favourite = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))[0];
+            return Object.assign({}, players[key], {
+                net: players[key].net.toString(),
+                favouriteMove: typeof favourite === "undefined" ? null : favourite
+            });
+        });
+    }
+
+    /**
+     * Ranks the players by wins, then net, then fewer losses.
+     *
+     * @param {!Array<Object>} games from collectGames.
+     * @param {Object} [options]
+     * @param {number} [options.from] see playerStats.
+     * @param {number} [options.to] see playerStats.
+     * @param {number} [options.limit] of players, all by default.
+     * @returns {!Array<Object>} the stats of playerStats with their rank from 1.
+     */
+    function leaderboard(games, options = {}) {
+        const ranked = playerStats(games, options).sort((a, b) => b.wins - a.wins
+            || toBN(b.net).cmp(toBN(a.net))
+            || a.losses - b.losses);
+        return ranked
+            .slice(0, typeof options.limit === "number" ? options.limit : ranked.length)
+            .map((stats, index) => Object.assign({ rank: index + 1 }, stats));
+    }
+
+    /**
+     * @param {!Array<Object>} rows from playerStats or leaderboard.
+     * @returns {!string} with a header line, rank left empty for playerStats.
+     */
+    function toCsv(rows) {
+        return [csvColumns.join(",")]
+            .concat(rows.map(row => csvColumns.map(column => csvField(row[column])).join(",")))
+            .join("\n") + "\n";
+    }
+
+    return {
+        collectGames: collectGames,
+        playerStats: playerStats,
+        leaderboard: leaderboard,
+        toCsv: toCsv
+    };
+};
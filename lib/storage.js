@@ -0,0 +1,65 @@
+/**
+ * Storages keep one string, the JSON of a SecretVault or a GameIndexer, and share the same interface.
+ */
+
+/**
+ * Keeps the data in memory only, useful for tests.
+ *
+ * @returns {{load: function(): ?string, save: function(string)}}
+ */
+function memoryStorage() {
+    let content = null;
+    return {
+        load: () => content,
+        save: data => content = data
+    };
+}
+
+/**
+ * Keeps the data in a file only its owner can read, for node scripts. Saving writes a temporary file next to it then
+ * renames it over the file, so a crash or a full disk never leaves half a vault and the passwords it kept.
+ *
+ * @param {!string} path
+ * @returns {{load: function(): ?string, save: function(string)}}
+ */
+function fileStorage(path) {
+    const fs = require("fs");
+    return {
+        load: () => fs.existsSync(path) ? fs.readFileSync(path, "utf8") : null,
+        save: function (data) {
+            const temporary = path + ".tmp";
+            const fd = fs.openSync(temporary, "w", 0o600);
+            try {
+                fs.fchmodSync(fd, 0o600);  // in case a temporary file was left with other permissions
+                fs.writeFileSync(fd, data);
+                fs.fsyncSync(fd);
+            } catch (e) {
+                fs.closeSync(fd);
+                fs.unlinkSync(temporary);
+                throw e;
+            }
+            fs.closeSync(fd);
+            fs.renameSync(temporary, path);
+        }
+    };
+}
+
+/**
+ * Keeps the data in the browser localStorage.
+ *
+ * @param {!Storage} localStorage
+ * @param {!string} key
+ * @returns {{load: function(): ?string, save: function(string)}}
+ */
+function localStorageStorage(localStorage, key) {
+    return {
+        load: () => localStorage.getItem(key),
+        save: data => localStorage.setItem(key, data)
+    };
+}
+
+module.exports = {
+    memoryStorage: memoryStorage,
+    fileStorage: fileStorage,
+    localStorageStorage: localStorageStorage
+};
@@ -0,0 +1,209 @@
+const commitmentFactory = require("./commitment.js");
+const gas = require("./gas.js");
+
+const stages = ["registering", "playing", "finished", "cancelled"];
+const outcomes = ["played", "bye", "forfeit"];
+const zeroAddress = /^0x0{40}$/;
+const zeroBytes32 = /^0x0{64}$/;
+
+function sameAddress(a, b) {
+    return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Drives the tournaments of RockPaperScissorsTournament. Anyone can run it to start the brackets once registration
+ * is over and settle the matches past their deadline, and the players to commit and reveal their moves, the secrets
+ * being kept in the vault, a new password for every match and replay. Call step until the tournament is over.
+ */
+class TournamentOrchestrator {
+
+    /**
+     * @param {!Object} options
+     * @param {!Web3} options.web3
+     * @param {!Object} options.contract a web3 RockPaperScissorsTournament contract.
+     * @param {!string} options.account sends the transactions, a player or not.
+     * @param {SecretVault} [options.vault] needed to play.
+     */
+    constructor(options) {
+        this.web3 = options.web3;
+        this.contract = options.contract;
+        this.account = options.account;
+        this.vault = options.vault;
+        this.commitment = commitmentFactory(this.web3);
+    }
+
+    get address() {
+        return this.contract.options.address;
+    }
+
+    async send(method, value = "0") {
+        return gas.send(method, { from: this.account, value: value });
+    }
+
+    /**
+     * Registers the account, paying the entry fee.
+     *
+     * @param {number} id of the tournament.
+     */
+    async register(id) {
+        const tournament = await this.contract.methods.tournaments(id).call();
+        return this.send(this.contract.methods.register(id), tournament.entryFee.toString());
+    }
+
+    /**
+     * @param {number} id of the tournament.
+     * @returns {Promise<Object>} the tournament with its players by seed and its matches by round, round 0 first. A
+     *     match has null for a player not known yet, or the missing player of a bye.
+     */
+    async bracket(id) {
+        const tournament = await this.contract.methods.tournaments(id).call();
+        if (zeroAddress.test(tournament.organiser)) {
+            throw new Error("There is no tournament " + id + ".");
+        }
+        const rounds = [];
+        const roundCount = Number(tournament.rounds);
+        for (let round = 0; round < roundCount; round++) {
+            const matches = [];
+            for (let index = 0; index < 2 ** (roundCount - round - 1); index++) {
+                const match = await this.contract.methods.matches(id, round, index).call();
+                matches.push({
+                    round: round,
+                    index: index,
+                    playerA: zeroAddress.test(match.playerA) ? null : match.playerA,
+                    playerB: zeroAddress.test(match.playerB) ? null : match.playerB,
+                    committedA: !zeroBytes32.test(match.commitA),
+                    committedB: !zeroBytes32.test(match.commitB),
+                    revealedA: match.moveA.toString() !== "0",
+                    revealedB: match.moveB.toString() !== "0",
+                    replays: Number(match.replays),
+                    deadline: Number(match.deadline),
+                    winner: zeroAddress.test(match.winner) ? null : match.winner
+                });
+            }
+            rounds.push(matches);
+        }
+        const final = roundCount > 0 ? rounds[roundCount - 1][0] : null;
+        const stage = stages[Number(tournament.stage)];
+        return {
+            id: Number(id),
+            organiser: tournament.organiser,
+            entryFee: tournament.entryFee.toString(),
+            registrationDeadline: Number(tournament.registrationDeadline),
+            phaseSeconds: Number(tournament.phaseSeconds),
+            maxPlayers: Number(tournament.maxPlayers),
+            runnerUpBasisPoints: Number(tournament.runnerUpBasisPoints),
+            ruleSet: Number(tournament.ruleSet),
+            moveCount: Number(tournament.moveCount),
+            stage: stage,
+            players: await this.contract.methods.tournamentPlayers(id).call(),
+            rounds: rounds,
+            winner: stage === "finished" ? final.winner : null,
+            runnerUp: stage === "finished" ? (sameAddress(final.winner, final.playerA) ? final.playerB : final.playerA) : null
+        };
+    }
+
+    /**
+     * Does what can be done now: start the bracket, settle the expired matches, and commit or reveal in the match of
+     * the account.
+     *
+     * @param {number} id of the tournament.
+     * @param {number} [move] needed to commit.
+     * @returns {Promise<Array<{action: string, round: number, index: number, receipt: Object}>>} what was sent,
+     *     empty when waiting for others.
+     */
+    async step(id, move) {
+        const bracket = await this.bracket(id);
+        const now = Number((await this.web3.eth.getBlock("latest")).timestamp);
+        const done = [];
+        if (bracket.stage === "registering") {
+            if (now > bracket.registrationDeadline || bracket.players.length === bracket.maxPlayers) {
+                done.push({ action: "start", round: null, index: null, receipt: await this.send(this.contract.methods.start(id)) });
+            }
+            return done;
+        }
+        if (bracket.stage !== "playing") {
+            return done;
+        }
+        const playing = [].concat(...bracket.rounds).filter(match => match.playerA !== null && match.playerB !== null
+            && match.winner === null);
+        for (const match of playing) {
+            if (now > match.deadline) {
+                const receipt = await this.send(this.contract.methods.claimForfeit(id, match.round, match.index));
+                done.push({ action: "forfeit", round: match.round, index: match.index, receipt: receipt });
+            } else if (sameAddress(match.playerA, this.account) || sameAddress(match.playerB, this.account)) {
+                const action = await this._play(bracket, match, move);
+                if (action !== null) {
+                    done.push(action);
+                }
+            }
+        }
+        return done;
+    }
+
+    async _play(bracket, match, move) {
+        if (typeof this.vault === "undefined") {
+            throw new Error("A vault is needed to play.");
+        }
+        const isA = sameAddress(match.playerA, this.account);
+        const key = { round: match.round, index: match.index };
+        if (!(isA ? match.committedA : match.committedB)) {
+            const moveNumber = Number(move);
+            if (!Number.isInteger(moveNumber) || moveNumber < 1 || moveNumber > bracket.moveCount) {
+                throw new Error("A move from 1 to " + bracket.moveCount + " is needed to commit.");
+            }
+            const entry = {
+                contract: this.address,
+                hash: null,
+                tournament: bracket.id,
+                round: match.round,
+                index: match.index,
+                replay: match.replays,
+                creator: this.account,
+                opponent: isA ? match.playerB : match.playerA,
+                move: moveNumber,
+                password: this.commitment.randomPassword(),
+                expiration: match.deadline
+            };
+            entry.hash = this.moveHash(entry);
+            this.vault.add(entry);  // before sending, the password must never be lost
+            const receipt = await this.send(this.contract.methods.commitMove(bracket.id, match.round, match.index, entry.hash));
+            return Object.assign({ action: "commit", receipt: receipt }, key);
+        }
+        if (match.committedA && match.committedB && !(isA ? match.revealedA : match.revealedB)) {
+            const entry = this.vault.list(this.address).find(candidate => candidate.tournament === bracket.id
+                && candidate.round === match.round && candidate.index === match.index && candidate.replay === match.replays);
+            if (typeof entry === "undefined") {
+                throw new Error("The secret of match " + match.index + " of round " + match.round + " is not in the vault.");
+            }
+            const receipt = await this.send(this.contract.methods.revealMove(bracket.id, match.round, match.index,
+                entry.move, entry.password));
+            this.vault.remove(this.address, entry.hash);
+            return Object.assign({ action: "reveal", receipt: receipt }, key);
+        }
+        return null;
+    }
+
+    /**
+     * Off-chain version of RockPaperScissorsTournament.generateMoveHash.
+     *
+     * @param {!{tournament: number, round: number, index: number, replay: number, creator: string, move: number,
+     *     password: string}} entry the player being the creator.
+     * @returns {!string}
+     */
+    moveHash(entry) {
+        return this.web3.utils.soliditySha3(
+            { t: "address", v: this.address },
+            { t: "uint256", v: entry.tournament },
+            { t: "uint8", v: entry.round },
+            { t: "uint16", v: entry.index },
+            { t: "uint8", v: entry.replay },
+            { t: "address", v: entry.creator },
+            { t: "uint8", v: entry.move },
+            { t: "bytes32", v: entry.password });
+    }
+}
+
+TournamentOrchestrator.stages = stages;
+TournamentOrchestrator.outcomes = outcomes;
+
+module.exports = TournamentOrchestrator;
@@ -0,0 +1,9 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsForwarder = artifacts.require("RockPaperScissorsForwarder.sol");
+const { getChainId } = require("../lib/deployments.js");
+
+module.exports = async function(deployer) {
+    const rockPaperScissors = await RockPaperScissors.deployed();
+    await deployer.deploy(RockPaperScissorsForwarder, rockPaperScissors.address, await getChainId(web3));
+    await rockPaperScissors.setForwarder(RockPaperScissorsForwarder.address);
+};
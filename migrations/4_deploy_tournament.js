@@ -0,0 +1,7 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsTournament = artifacts.require("RockPaperScissorsTournament.sol");
+
+module.exports = async function(deployer) {
+    const rockPaperScissors = await RockPaperScissors.deployed();
+    await deployer.deploy(RockPaperScissorsTournament, false, rockPaperScissors.address);
+};
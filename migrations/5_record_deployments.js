@@ -0,0 +1,15 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsForwarder = artifacts.require("RockPaperScissorsForwarder.sol");
+const RockPaperScissorsTournament = artifacts.require("RockPaperScissorsTournament.sol");
+const { recordDeployment } = require("../lib/deployments.js");
+
+// Writes deployments.json, where the scripts of bin find the contracts of the chain they are connected to
+module.exports = async function(deployer) {
+    for (const artifact of [RockPaperScissors, RockPaperScissorsForwarder, RockPaperScissorsTournament]) {
+        const entry = await recordDeployment(web3, artifact, {
+            address: artifact.address,
+            transactionHash: artifact.transactionHash
+        });
+        console.log("  Recorded " + artifact.contractName + " at " + entry.address + ", block " + entry.blockNumber);
+    }
+};
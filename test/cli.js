@@ -0,0 +1,380 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const IERC20 = artifacts.require("IERC20.sol");
+const IERC20Detailed = artifacts.require("IERC20Detailed.sol");
+const ERC20Mock = artifacts.require("ERC20Mock.sol");
+const cli = require("../lib/cli.js");
+const { SecretVault, memoryStorage } = require("../lib/secret-vault.js");
+const increaseTime = require("../util/increase-time.js");
+const { toWei } = web3.utils;
+
+contract('rps cli', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    let instance;
+    let contract;
+    let vault;
+    let vaults;  // one per player, as each keeps his own
+    let output;
+
+    function rps(account, ...argv) {
+        return cli.run(argv, {
+            web3: web3,
+            contract: contract,
+            tokenAbi: IERC20.abi.concat(IERC20Detailed.abi),
+            account: account,
+            openVault: () => account === alice ? vault : vaults[account],
+            print: line => output.push(line)
+        });
+    }
+
+    async function killWithCli() {
+        await rps(owner, "kill", "--yes");
+        await increaseTime(Number(await instance.timelockSeconds()) + 1);
+        return rps(owner, "kill", "--yes");
+    }
+
+    async function expectError(promise, message) {
+        try {
+            await promise;
+        } catch (e) {
+            assert.strictEqual(e.message, message, "Error not explained");
+            return;
+        }
+        assert.fail("Command should have failed");
+    }
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        contract = new web3.eth.Contract(RockPaperScissors.abi, instance.address);
+        vault = await SecretVault.open("passphrase", memoryStorage(), 1000);
+        vaults = {};
+        for (let account of [bob, carol]) {
+            vaults[account] = await SecretVault.open("passphrase", memoryStorage(), 1000);
+        }
+        output = [];
+    });
+
+    describe("parsing", function() {
+
+        it("should parse moves and times", async function() {
+
+            assert.strictEqual(cli.parseMove("Rock"), 1);
+            assert.strictEqual(cli.parseMove("3"), 3);
+            assert.throws(() => cli.parseMove("lizard"), "The move must be rock, paper or scissors.");
+            assert.throws(() => cli.parseMove("0"), "The move must be rock, paper or scissors.");
+            let rpsls = { id: 1, moves: ["Rock", "Paper", "Scissors", "Lizard", "Spock"] };
+            assert.strictEqual(cli.parseMove("lizard", rpsls), 4);
+            assert.throws(() => cli.parseMove("6", rpsls), "The move must be rock, paper, scissors, lizard or spock.");
+            assert.strictEqual(cli.parseSeconds("90"), 90);
+            assert.strictEqual(cli.parseSeconds("2h"), 7200);
+            assert.strictEqual(cli.parseSeconds("1d"), 86400);
+            assert.throws(() => cli.parseSeconds("soon"));
+        });
+
+        it("should parse and format token amounts with the decimals of the token", async function() {
+
+            assert.strictEqual(cli.parseUnits("1.5", 6), "1500000");
+            assert.strictEqual(cli.parseUnits("0.000001", 6), "1");
+            assert.strictEqual(cli.parseUnits("2.50", 2), "250");
+            assert.strictEqual(cli.parseUnits("7", 0), "7");
+            assert.throws(() => cli.parseUnits("0.0000001", 6), "Invalid amount 0.0000001, the token has 6 decimals.");
+            assert.throws(() => cli.parseUnits("1e6", 6), "Invalid amount 1e6.");
+            assert.throws(() => cli.parseUnits(".", 6), "Invalid amount ..");
+            assert.strictEqual(cli.formatUnits("1500000", 6), "1.5");
+            assert.strictEqual(cli.formatUnits("1", 6), "0.000001");
+            assert.strictEqual(cli.formatUnits("0", 6), "0");
+            assert.strictEqual(cli.formatUnits("7", 0), "7");
+        });
+    });
+
+    describe("game lifecycle", function() {
+
+        it("should create, join, reveal and withdraw", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            let entry = vault.get(instance.address, hash);
+            assert.strictEqual(entry.move, 1, "Secret not saved in the vault");
+            assert.notEqual(entry.expiration, 0, "Expiration not saved in the vault");
+
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.state, "waiting for the opponent");
+            assert.strictEqual(status.bet, "0.01");
+
+            await rps(bob, "join", hash, "--move", "scissors");
+            status = await rps(bob, "status", hash);
+            assert.strictEqual(status.state, "waiting for the creator to reveal");
+            assert.strictEqual(status.opponentMove, "scissors");
+
+            await rps(alice, "reveal", hash);
+            assert.isNull(vault.get(instance.address, hash), "Secret should be removed after reveal");
+            let balance = await rps(alice, "balance");
+            assert.strictEqual(balance.contract, "0.02", "Alice should have won");
+
+            await rps(alice, "withdraw");
+            balance = await rps(alice, "balance");
+            assert.strictEqual(balance.contract, "0", "Alice should have withdrawn");
+        });
+
+        it("should bet previous winnings", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            await rps(bob, "join", hash, "--move", "scissors");
+            await rps(alice, "reveal", hash);
+
+            hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.03", "--expires-in", "1d", "--move", "paper", "--from-balance");
+            let balance = await rps(alice, "balance");
+            assert.strictEqual(balance.contract, "0", "Whole balance should be used");
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.bet, "0.03");
+        });
+
+        it("should play an open game", async function() {
+
+            let hash = await rps(alice, "new", "--open", "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            let status = await rps(carol, "status", hash);
+            assert.strictEqual(status.state, "open to anyone");
+
+            await rps(carol, "join", hash, "--move", "paper");
+            status = await rps(carol, "status", hash);
+            assert.strictEqual(status.state, "joined, waiting for the opponent to reveal");
+            assert.strictEqual(status.opponentMove, "unset", "Move should be hidden");
+
+            await rps(carol, "reveal", hash);
+            await rps(alice, "reveal", hash);
+            let balance = await rps(carol, "balance");
+            assert.strictEqual(balance.contract, "0.02", "Carol should have won");
+        });
+
+        it("should claim after expiration", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "60", "--move", "paper");
+            await expectError(rps(alice, "claim", hash), "The game has not expired yet, wait for its expiration to claim.");
+            await increaseTime(120);
+            await rps(alice, "claim", hash);
+            let status = await rps(alice, "status", hash);
+            assert.strictEqual(status.state, "settled");
+        });
+
+        it("should play a match round by round", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--best-of", "3", "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            let state = await rps(alice, "round", hash);
+            assert.strictEqual(state.turn, "play", "Bob should play first");
+            await rps(bob, "round", hash, "--move", "scissors");
+            await rps(alice, "round", hash);
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.state, "waiting for the creator to commit the next round");
+            assert.strictEqual(status.match, "1 - 0 of 2 wins needed");
+            await rps(alice, "round", hash, "--move", "paper");
+            await rps(bob, "round", hash, "--move", "rock");
+            await rps(alice, "reveal", hash);
+            state = await rps(bob, "round", hash);
+            assert.strictEqual(state.turn, "over", "Alice should have won 2 rounds");
+            let balance = await rps(alice, "balance");
+            assert.strictEqual(balance.contract, "0.02", "Alice should get the pot");
+        });
+
+        it("should play a game in tokens", async function() {
+
+            let token = await ERC20Mock.new({from: owner});
+            await token.mint(alice, toWei('10', 'ether'));
+            await token.mint(bob, toWei('10', 'ether'));
+            let hash = await rps(alice, "new", "--opponent", bob, "--token", token.address, "--bet", "1", "--expires-in", "1d", "--move", "rock");
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.token, token.address);
+            assert.strictEqual(status.bet, "1");
+
+            await rps(bob, "join", hash, "--move", "paper", "--amount", "1.5");
+            await rps(alice, "reveal", hash);
+            let balance = await rps(bob, "balance", "--token", token.address);
+            assert.strictEqual(balance.contract, "2.5", "Bob should have won and kept what was above the bet");
+            await rps(bob, "withdraw", "--token", token.address);
+            balance = await rps(bob, "balance", "--token", token.address);
+            assert.strictEqual(balance.contract, "0", "Bob should have withdrawn");
+            assert.strictEqual(balance.wallet, "11", "Bob should have the tokens in his wallet");
+            balance = await rps(bob, "balance");
+            assert.strictEqual(balance.contract, "0", "Nothing should be won in ether");
+        });
+
+        it("should bet in the decimals of the token and take the approval back when joining fails", async function() {
+
+            let token = await ERC20Mock.new({from: owner});
+            await token.setDecimals(6, {from: owner});
+            await token.mint(alice, "10000000");
+            await token.mint(bob, "10000000");
+            let hash = await rps(alice, "new", "--opponent", bob, "--token", token.address, "--bet", "2.5", "--expires-in", "1d", "--move", "rock");
+            assert.strictEqual((await instance.games(hash)).bet.toString(), "2500000", "Bet should be in 6 decimals");
+            assert.strictEqual((await rps(bob, "status", hash)).bet, "2.5");
+            assert.strictEqual((await token.allowance(alice, instance.address)).toString(), "0", "Approval should be used up");
+
+            await expectError(rps(bob, "join", hash, "--move", "paper", "--amount", "2"),
+                "You must bet exactly the same amount as the creator.");
+            assert.strictEqual((await token.allowance(bob, instance.address)).toString(), "0", "Approval should be taken back");
+            await rps(bob, "join", hash, "--move", "paper");
+            await rps(alice, "reveal", hash);
+            let balance = await rps(bob, "balance", "--token", token.address);
+            assert.strictEqual(balance.contract, "5", "Bob should have won the pot");
+            assert.strictEqual(balance.wallet, "7.5", "Bob should have paid his bet");
+        });
+
+        it("should play a hidden moves game, revealing in any order", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--hidden", "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            await rps(bob, "join", hash, "--move", "paper");
+            let status = await rps(bob, "status", hash);
+            assert.isTrue(status.hiddenMoves);
+            assert.strictEqual(status.state, "waiting for both players to reveal");
+
+            await rps(alice, "reveal", hash);
+            status = await rps(alice, "status", hash);
+            assert.strictEqual(status.state, "creator revealed, waiting for the opponent to reveal");
+            await rps(bob, "reveal", hash);
+            assert.isNull(vaults[bob].get(instance.address, hash), "Secret should be removed once settled");
+            let balance = await rps(bob, "balance");
+            assert.strictEqual(balance.contract, "0.02", "Bob should have won");
+        });
+
+        it("should list the rule sets and play with other rules", async function() {
+
+            let list = await rps(alice, "rules");
+            assert.deepEqual(list.map(ruleSet => ruleSet.name), ["Rock-Paper-Scissors", "Rock-Paper-Scissors-Lizard-Spock"]);
+            assert.strictEqual(output[1], "1: Rock-Paper-Scissors-Lizard-Spock, moves Rock, Paper, Scissors, Lizard, Spock");
+            await expectError(rps(alice, "new", "--opponent", bob, "--rules", "chess", "--bet", "0.01", "--expires-in", "1d", "--move", "rock"),
+                "Unknown rule set chess, it is one of: Rock-Paper-Scissors, Rock-Paper-Scissors-Lizard-Spock.");
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--rules", "rock-paper-scissors-lizard-spock", "--bet", "0.01",
+                "--expires-in", "1d", "--move", "spock");
+            assert.strictEqual(vault.get(instance.address, hash).move, 5, "Spock not saved in the vault");
+            await rps(bob, "join", hash, "--move", "lizard");
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.rules, "Rock-Paper-Scissors-Lizard-Spock");
+            assert.strictEqual(status.opponentMove, "lizard");
+            await rps(alice, "reveal", hash);
+            let balance = await rps(bob, "balance");
+            assert.strictEqual(balance.contract, "0.02", "Lizard should have poisoned Spock");
+        });
+
+        it("should cancel in two steps", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "paper");
+            await rps(alice, "cancel", hash);
+            let status = await rps(alice, "status", hash);
+            assert.strictEqual(status.state, "cancel requested, the opponent can still play");
+            await expectError(rps(alice, "cancel", hash), "The opponent can still play, wait until the cancel delay passed.");
+            await increaseTime(3601);
+            await rps(alice, "cancel", hash);
+            assert.isNull(vault.get(instance.address, hash), "Secret should be removed after cancel");
+            status = await rps(alice, "status", hash);
+            assert.strictEqual(status.state, "settled");
+        });
+    });
+
+    describe("explaining errors", function() {
+
+        it("should explain the contract revert reasons", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            await expectError(rps(carol, "join", hash, "--move", "rock"), "This game was created for another opponent.");
+            await rps(bob, "join", hash, "--move", "rock");
+            await expectError(rps(bob, "join", hash, "--move", "rock"), "The opponent already played this game.");
+            await expectError(rps(bob, "withdraw"), "You have nothing to withdraw.");
+            await expectError(rps(alice, "pause"), "Only the owner or a guardian can pause the contract.");
+        });
+
+        it("should not keep the secret when creation fails", async function() {
+
+            await expectError(rps(alice, "new", "--opponent", bob, "--bet", "0", "--expires-in", "1d", "--move", "rock"),
+                "The bet cannot be zero.");
+            assert.strictEqual(vault.list().length, 0, "Secret should be removed");
+        });
+    });
+
+    describe("owner commands", function() {
+
+        it("should pause, unpause and kill", async function() {
+
+            await rps(owner, "pause");
+            assert.isTrue(await instance.isPaused(), "Contract should be paused");
+            await expectError(rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock"),
+                "The contract is paused, try again later.");
+            await rps(owner, "unpause");
+            assert.isFalse(await instance.isPaused(), "Contract should not be paused");
+            await expectError(rps(owner, "kill"), "Killing the contract cannot be undone, add --yes if you are sure.");
+            await rps(owner, "kill", "--yes");
+            assert.include(output[output.length - 1], "Kill scheduled, run kill --yes again after");
+            await expectError(rps(owner, "kill", "--yes"),
+                "The timelock is not over, players still have time to leave, try again later.");
+            await rps(owner, "cancel-kill");
+            await expectError(rps(owner, "cancel-kill"), "No kill is scheduled, kill --yes schedules it.");
+            await killWithCli();
+            await expectError(rps(owner, "unpause"), "The contract was killed and cannot be unpaused.");
+        });
+
+        it("should let guardians pause and transfer the ownership after the timelock", async function() {
+
+            await expectError(rps(carol, "pause"), "Only the owner or a guardian can pause the contract.");
+            await expectError(rps(owner, "guardian", "carol"), "Missing or invalid guardian address.");
+            await rps(owner, "guardian", carol);
+            await rps(carol, "pause");
+            await expectError(rps(carol, "unpause"), "Only the owner of the contract can do this.");
+            await rps(owner, "unpause");
+            await rps(owner, "guardian", carol, "--remove");
+            await expectError(rps(carol, "pause"), "Only the owner or a guardian can pause the contract.");
+
+            await rps(owner, "transfer-ownership", bob);
+            assert.include(output[output.length - 1], "Ownership transfer scheduled, " + bob + " can run accept-ownership after");
+            await expectError(rps(carol, "accept-ownership"), "Only the account the ownership is transferred to can accept it.");
+            await expectError(rps(bob, "accept-ownership"),
+                "The timelock is not over, players still have time to leave, try again later.");
+            await increaseTime(Number(await instance.timelockSeconds()) + 1);
+            await rps(bob, "accept-ownership");
+            assert.strictEqual(await instance.owner(), bob, "Bob should be the owner");
+        });
+
+        it("should set the fee and withdraw the fees", async function() {
+
+            await expectError(rps(owner, "fee", "600"), "The fee cannot be above 5%.");
+            await rps(owner, "fee", "100");
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.fee, "1%");
+            await rps(bob, "join", hash, "--move", "scissors");
+            await rps(alice, "reveal", hash);
+            await expectError(rps(alice, "withdraw-fees"), "Only the owner of the contract can do this.");
+            await rps(owner, "withdraw-fees");
+            assert.include(output[output.length - 1], "0.0002 ETH of fees", "Fees not withdrawn");
+        });
+
+        it("should set the expiration policy and create games with another reveal window", async function() {
+
+            await expectError(rps(alice, "expiration-policy", "10d", "1h", "7d"), "Only the owner of the contract can do this.");
+            await expectError(rps(owner, "expiration-policy", "10d", "2d", "7d"),
+                "The maximum expiration cannot be zero and the reveal bounds must allow one day.");
+            await rps(owner, "expiration-policy", "5d", "1h", "2d");
+            assert.strictEqual(output[output.length - 1], "New games expire within 5d and their reveal window is from 1h to 2d.");
+            await expectError(rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "6d", "--move", "rock"),
+                "The expiration is too far away, above the maximum set by the owner.");
+            await expectError(rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock",
+                "--reveal-in", "3d"), "The reveal window is outside the bounds set by the owner, choose another one.");
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock",
+                "--reveal-in", "90m");
+            let status = await rps(bob, "status", hash);
+            assert.strictEqual(status.revealWindow, "90m");
+            assert.include(output, "  reveal window: 90m after each move");
+        });
+
+        it("should refund and withdraw once killed", async function() {
+
+            let hash = await rps(alice, "new", "--opponent", bob, "--bet", "0.01", "--expires-in", "1d", "--move", "rock");
+            await rps(bob, "join", hash, "--move", "paper");
+            await expectError(rps(alice, "refund", hash),
+                "Emergency refunds and withdrawals are only open once the contract is killed.");
+            await killWithCli();
+            await rps(alice, "refund", hash);
+            assert.isNull(vault.get(instance.address, hash), "Secret should be removed after refund");
+            await rps(bob, "withdraw");
+            let balance = await rps(bob, "balance");
+            assert.strictEqual(balance.contract, "0", "Bob should have his bet back");
+        });
+    });
+});
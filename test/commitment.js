@@ -0,0 +1,107 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const { fromAscii } = web3.utils;
+
+contract('commitment', accounts => {
+    const [ owner, alice, bob ] = accounts;
+    const { move } = commitment;
+    let instance;
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+    });
+
+    describe("generate hashes", function() {
+
+        it("should match the contract hash for every move", async function() {
+
+            for (let creatorMove of [move.rock, move.paper, move.scissors]) {
+                let password = commitment.randomPassword();
+                let onChain = await instance.generateHash(bob, creatorMove, password, {from: alice});
+                let offChain = commitment.generateHash(instance.address, alice, bob, creatorMove, password);
+                assert.strictEqual(offChain, onChain, "Hash does not match the contract one");
+            }
+        });
+
+        it("should match the contract hash for a typed password", async function() {
+
+            let password = commitment.toPassword("bananas");
+            assert.strictEqual(password, web3.utils.padRight(fromAscii("bananas"), 64), "Password not padded");
+            let onChain = await instance.generateHash(bob, move.rock, fromAscii("bananas"), {from: alice});
+            let offChain = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+            assert.strictEqual(offChain, onChain, "Hash does not match the contract one");
+        });
+
+        it("should match the contract hashes of open games", async function() {
+
+            let password = commitment.randomPassword();
+            let onChain = await instance.generateOpenHash(move.paper, password, {from: alice});
+            let offChain = commitment.generateOpenHash(instance.address, alice, move.paper, password);
+            assert.strictEqual(offChain, onChain, "Open hash does not match the contract one");
+
+            let password2 = commitment.randomPassword();
+            let onChainOpponent = await instance.generateOpponentHash(onChain, move.rock, password2, {from: bob});
+            let offChainOpponent = commitment.generateOpponentHash(instance.address, bob, offChain, move.rock, password2);
+            assert.strictEqual(offChainOpponent, onChainOpponent, "Opponent hash does not match the contract one");
+        });
+
+        it("should match the contract hashes of games with other rules", async function() {
+
+            let rpsls = { id: 1, moves: ["Rock", "Paper", "Scissors", "Lizard", "Spock"] };
+            let password = commitment.randomPassword();
+            let onChain = await instance.generateRuleSetHash(bob, rpsls.id, 5, password, {from: alice});
+            let offChain = commitment.generateRuleSetHash(instance.address, alice, bob, rpsls, 5, password);
+            assert.strictEqual(offChain, onChain, "Rule set hash does not match the contract one");
+            assert.throws(() => commitment.generateRuleSetHash(instance.address, alice, bob, rpsls, 6, password), "Wrong move");
+            assert.throws(() => commitment.generateOpponentHash(instance.address, bob, offChain, 4, password), "Wrong move");
+
+            await instance.newRuleSetGame(onChain, bob, 86400, rpsls.id, {from: alice, value: 1});
+            let onChainOpponent = await instance.generateOpponentHash(onChain, 4, password, {from: bob});
+            let offChainOpponent = commitment.generateOpponentHash(instance.address, bob, offChain, 4, password, rpsls);
+            assert.strictEqual(offChainOpponent, onChainOpponent, "Opponent hash does not match the contract one");
+        });
+
+        it("should match the contract hashes of match rounds", async function() {
+
+            let password = commitment.randomPassword();
+            let gameHash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+            let onChain = await instance.generateRoundHash(gameHash, 2, move.paper, password, {from: alice});
+            let offChain = commitment.generateRoundHash(instance.address, alice, gameHash, 2, move.paper, password);
+            assert.strictEqual(offChain, onChain, "Round hash does not match the contract one");
+            assert.notEqual(commitment.generateRoundHash(instance.address, alice, gameHash, 3, move.paper, password), onChain,
+                "Round hash should depend on the round");
+        });
+
+        it("should depend on the contract, the creator and the opponent", async function() {
+
+            let password = commitment.randomPassword();
+            let hash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+            assert.notEqual(commitment.generateHash(owner, alice, bob, move.rock, password), hash);
+            assert.notEqual(commitment.generateHash(instance.address, owner, bob, move.rock, password), hash);
+            assert.notEqual(commitment.generateHash(instance.address, alice, owner, move.rock, password), hash);
+        });
+
+        it("should fail with the same rules as the contract", async function() {
+
+            let password = commitment.randomPassword();
+            assert.throws(() => commitment.generateHash(instance.address, alice, "0x0000000000000000000000000000000000000000", move.rock, password), "Not a valid opponent address");
+            assert.throws(() => commitment.generateHash(instance.address, alice, bob, move.unset, password), "Wrong move");
+            assert.throws(() => commitment.generateHash(instance.address, alice, bob, 4, password), "Wrong move");
+            assert.throws(() => commitment.generateHash(instance.address, alice, bob, move.rock, "0x" + "0".repeat(64)), "Password not set");
+            assert.throws(() => commitment.toPassword(""), "Password not set");
+            assert.throws(() => commitment.toPassword("a".repeat(33)), "Password cannot be longer than 32 bytes");
+        });
+    });
+
+    describe("random passwords", function() {
+
+        it("should be different bytes32 each time", async function() {
+
+            let password = commitment.randomPassword();
+            let password2 = commitment.randomPassword();
+            assert.isTrue(commitment.isBytes32(password), "Password is not bytes32");
+            assert.notEqual(password, password2, "Passwords should not repeat");
+        });
+    });
+});
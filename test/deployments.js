@@ -0,0 +1,195 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsForwarder = artifacts.require("RockPaperScissorsForwarder.sol");
+const { getNetwork, readRegistry, recordDeployment, loadDeployment } = require("../lib/deployments.js");
+const startGanache = require("../util/start-ganache.js");
+
+contract('Deployments', accounts => {
+    const [ owner, alice ] = accounts;
+    let file;
+    let network;
+    let instance;
+
+    function record(web3OfNetwork, artifact, deployed) {
+        return recordDeployment(web3OfNetwork, artifact, {
+            address: deployed.address,
+            transactionHash: deployed.transactionHash
+        }, file);
+    }
+
+    async function deploymentBlock(deployed, web3OfNetwork = web3) {
+        return (await web3OfNetwork.eth.getTransactionReceipt(deployed.transactionHash)).blockNumber;
+    }
+
+    async function expectError(promise, message) {
+        try {
+            await promise;
+        } catch (e) {
+            assert.include(e.message, message, "Error is not correct");
+            return;
+        }
+        assert.fail("Should have failed with: " + message);
+    }
+
+    beforeEach("deploy", async function() {
+
+        file = path.join(os.tmpdir(), "deployments-" + Date.now() + ".json");
+        network = await getNetwork(web3);
+        instance = await RockPaperScissors.new(false, {from: owner});
+    });
+
+    afterEach("remove the registry", function() {
+
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it("should have recorded the migrated contracts", async function() {
+
+        let entry = readRegistry().networks[network.key].RockPaperScissors;
+        assert.strictEqual(network.key, network.chainId + ":" + network.networkId, "Key is not correct");
+        assert.strictEqual(entry.address, RockPaperScissors.address, "Address is not correct");
+        assert.strictEqual(entry.transactionHash, RockPaperScissors.transactionHash, "Transaction is not correct");
+        assert.strictEqual(entry.blockNumber, await deploymentBlock(RockPaperScissors), "Block is not correct");
+        assert.match(entry.abiHash, /^0x[0-9a-f]{64}$/, "ABI hash is missing");
+        let loaded = await loadDeployment(web3, RockPaperScissors);
+        assert.strictEqual(loaded.address, RockPaperScissors.address, "Should load the migrated one");
+        assert.strictEqual(loaded.networkId, network.networkId, "Network is not correct");
+    });
+
+    it("should refuse other code and accounts without code", async function() {
+
+        let forwarder = await RockPaperScissorsForwarder.new(instance.address, network.chainId, {from: owner});
+        await record(web3, RockPaperScissors, forwarder);
+        await expectError(loadDeployment(web3, RockPaperScissors, { file: file }),
+            "is not the RockPaperScissors of the build");
+        await expectError(loadDeployment(web3, RockPaperScissors, { file: file, address: alice }),
+            "There is no contract at " + alice);
+        let loaded = await loadDeployment(web3, RockPaperScissors, { file: file, address: instance.address });
+        assert.strictEqual(loaded.address, instance.address, "Given address should be used");
+        assert.strictEqual(loaded.blockNumber, 0, "Start block of an unregistered address is unknown");
+    });
+
+    it("should use the given address without a registry, as the app does when it cannot fetch one", async function() {
+
+        await expectError(loadDeployment(web3, RockPaperScissors, { registry: null }),
+            "RockPaperScissors is not deployed on " + network.name);
+        let loaded = await loadDeployment(web3, RockPaperScissors, { registry: null, address: instance.address });
+        assert.strictEqual(loaded.address, instance.address, "Given address should be used");
+    });
+
+    it("should refuse a registry of another version", async function() {
+
+        fs.writeFileSync(file, JSON.stringify({ version: 1, chains: {} }));
+        await expectError(loadDeployment(web3, RockPaperScissors, { file: file }),
+            "Unsupported deployment registry version 1");
+    });
+
+    describe("next to other ganaches", function() {
+
+        const ganaches = [];
+        let other;  // started with another chain id
+        let local;  // left on the chain id ganache-cli answers by default, 1337
+        let localToo;  // on the same chain id as local, another network id
+
+        async function startNetwork(args) {
+            const ganache = await startGanache(args);
+            if (ganache === null) {
+                return null;
+            }
+            ganaches.push(ganache);
+            const web3OfNetwork = new web3.constructor();
+            web3OfNetwork.setProvider(ganache.url);
+            const [ from ] = await web3OfNetwork.eth.getAccounts();
+            let transactionHash;
+            const contract = await new web3OfNetwork.eth.Contract(RockPaperScissors.abi)
+                .deploy({ data: RockPaperScissors.bytecode, arguments: [ false ] })
+                .send({ from: from, gas: 8000000 })
+                .on("transactionHash", hash => transactionHash = hash);
+            return {
+                web3: web3OfNetwork,
+                network: await getNetwork(web3OfNetwork),
+                deployed: { address: contract.options.address, transactionHash: transactionHash }
+            };
+        }
+
+        before("start them", async function() {
+
+            this.timeout(120000);
+            other = await startNetwork([ "--chainId", "4242", "--networkId", "4242" ]);
+            if (other === null) {
+                console.log("      ganache-cli is not installed, skipping");
+                this.skip();
+            }
+            local = await startNetwork([ "--networkId", "4343" ]);
+            localToo = await startNetwork([ "--networkId", "4444" ]);
+        });
+
+        after("stop them", async function() {
+
+            await Promise.all(ganaches.map(ganache => ganache.stop()));
+        });
+
+        it("should load the deployment of the network of the provider", async function() {
+
+            await record(web3, RockPaperScissors, instance);
+            await record(other.web3, RockPaperScissors, other.deployed);
+            await record(local.web3, RockPaperScissors, local.deployed);
+            assert.sameMembers(Object.keys(readRegistry(file).networks), [ network.key, "4242:4242", "1337:4343" ]);
+            assert.strictEqual(readRegistry(file).version, 2, "Registry should be versioned");
+
+            let loaded = await loadDeployment(web3, RockPaperScissors, { file: file });
+            assert.strictEqual(loaded.chainId, network.chainId, "Chain is not correct");
+            assert.strictEqual(loaded.address, instance.address, "Address is not correct");
+            assert.strictEqual(loaded.blockNumber, await deploymentBlock(instance), "Start block is not correct");
+            assert.isTrue(await loaded.contract.methods.isMove(0, 1).call(), "Contract should be usable");
+
+            loaded = await loadDeployment(other.web3, RockPaperScissors, { file: file });
+            assert.strictEqual(loaded.chainId, 4242, "Other chain is not correct");
+            assert.strictEqual(loaded.networkId, 4242, "Other network is not correct");
+            assert.strictEqual(loaded.address, other.deployed.address, "Other address is not correct");
+            assert.strictEqual(loaded.blockNumber, await deploymentBlock(other.deployed, other.web3),
+                "Other start block is not correct");
+            assert.isTrue(await loaded.contract.methods.isMove(0, 1).call(), "Other contract should be usable");
+        });
+
+        it("should tell apart the networks ganache-cli gives the same chain id", async function() {
+
+            assert.strictEqual(local.network.chainId, 1337, "ganache-cli answers 1337 without --chainId");
+            assert.strictEqual(localToo.network.chainId, 1337, "ganache-cli answers 1337 without --chainId");
+            await record(local.web3, RockPaperScissors, local.deployed);
+            await record(localToo.web3, RockPaperScissors, localToo.deployed);
+            assert.sameMembers(Object.keys(readRegistry(file).networks), [ "1337:4343", "1337:4444" ]);
+
+            let loaded = await loadDeployment(local.web3, RockPaperScissors, { file: file });
+            assert.strictEqual(loaded.address, local.deployed.address, "Should load the one of its network");
+            loaded = await loadDeployment(localToo.web3, RockPaperScissors, { file: file });
+            assert.strictEqual(loaded.address, localToo.deployed.address, "Should load the one of its network");
+        });
+
+        it("should replace the previous deployment on the same network only", async function() {
+
+            let again = await RockPaperScissors.new(false, {from: owner});
+            await record(web3, RockPaperScissors, instance);
+            await record(other.web3, RockPaperScissors, other.deployed);
+            await record(web3, RockPaperScissors, again);
+            assert.strictEqual((await loadDeployment(web3, RockPaperScissors, { file: file })).address, again.address);
+            let loaded = await loadDeployment(other.web3, RockPaperScissors, { file: file });
+            assert.strictEqual(loaded.address, other.deployed.address, "Other network should be untouched");
+        });
+
+        it("should refuse networks without deployment and stale ABIs", async function() {
+
+            await record(other.web3, RockPaperScissors, other.deployed);
+            await expectError(loadDeployment(localToo.web3, RockPaperScissors, { file: file }),
+                "RockPaperScissors is not deployed on chain 1337 network 4444");
+            let stale = { contractName: "RockPaperScissors", abi: RockPaperScissors.abi.slice(1),
+                deployedBytecode: RockPaperScissors.deployedBytecode };
+            await expectError(loadDeployment(other.web3, stale, { file: file }),
+                "The ABI of RockPaperScissors changed since its deployment on chain 4242");
+        });
+    });
+});
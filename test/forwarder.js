@@ -0,0 +1,141 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsForwarder = artifacts.require("RockPaperScissorsForwarder.sol");
+const expectedExceptionPromise = require("../util/expected-exception-promise.js");
+const signedMoves = require("../lib/signed-moves.js")(web3);
+const { toWei, toBN, fromAscii } = web3.utils;
+
+contract('RockPaperScissorsForwarder', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const quantity = toWei('0.01', 'ether');
+    const balance = toWei('0.05', 'ether');
+    const fee = toWei('0.001', 'ether');
+    const password = fromAscii("bananas");
+    const secondsInDay = 86400;
+    const move = {
+        unset: 0,
+        rock: 1,
+        paper: 2,
+        scissors: 3
+    };
+    let instance;
+    let forwarder;
+    let forwarderContract;  // web3 one, to sign with
+    let deadline;
+
+    /**
+     * Alice and Bob draw a game so that both have `balance` to bet
+     */
+    async function fundBalances() {
+        let hash = await instance.generateHash(bob, move.paper, fromAscii("cherries"), {from: alice});
+        await instance.newGame(hash, bob, secondsInDay, {from: alice, value: balance});
+        await instance.setOpponentMove(hash, move.paper, {from: bob, value: balance});
+        await instance.revealResult(bob, move.paper, fromAscii("cherries"), {from: alice});
+    }
+
+    function sign(player, action, params, payloadFee = fee) {
+        return signedMoves.sign(forwarderContract, player, action, params, { fee: payloadFee, deadline: deadline });
+    }
+
+    function relay(payload, from = carol) {
+        return forwarder[payload.action](...signedMoves.toArguments(payload), {from: from});
+    }
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        forwarder = await RockPaperScissorsForwarder.new(instance.address, await web3.eth.net.getId(), {from: owner});
+        forwarderContract = new web3.eth.Contract(RockPaperScissorsForwarder.abi, forwarder.address);
+        await instance.setForwarder(forwarder.address, {from: owner});
+        await fundBalances();
+        deadline = (await web3.eth.getBlock('latest')).timestamp + 3600;
+    });
+
+    it("should let only the owner set the forwarder", async function() {
+
+        await expectedExceptionPromise(function() {
+            return instance.setForwarder(carol, {from: alice});
+        });
+        let txObj = await instance.setForwarder(carol, {from: owner});
+        assert.strictEqual(txObj.logs[0].event, "LogForwarderChanged", "Forwarder change should be logged");
+        assert.strictEqual(await instance.forwarder.call(), carol, "Forwarder not set");
+    });
+
+    it("should play a whole game from signed moves, repaying the relayer from the balances", async function() {
+
+        let hash = await instance.generateHash(bob, move.rock, password, {from: alice});
+        let payload = await sign(alice, "newGame", { hash: hash, opponent: bob, seconds: secondsInDay, bet: quantity });
+        let txObj = await relay(payload);
+        assert.strictEqual(txObj.logs[0].event, "LogRelayed", "Relaying should be logged");
+        assert.strictEqual(txObj.logs[0].args['player'], alice, "Log player is not correct");
+        assert.strictEqual(txObj.logs[0].args['relayer'], carol, "Log relayer is not correct");
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['creator'], alice, "Alice should be the creator, not the forwarder");
+        assert.strictEqual((await forwarder.nonces.call(alice)).toString(), "1", "Nonce not used up");
+
+        payload = await sign(bob, "setOpponentMove", { hash: hash, move: move.scissors });
+        await relay(payload);
+        assert.strictEqual((await instance.games.call(hash))['opponentMove'].toString(), move.scissors.toString(), "Bob should have played");
+
+        payload = await sign(alice, "revealResult", { opponent: bob, creatorMove: move.rock, creatorPassword: password });
+        await relay(payload);
+        let aliceBalance = toBN(balance).sub(toBN(fee).muln(2)).add(toBN(quantity));
+        assert.strictEqual((await instance.balances.call(alice)).toString(), aliceBalance.toString(), "Alice should have won less the fees");
+        assert.strictEqual((await instance.balances.call(carol)).toString(), toBN(fee).muln(3).toString(), "Carol should get the fees");
+
+        let aliceEtherBN = toBN(await web3.eth.getBalance(alice));
+        payload = await sign(alice, "withdrawFunds", {});
+        await relay(payload);
+        assert.strictEqual((await instance.balances.call(alice)).toString(), "0", "Alice should have withdrawn");
+        assert.strictEqual(toBN(await web3.eth.getBalance(alice)).sub(aliceEtherBN).toString(),
+            aliceBalance.sub(toBN(fee)).toString(), "Alice should get her balance without paying gas");
+    });
+
+    it("should refuse replayed, expired, tampered or misattributed signatures", async function() {
+
+        let payload = await sign(bob, "withdrawFunds", {});
+        await expectedExceptionPromise(function() {
+            return relay(Object.assign({}, payload, { player: alice }));
+        });
+        await expectedExceptionPromise(function() {
+            return relay(Object.assign({}, payload, { fee: toWei('0.002', 'ether') }));
+        });
+        await relay(payload);
+        await expectedExceptionPromise(function() {
+            return relay(payload);
+        });
+
+        deadline = (await web3.eth.getBlock('latest')).timestamp - 1;
+        payload = await sign(alice, "withdrawFunds", {});
+        await expectedExceptionPromise(function() {
+            return relay(payload);
+        });
+    });
+
+    it("should revert with the reason of RockPaperScissors and not use the nonce up", async function() {
+
+        let hash = await instance.generateHash(bob, move.rock, password, {from: alice});
+        let payload = await sign(alice, "newGame", { hash: hash, opponent: bob, seconds: secondsInDay, bet: toWei('1', 'ether') });
+        try {
+            await relay(payload);
+            assert.fail("Betting above the balance should fail");
+        } catch (e) {
+            assert.include(e.message, "Not enough balance to bet", "Reason not forwarded");
+        }
+        assert.strictEqual((await forwarder.nonces.call(alice)).toString(), "0", "Nonce should stay");
+
+        payload = await sign(alice, "newGame", { hash: hash, opponent: bob, seconds: secondsInDay, bet: balance });
+        await expectedExceptionPromise(function() {
+            return relay(payload);  // nothing left for the fee
+        });
+    });
+
+    it("should not act for the players once the forwarder is changed", async function() {
+
+        await instance.setForwarder("0x0000000000000000000000000000000000000000", {from: owner});
+        let payload = await sign(alice, "withdrawFunds", {}, "0");
+        await expectedExceptionPromise(function() {
+            return relay(payload);
+        });
+        assert.strictEqual((await instance.balances.call(alice)).toString(), balance, "Alice should keep her balance");
+    });
+});
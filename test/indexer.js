@@ -0,0 +1,334 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const GameIndexer = require("../lib/indexer.js");
+const { memoryStorage } = require("../lib/storage.js");
+const { toWei } = web3.utils;
+
+contract('GameIndexer', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const { move } = commitment;
+    const { status } = GameIndexer;
+    const quantity = toWei('0.01', 'ether');
+    const secondsInDay = 86400;
+    let instance;
+    let storage;
+    let indexer;
+    let fromBlock;
+
+    function rpc(method, params = []) {
+        return new Promise(function(resolve, reject) {
+            web3.currentProvider.send({jsonrpc: '2.0', method: method, params: params, id: Date.now()}, function(err, result) {
+                return err ? reject(err) : resolve(result.result);
+            });
+        });
+    }
+
+    async function now() {
+        return (await web3.eth.getBlock('latest')).timestamp;
+    }
+
+    async function createGame(creator, opponent, creatorMove) {
+        let password = commitment.randomPassword();
+        let hash = commitment.generateHash(instance.address, creator, opponent, creatorMove, password);
+        await instance.newGame(hash, opponent, secondsInDay, {from: creator, value: quantity});
+        return { hash: hash, password: password };
+    }
+
+    function newIndexer(options = {}) {
+        return new GameIndexer(Object.assign({
+            web3: web3,
+            contract: new web3.eth.Contract(RockPaperScissors.abi, instance.address),
+            storage: storage,
+            fromBlock: fromBlock,
+            batchSize: 3
+        }, options));
+    }
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        fromBlock = (await web3.eth.getTransactionReceipt(instance.transactionHash)).blockNumber;
+        storage = memoryStorage();
+        indexer = newIndexer();
+    });
+
+    describe("rebuilding games", function() {
+
+        it("should follow a game through its whole lifecycle", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            await indexer.sync();
+            assert.strictEqual(indexer.game(game.hash).status, status.open, "Game should be open");
+            assert.strictEqual(indexer.game(game.hash).bet, quantity, "Bet is not correct");
+            assert.strictEqual(indexer.game(game.hash).revealSeconds, 86400, "Reveal window is not correct");
+
+            await instance.setOpponentMove(game.hash, move.scissors, {from: bob, value: quantity});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(game.hash).status, status.joined, "Game should be joined");
+            assert.strictEqual(indexer.game(game.hash).opponentMove, move.scissors, "Move is not correct");
+
+            await instance.revealResult(bob, move.rock, game.password, {from: alice});
+            await instance.withdrawFunds({from: alice});
+            await indexer.sync();
+            let indexed = indexer.game(game.hash);
+            assert.strictEqual(indexed.status, status.revealed, "Game should be revealed");
+            assert.strictEqual(indexed.creatorAmount, toWei('0.02', 'ether'), "Creator amount is not correct");
+            assert.deepEqual(indexed.history.map(step => step.event), ["LogNewGame", "LogOpponentMove", "LogRevealResult"]);
+            assert.strictEqual(indexer.withdrawals(alice).length, 1, "Withdrawal not indexed");
+        });
+
+        it("should resume from the last processed block", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            await indexer.sync();
+            let lastBlock = indexer.lastBlock;
+            await instance.setOpponentMove(game.hash, move.paper, {from: bob, value: quantity});
+
+            let resumed = newIndexer();
+            assert.strictEqual(resumed.lastBlock, lastBlock, "Last block not persisted");
+            let result = await resumed.sync();
+            assert.strictEqual(result.events, 1, "Only the new event should be read");
+            assert.strictEqual(resumed.game(game.hash).status, status.joined, "Game should be joined");
+        });
+
+        it("should compact old events and forget the games settled before them if asked to", async function() {
+
+            indexer = newIndexer({ maxCheckpoints: 2, pruneSettled: true });
+            let settled = await createGame(alice, bob, move.rock);
+            await instance.setOpponentMove(settled.hash, move.scissors, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, settled.password, {from: alice});
+            await instance.withdrawFunds({from: alice});
+            let pending = await createGame(alice, carol, move.rock);
+            await indexer.sync();
+            assert.include(indexer.eventsAfter(0).map(event => event.event), "LogRevealResult",
+                "Events of the last sync should be kept");
+
+            for (let i = 0; i < 3; i++) {
+                await createGame(bob, carol, move.paper);
+                await indexer.sync();
+            }
+            assert.isNull(indexer.game(settled.hash), "Settled game should be forgotten");
+            assert.strictEqual(indexer.withdrawals(alice).length, 0, "Old withdrawal should be forgotten");
+            assert.strictEqual(indexer.game(pending.hash).status, status.open, "Pending game should be kept");
+            assert.deepEqual(indexer.game(pending.hash).history.map(step => step.event), ["LogNewGame"]);
+            assert.isAtMost(indexer.eventsAfter(0).length, 2, "Old events should be compacted");
+            assert.strictEqual(indexer.games().length, 4, "Other games should be kept");
+
+            let stored = JSON.parse(storage.load());
+            assert.isUndefined(stored.games, "Games should be rebuilt, not stored");
+            assert.deepEqual(newIndexer().games(), indexer.games(), "Store should resume to the same games");
+        });
+
+        it("should keep the settled games and their history by default", async function() {
+
+            indexer = newIndexer({ maxCheckpoints: 2 });
+            let settled = await createGame(alice, bob, move.rock);
+            await rpc('evm_increaseTime', [2 * secondsInDay]);
+            await instance.claimAfterExpiration(settled.hash, {from: alice});
+            await indexer.sync();
+            for (let i = 0; i < 3; i++) {
+                await createGame(bob, carol, move.paper);
+                await indexer.sync();
+            }
+            assert.strictEqual(indexer.game(settled.hash).status, status.claimed, "Settled game should be kept");
+            assert.deepEqual(indexer.game(settled.hash).history.map(step => step.event),
+                ["LogNewGame", "LogClaimAfterExpiration"]);
+            assert.isAtMost(indexer.eventsAfter(0).length, 2, "Old events should be compacted");
+        });
+
+        it("should go on from a store of the previous version", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            await indexer.sync();
+            let stored = JSON.parse(storage.load());
+            storage.save(JSON.stringify({
+                version: 1,
+                fromBlock: stored.fromBlock,
+                lastBlock: stored.lastBlock,
+                checkpoints: stored.checkpoints,
+                events: stored.events,
+                games: indexer.state.games,
+                withdrawals: []
+            }));
+            await instance.setOpponentMove(game.hash, move.paper, {from: bob, value: quantity});
+
+            let migrated = newIndexer();
+            assert.strictEqual(migrated.game(game.hash).status, status.open, "Game should be open");
+            assert.strictEqual((await migrated.sync()).events, 1, "Only the new event should be read");
+            assert.strictEqual(migrated.game(game.hash).status, status.joined, "Game should be joined");
+        });
+
+        it("should skip the events of games created before the first block", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            fromBlock = await web3.eth.getBlockNumber() + 1;
+            let other = await createGame(alice, carol, move.rock);
+            await instance.setOpponentMove(game.hash, move.paper, {from: bob, value: quantity});
+            indexer = newIndexer();
+            await indexer.sync();
+            assert.isNull(indexer.game(game.hash), "Older game should not be indexed");
+            assert.strictEqual(indexer.game(other.hash).status, status.open, "Game should be indexed");
+        });
+    });
+
+    describe("queries", function() {
+
+        it("should list open games, games awaiting reveal and expired ones", async function() {
+
+            let toJoin = await createGame(alice, bob, move.rock);
+            let toReveal = await createGame(alice, bob, move.paper);
+            let forCarol = await createGame(bob, carol, move.paper);
+            await instance.setOpponentMove(toReveal.hash, move.rock, {from: bob, value: quantity});
+            await indexer.sync();
+
+            let timestamp = await now();
+            assert.deepEqual(indexer.openGamesFor(bob, timestamp).map(game => game.hash), [toJoin.hash]);
+            assert.deepEqual(indexer.openGamesFor(carol, timestamp).map(game => game.hash), [forCarol.hash]);
+            assert.deepEqual(indexer.awaitingReveal(alice, timestamp).map(game => game.hash), [toReveal.hash]);
+            assert.strictEqual(indexer.expiredUnclaimed(timestamp).length, 0, "Nothing should be expired");
+
+            let later = timestamp + 2 * secondsInDay;
+            assert.strictEqual(indexer.openGamesFor(bob, later).length, 0, "Expired games cannot be joined");
+            assert.strictEqual(indexer.awaitingReveal(alice, later).length, 0, "Expired games cannot be revealed");
+            assert.strictEqual(indexer.expiredUnclaimed(later).length, 3, "All games should be expired");
+            assert.strictEqual(indexer.expiredUnclaimed(later, carol).length, 1, "Only one game of carol");
+        });
+
+        it("should list open challenges until someone joins", async function() {
+
+            let password = commitment.randomPassword();
+            let hash = commitment.generateOpenHash(instance.address, alice, move.rock, password);
+            await instance.newOpenGame(hash, secondsInDay, {from: alice, value: quantity});
+            await indexer.sync();
+            assert.deepEqual(indexer.openChallenges(await now()).map(game => game.hash), [hash]);
+            assert.strictEqual(indexer.openChallenges(await now(), alice).length, 0, "Own games are not challenges");
+
+            let opponentHash = commitment.generateOpponentHash(instance.address, carol, hash, move.paper, password);
+            await instance.joinOpenGame(hash, opponentHash, {from: carol, value: quantity});
+            await indexer.sync();
+            assert.strictEqual(indexer.openChallenges(await now()).length, 0, "Joined game is not open anymore");
+            assert.strictEqual(indexer.game(hash).status, status.committed, "Game should be committed");
+            assert.strictEqual(indexer.game(hash).opponent, carol, "Opponent is not correct");
+        });
+
+        it("should not list claimed games as expired", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            await rpc('evm_increaseTime', [2 * secondsInDay]);
+            await instance.claimAfterExpiration(game.hash, {from: alice});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(game.hash).status, status.claimed, "Game should be claimed");
+            assert.strictEqual(indexer.expiredUnclaimed(await now()).length, 0, "Claimed game listed");
+        });
+
+        it("should follow the rounds of a match", async function() {
+
+            let password = commitment.randomPassword();
+            let hash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+            await instance.newMatch(hash, bob, secondsInDay, 3, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            await indexer.sync();
+            let game = indexer.game(hash);
+            assert.strictEqual(game.status, status.round, "Match should wait for the next round");
+            assert.strictEqual(game.winsNeeded, 2, "Wins needed not indexed");
+            assert.strictEqual(game.creatorWins, 1, "Round result not indexed");
+
+            let roundHash = commitment.generateRoundHash(instance.address, alice, hash, 2, move.paper, password);
+            await instance.commitRound(hash, roundHash, {from: alice});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(hash).status, status.roundCommitted, "Match should wait for bob");
+            assert.strictEqual(indexer.openGamesFor(bob, await now()).length, 0, "Match in progress is not open");
+            assert.deepEqual(indexer.roundsToPlay(bob, await now()).map(game => game.hash), [hash]);
+        });
+
+        it("should follow a hidden moves game", async function() {
+
+            let password = commitment.randomPassword();
+            let hash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+            await instance.newHiddenGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            let bobPassword = commitment.randomPassword();
+            let bobHash = commitment.generateOpponentHash(instance.address, bob, hash, move.paper, bobPassword);
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            await indexer.sync();
+            let game = indexer.game(hash);
+            assert.isTrue(game.hiddenMoves, "Hidden moves not indexed");
+            assert.strictEqual(game.status, status.committed, "Game should wait for the reveals");
+            assert.strictEqual(indexer.awaitingReveal(alice, await now()).length, 1, "Alice should be asked to reveal");
+
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(hash).creatorMove, move.rock, "Creator move not indexed");
+            assert.strictEqual(indexer.awaitingReveal(alice, await now()).length, 0, "Alice already revealed");
+            await instance.revealOpponentMove(hash, move.paper, bobPassword, {from: bob});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(hash).status, status.revealed, "Game should be revealed");
+        });
+
+        it("should index the rule set of a game", async function() {
+
+            let classic = await createGame(alice, bob, move.rock);
+            let password = commitment.randomPassword();
+            let hash = commitment.generateHash(instance.address, alice, carol, move.rock, password);
+            await instance.newRuleSetGame(hash, carol, secondsInDay, 1, {from: alice, value: quantity});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(classic.hash).ruleSet, 0, "Game should be classic");
+            assert.strictEqual(indexer.game(hash).ruleSet, 1, "Rule set not indexed");
+        });
+
+        it("should not list cancelled games as expired", async function() {
+
+            let game = await createGame(alice, bob, move.rock);
+            await instance.requestCancel(game.hash, {from: alice});
+            await indexer.sync();
+            assert.isTrue(indexer.game(game.hash).cancelRequested, "Cancel request not indexed");
+            assert.strictEqual(indexer.openGamesFor(bob, await now()).length, 1, "Bob can still play");
+            await rpc('evm_increaseTime', [3601]);
+            await instance.cancelGame(game.hash, {from: alice});
+            await indexer.sync();
+            assert.strictEqual(indexer.game(game.hash).status, status.cancelled, "Game should be cancelled");
+            assert.strictEqual(indexer.expiredUnclaimed(await now()).length, 0, "Cancelled game listed");
+        });
+    });
+
+    describe("reorgs", function() {
+
+        it("should drop the games of blocks that left the chain", async function() {
+
+            let kept = await createGame(alice, bob, move.rock);
+            let snapshot = await rpc('evm_snapshot');
+            let dropped = await createGame(alice, carol, move.rock);
+            await indexer.sync();
+            assert.isNotNull(indexer.game(dropped.hash), "Game should be indexed");
+
+            await rpc('evm_revert', [snapshot]);
+            let replacement = await createGame(bob, carol, move.paper);
+            await instance.setOpponentMove(kept.hash, move.paper, {from: bob, value: quantity});
+            let result = await indexer.sync();
+            assert.isTrue(result.reorg, "Reorg should be detected");
+            assert.isNull(indexer.game(dropped.hash), "Game should be dropped");
+            assert.isNotNull(indexer.game(replacement.hash), "Game should be indexed");
+            assert.strictEqual(indexer.game(kept.hash).status, status.joined, "Game should be joined");
+        });
+
+        it("should rebuild from the first block after a reorg deeper than the checkpoints", async function() {
+
+            indexer = newIndexer({ maxCheckpoints: 2 });
+            let snapshot = await rpc('evm_snapshot');
+            let dropped = await createGame(alice, carol, move.rock);
+            await indexer.sync();
+            for (let i = 0; i < 3; i++) {
+                await createGame(bob, carol, move.paper);
+                await indexer.sync();
+            }
+            assert.isAtMost(indexer.eventsAfter(0).length, 2, "Old events should be compacted");
+
+            await rpc('evm_revert', [snapshot]);
+            let replacement = await createGame(bob, alice, move.paper);
+            let result = await indexer.sync();
+            assert.isTrue(result.reorg, "Reorg should be detected");
+            assert.isNull(indexer.game(dropped.hash), "Game should be dropped");
+            assert.deepEqual(indexer.games().map(game => game.hash), [replacement.hash]);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const { SecretVault, memoryStorage } = require("../lib/secret-vault.js");
+const MatchDriver = require("../lib/match.js");
+const { toWei, toBN } = web3.utils;
+
+contract('MatchDriver', accounts => {
+    const [ owner, alice, bob ] = accounts;
+    const { move } = commitment;
+    const { turn } = MatchDriver;
+    const quantity = toWei('0.01', 'ether');
+    const quantity2BN = toBN(toWei('0.02', 'ether'));
+    const secondsInDay = 86400;
+    let instance;
+    let vault;
+    let aliceDriver;
+    let bobDriver;
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        let contract = new web3.eth.Contract(RockPaperScissors.abi, instance.address);
+        vault = await SecretVault.open("passphrase", memoryStorage(), 1000);
+        aliceDriver = new MatchDriver({ web3: web3, contract: contract, vault: vault, account: alice });
+        bobDriver = new MatchDriver({
+            web3: web3,
+            contract: contract,
+            vault: await SecretVault.open("passphrase", memoryStorage(), 1000),
+            account: bob
+        });
+    });
+
+    /**
+     * Steps both players until the match is over, each picking his moves in turn from a list.
+     */
+    async function play(hash, aliceMoves, bobMoves) {
+        let turns = [];
+        for (let state = await aliceDriver.state(hash); state.turn !== turn.over; state = await aliceDriver.state(hash)) {
+            let aliceStep = await aliceDriver.step(hash, aliceMoves[0]);
+            if (aliceStep !== null) {
+                turns.push("alice " + aliceStep.turn);
+                if (aliceStep.turn === turn.commit) {
+                    aliceMoves.shift();
+                }
+                continue;
+            }
+            let bobStep = await bobDriver.step(hash, bobMoves.shift());
+            assert.isNotNull(bobStep, "One of the players should have something to do");
+            turns.push("bob " + bobStep.turn);
+        }
+        return turns;
+    }
+
+    it("should drive a best-of-3 match with a draw to the end", async function() {
+
+        let hash = await aliceDriver.create(bob, 3, quantity, secondsInDay, move.rock);
+        let state = await aliceDriver.state(hash);
+        assert.strictEqual(state.turn, turn.play, "Bob should play first");
+        assert.strictEqual(state.winsNeeded, 2, "Best of 3 needs 2 wins");
+        assert.isNull(await aliceDriver.step(hash, move.paper), "Not the turn of alice");
+
+        // rock-scissors alice wins, paper-paper draw, scissors-paper alice wins
+        let turns = await play(hash, [move.paper, move.scissors], [move.scissors, move.paper, move.paper]);
+        assert.deepEqual(turns, [
+            "bob play", "alice reveal",
+            "alice commit", "bob play", "alice reveal",
+            "alice commit", "bob play", "alice reveal"
+        ], "Rounds not played in order");
+
+        state = await aliceDriver.state(hash);
+        assert.strictEqual(state.turn, turn.over, "Match should be over");
+        assert.strictEqual(state.round, 3, "Draw should be played as a round");
+        assert.strictEqual(state.creatorWins, 2, "Alice should have won 2 rounds");
+        assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.toString(), "Alice should get the pot");
+        assert.isNull(vault.get(instance.address, hash), "Secret should be removed once the match is over");
+    });
+
+    it("should keep a new secret for every round in the vault", async function() {
+
+        let hash = await aliceDriver.create(bob, 5, quantity, secondsInDay, move.rock);
+        let first = vault.get(instance.address, hash);
+        await bobDriver.step(hash, move.paper);
+        await aliceDriver.step(hash);
+        await aliceDriver.step(hash, move.scissors);
+        let second = vault.get(instance.address, hash);
+        assert.strictEqual(second.round, 2, "Round not saved");
+        assert.strictEqual(second.move, move.scissors, "Move not saved");
+        assert.notEqual(second.password, first.password, "Password should change every round");
+        assert.isNull(await aliceDriver.step(hash), "Not the turn of alice");
+        try {
+            await bobDriver.step(hash);
+        } catch (e) {
+            assert.strictEqual(e.message, "A move is needed to play the round.");
+            return;
+        }
+        assert.fail("Bob should need a move");
+    });
+});
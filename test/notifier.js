@@ -0,0 +1,216 @@
+const http = require("http");
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const GameIndexer = require("../lib/indexer.js");
+const { Notifier, sign, verifySignature } = require("../lib/notifier.js");
+const { memoryStorage } = require("../lib/storage.js");
+const increaseTime = require("../util/increase-time.js");
+const { toWei, toBN } = web3.utils;
+
+contract('Notifier', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const { move } = commitment;
+    const { type } = Notifier;
+    const quantity = toWei('0.01', 'ether');
+    const secondsInDay = 86400;
+    const silent = { info: () => {}, error: () => {} };
+    let instance;
+    let fromBlock;
+    let storage;
+    let notifier;
+    let server;
+    let url;
+    let received;
+    let answers;
+
+    function newNotifier(options = {}) {
+        return new Notifier(Object.assign({
+            web3: web3,
+            indexer: new GameIndexer({
+                web3: web3,
+                contract: new web3.eth.Contract(RockPaperScissors.abi, instance.address),
+                storage: memoryStorage(),
+                fromBlock: fromBlock
+            }),
+            storage: storage,
+            retries: 3,
+            retryDelay: 50,
+            logger: silent
+        }, options));
+    }
+
+    async function createGame(creator, opponent, creatorMove) {
+        let password = commitment.randomPassword();
+        let hash = commitment.generateHash(instance.address, creator, opponent, creatorMove, password);
+        let txObj = await instance.newGame(hash, opponent, secondsInDay, {from: creator, value: quantity});
+        return { hash: hash, password: password, expiration: Number(txObj.logs[0].args.expiration) };
+    }
+
+    function payloads(player) {
+        return received.map(request => JSON.parse(request.body))
+            .filter(payload => payload.player.toLowerCase() === player.toLowerCase());
+    }
+
+    before("start a receiver", async function() {
+
+        server = http.createServer(function(request, response) {
+            const chunks = [];
+            request.on("data", chunk => chunks.push(chunk));
+            request.on("end", function() {
+                received.push({ headers: request.headers, body: Buffer.concat(chunks).toString("utf8"), time: Date.now() });
+                response.statusCode = answers.length > 0 ? answers.shift() : 200;
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        url = "http://127.0.0.1:" + server.address().port;
+    });
+
+    after("stop the receiver", async function() {
+
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach("deploy and subscribe", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        fromBlock = (await web3.eth.getTransactionReceipt(instance.transactionHash)).blockNumber;
+        storage = memoryStorage();
+        notifier = newNotifier();
+        notifier.subscribe(alice, url + "/alice");
+        notifier.subscribe(bob, url + "/bob");
+        await notifier.poll();
+        received = [];
+        answers = [];
+    });
+
+    it("should tell each player about his game from the challenge to the funds", async function() {
+
+        let game = await createGame(alice, bob, move.rock);
+        assert.strictEqual(await notifier.poll(), 1, "Only bob should be told");
+        let challenged = payloads(bob)[0];
+        assert.strictEqual(received[0].headers["x-rps-delivery"], challenged.id, "Delivery id is not correct");
+        assert.strictEqual(challenged.type, type.challenged, "Type is not correct");
+        assert.strictEqual(challenged.contract, instance.address, "Contract is not correct");
+        assert.strictEqual(challenged.hash, game.hash, "Hash is not correct");
+        assert.strictEqual(challenged.creator, alice, "Creator is not correct");
+        assert.strictEqual(challenged.bet, quantity, "Bet is not correct");
+        assert.strictEqual(challenged.expiration, game.expiration, "Expiration is not correct");
+
+        let txObj = await instance.setOpponentMove(game.hash, move.scissors, {from: bob, value: quantity});
+        let revealBy = Number(txObj.logs[0].args.newExpiration);
+        received = [];
+        await notifier.poll();
+        assert.strictEqual(received.length, 1, "Only alice should be told");
+        let moved = payloads(alice)[0];
+        assert.strictEqual(moved.type, type.opponentMoved, "Type is not correct");
+        assert.strictEqual(moved.move, move.scissors, "Move is not correct");
+        assert.strictEqual(moved.revealBy, revealBy, "Reveal deadline is not correct");
+        assert.strictEqual(moved.revealByDate, new Date(revealBy * 1000).toISOString(), "Reveal date is not correct");
+
+        await instance.revealResult(bob, move.rock, game.password, {from: alice});
+        received = [];
+        await notifier.poll();
+        let prize = toBN(quantity).muln(2).toString();
+        assert.deepEqual(payloads(alice).map(payload => payload.type), [type.result, type.withdrawable]);
+        assert.deepEqual(payloads(bob).map(payload => payload.type), [type.result]);
+        assert.strictEqual(payloads(bob)[0].creatorAmount, prize, "Creator amount is not correct");
+        assert.strictEqual(payloads(bob)[0].opponentAmount, "0", "Opponent amount is not correct");
+        assert.strictEqual(payloads(alice)[1].amount, prize, "Withdrawable amount is not correct");
+        assert.isNull(payloads(alice)[1].token, "Ether should have no token");
+
+        received = [];
+        await createGame(carol, alice, move.paper);
+        await notifier.poll();
+        assert.strictEqual(received.length, 1, "Carol did not subscribe");
+        assert.strictEqual(payloads(alice)[0].creator, carol, "Alice should be challenged by carol");
+    });
+
+    it("should sign the payloads with the secret of the subscription", async function() {
+
+        let secret = notifier.subscriptions(bob)[0].secret;
+        await createGame(alice, bob, move.rock);
+        await notifier.poll();
+        let { headers, body } = received[0];
+        assert.isTrue(verifySignature(secret, headers, body), "Signature should be valid");
+        assert.isFalse(verifySignature(notifier.subscriptions(alice)[0].secret, headers, body), "Other secret should fail");
+        assert.isFalse(verifySignature(secret, headers, body.replace(bob, carol)), "Tampered body should fail");
+        let old = Math.floor(Date.now() / 1000) - 3600;
+        let oldHeaders = { "x-rps-timestamp": old.toString(), "x-rps-signature": sign(secret, old, body) };
+        assert.isFalse(verifySignature(secret, oldHeaders, body), "Old delivery should fail");
+        assert.isTrue(verifySignature(secret, oldHeaders, body, 7200), "Old delivery should pass with a longer max age");
+    });
+
+    it("should remind the player who must act once, an hour before the deadline", async function() {
+
+        let game = await createGame(alice, bob, move.rock);
+        await instance.setOpponentMove(game.hash, move.scissors, {from: bob, value: quantity});
+        await notifier.poll();
+        received = [];
+
+        await increaseTime(secondsInDay - 7200);
+        await notifier.poll();
+        assert.strictEqual(received.length, 0, "Too early to remind");
+
+        await increaseTime(5400);
+        await notifier.poll();
+        assert.strictEqual(received.length, 1, "Only alice must reveal");
+        let reminder = payloads(alice)[0];
+        assert.strictEqual(reminder.type, type.deadline, "Type is not correct");
+        assert.strictEqual(reminder.hash, game.hash, "Hash is not correct");
+        assert.isAtMost(reminder.secondsLeft, 3600, "Should be within the hour");
+        assert.isAbove(reminder.secondsLeft, 0, "Should be before the deadline");
+
+        await notifier.poll();
+        assert.strictEqual(received.length, 1, "Should remind once");
+    });
+
+    it("should retry with backoff until the receiver accepts", async function() {
+
+        let delivered = [];
+        notifier.on("delivered", (subscription, payload) => delivered.push(payload.id));
+        answers = [500, 503];
+        await createGame(alice, bob, move.rock);
+        assert.strictEqual(await notifier.poll(), 1, "Should be delivered in the end");
+        assert.strictEqual(received.length, 3, "Should take 3 attempts");
+        assert.strictEqual(new Set(received.map(request => request.body)).size, 1, "Should send the same payload");
+        assert.isAtLeast(received[1].time - received[0].time, 45, "First retry should wait");
+        assert.isAtLeast(received[2].time - received[1].time, 95, "Second retry should wait twice as long");
+        assert.deepEqual(delivered, [JSON.parse(received[0].body).id]);
+    });
+
+    it("should give up once retries are exhausted or the receiver refuses", async function() {
+
+        let failed = [];
+        notifier.on("failed", (subscription, payload, error) => failed.push(error.message));
+        answers = [500, 500, 500];
+        await createGame(alice, bob, move.rock);
+        assert.strictEqual(await notifier.poll(), 0, "Nothing should be delivered");
+        assert.strictEqual(received.length, 3, "Should stop after the retries");
+
+        received = [];
+        answers = [410];
+        await createGame(alice, bob, move.paper);
+        await notifier.poll();
+        assert.strictEqual(received.length, 1, "Should not retry a refusal");
+        assert.deepEqual(failed, ["The receiver answered 500", "The receiver answered 410"]);
+    });
+
+    it("should keep the subscriptions and progress across restarts", async function() {
+
+        await createGame(alice, bob, move.rock);
+        await notifier.poll();
+        assert.isTrue(notifier.unsubscribe(alice, url + "/alice"), "Alice should be unsubscribed");
+        assert.isFalse(notifier.unsubscribe(alice, url + "/alice"), "Alice was already unsubscribed");
+
+        notifier = newNotifier();
+        assert.deepEqual(notifier.subscriptions().map(subscription => subscription.address), [bob]);
+        assert.strictEqual(await notifier.poll(), 0, "Bob was already told");
+        await createGame(bob, alice, move.rock);
+        await createGame(carol, bob, move.rock);
+        assert.strictEqual(await notifier.poll(), 1, "Only the new challenge of bob should be sent");
+        assert.strictEqual(received.length, 2);
+        assert.throws(() => notifier.subscribe("0x1234", url), "Not an address");
+        assert.throws(() => notifier.subscribe(bob, "ftp://example.com"), "Not an http or https URL");
+    });
+});
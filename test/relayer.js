@@ -0,0 +1,103 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsForwarder = artifacts.require("RockPaperScissorsForwarder.sol");
+const signedMoves = require("../lib/signed-moves.js")(web3);
+const { Relayer, createServer, postPayload } = require("../lib/relayer.js");
+const { toWei, toBN, fromAscii } = web3.utils;
+
+contract('Relayer', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const balance = toWei('0.05', 'ether');
+    const fee = toWei('0.001', 'ether');
+    const secondsInDay = 86400;
+    let instance;
+    let forwarder;
+    let relayer;
+    let deadline;
+
+    function sign(player, action, params, payloadFee = fee) {
+        return signedMoves.sign(forwarder, player, action, params, { fee: payloadFee, deadline: deadline });
+    }
+
+    beforeEach("deploy and fund the balances with a draw", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        let forwarderInstance = await RockPaperScissorsForwarder.new(instance.address, await web3.eth.net.getId(), {from: owner});
+        await instance.setForwarder(forwarderInstance.address, {from: owner});
+        forwarder = new web3.eth.Contract(RockPaperScissorsForwarder.abi, forwarderInstance.address);
+        let hash = await instance.generateHash(bob, 1, fromAscii("cherries"), {from: alice});
+        await instance.newGame(hash, bob, secondsInDay, {from: alice, value: balance});
+        await instance.setOpponentMove(hash, 1, {from: bob, value: balance});
+        await instance.revealResult(bob, 1, fromAscii("cherries"), {from: alice});
+        deadline = (await web3.eth.getBlock('latest')).timestamp + 3600;
+        relayer = new Relayer({ web3: web3, forwarder: forwarder, account: carol, minGasPrice: "1" });
+    });
+
+    it("should tell the players what to sign", async function() {
+
+        let info = await relayer.info();
+        assert.strictEqual(info.forwarder, forwarder.options.address, "Forwarder is not correct");
+        assert.strictEqual(info.relayer, carol, "Relayer is not correct");
+        assert.strictEqual(info.domain.verifyingContract, forwarder.options.address, "Domain is not correct");
+        assert.deepEqual(info.actions, ["newGame", "setOpponentMove", "revealResult", "withdrawFunds"]);
+    });
+
+    it("should relay a signed withdrawal and be repaid from the balance", async function() {
+
+        let aliceEtherBN = toBN(await web3.eth.getBalance(alice));
+        let result = await relayer.relay(await sign(alice, "withdrawFunds", {}));
+        assert.isAbove(result.gasUsed, 0, "Gas used is missing");
+        assert.strictEqual((await instance.balances.call(carol)).toString(), fee, "Carol should get the fee");
+        assert.strictEqual(toBN(await web3.eth.getBalance(alice)).sub(aliceEtherBN).toString(),
+            toBN(balance).sub(toBN(fee)).toString(), "Alice should get her balance less the fee");
+    });
+
+    it("should refuse payloads it cannot or would not send", async function() {
+
+        let payload = await sign(alice, "withdrawFunds", {});
+        try {
+            await relayer.relay(Object.assign({}, payload, { action: "kill" }));
+            assert.fail("Unknown action should be refused");
+        } catch (e) {
+            assert.include(e.message, "Unknown action kill");
+        }
+        try {
+            await relayer.relay(Object.assign({}, payload, { signature: "0x1234" }));
+            assert.fail("Short signature should be refused");
+        } catch (e) {
+            assert.include(e.message, "his signature");
+        }
+        try {
+            await relayer.relay(Object.assign({}, payload, { player: bob }));
+            assert.fail("Signature of someone else should be refused");
+        } catch (e) {
+            assert.include(e.message, "not signed by this player", "Revert should be explained");
+        }
+        try {
+            await relayer.relay(await sign(alice, "withdrawFunds", {}, "1"));
+            assert.fail("Fee below the gas should be refused");
+        } catch (e) {
+            assert.include(e.message, "The fee does not cover the gas");
+        }
+        assert.strictEqual((await forwarder.methods.nonces(alice).call()).toString(), "0", "Nothing should be sent");
+    });
+
+    it("should relay over HTTP", async function() {
+
+        let server = createServer(relayer);
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        let url = "http://127.0.0.1:" + server.address().port;
+        try {
+            let result = await postPayload(url, await sign(bob, "withdrawFunds", {}));
+            assert.match(result.transactionHash, /^0x[0-9a-f]{64}$/, "Transaction hash is missing");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), "0", "Bob should have withdrawn");
+            try {
+                await postPayload(url, { action: "withdrawFunds" });
+                assert.fail("Payload without params should be refused");
+            } catch (e) {
+                assert.include(e.message, "params of the action");
+            }
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,191 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const { SecretVault, memoryStorage } = require("../lib/secret-vault.js");
+const RevealBot = require("../lib/reveal-bot.js");
+const increaseTime = require("../util/increase-time.js");
+const { toWei, toBN } = web3.utils;
+
+contract('RevealBot', accounts => {
+    const [ owner, alice, bob ] = accounts;
+    const { move } = commitment;
+    const quantity = toWei('0.01', 'ether');
+    const quantity2BN = toBN(toWei('0.02', 'ether'));
+    const secondsInDay = 86400;
+    const silent = { info: () => {}, error: () => {} };
+    let instance;
+    let vault;
+    let bot;
+    let hash;
+
+    beforeEach("deploy and create a game", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        vault = await SecretVault.open("passphrase", memoryStorage(), 1000);
+        let password = commitment.randomPassword();
+        hash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+        let txObj = await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+        vault.add({
+            contract: instance.address,
+            hash: hash,
+            creator: alice,
+            opponent: bob,
+            move: move.rock,
+            password: password,
+            expiration: txObj.logs[0].args['expiration'].toString()
+        });
+        bot = new RevealBot({
+            web3: web3,
+            contract: new web3.eth.Contract(RockPaperScissors.abi, instance.address),
+            vault: vault,
+            retries: 2,
+            retryDelay: 0,
+            logger: silent
+        });
+    });
+
+    it("should do nothing while the opponent did not move", async function() {
+
+        await bot.poll();
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['bet'].toString(), quantity, "Game should still be open");
+        assert.isNotNull(vault.get(instance.address, hash), "Secret should be kept");
+    });
+
+    it("should reveal once the opponent moved", async function() {
+
+        let revealed = [];
+        bot.on("revealed", entry => revealed.push(entry.hash));
+        await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+        await bot.poll();
+        assert.deepEqual(revealed, [hash], "Game should be revealed");
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['bet'].toString(), "0", "Game should be settled");
+        let balanceAlice = await instance.balances.call(alice);
+        assert.strictEqual(balanceAlice.toString(), quantity2BN.toString(), "Alice should have won");
+        assert.isNull(vault.get(instance.address, hash), "Secret should be removed");
+    });
+
+    it("should keep trying to reveal after failures until it works", async function() {
+
+        let failures = 0;
+        bot.on("failed", () => failures++);
+        await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+        await instance.pause({from: owner});
+        await bot.poll();
+        assert.strictEqual(failures, 1, "Reveal should fail while paused");
+        assert.isNotNull(vault.get(instance.address, hash), "Secret should be kept");
+
+        await instance.unpause({from: owner});
+        await bot.poll();
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['bet'].toString(), "0", "Game should be settled");
+    });
+
+    it("should raise the gas price on every attempt up to the cap", async function() {
+
+        let nodeGasPrice = toBN(await web3.eth.getGasPrice());
+        let capped = new RevealBot({web3: web3, contract: bot.contract, vault: vault, gasPriceMultiplier: 2, maxGasPrice: nodeGasPrice.muln(3)});
+        assert.strictEqual((await capped.gasPrice(0)).toString(), nodeGasPrice.toString());
+        assert.strictEqual((await capped.gasPrice(1)).toString(), nodeGasPrice.muln(2).toString());
+        assert.strictEqual((await capped.gasPrice(2)).toString(), nodeGasPrice.muln(3).toString());
+    });
+
+    it("should replace the transaction of a failed attempt with the same nonce and a higher gas price", async function() {
+
+        let entry = vault.get(instance.address, hash);
+        await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+        let method = bot.contract.methods.revealResult(bob, move.rock, entry.password);
+        let estimate = await method.estimateGas({from: alice});
+        let sent = [];
+        let notMined = {
+            estimateGas: options => method.estimateGas(options),
+            send: function(options) {
+                sent.push(Object.assign({}, options));
+                return sent.length === 1 ? Promise.reject(new Error("Transaction was not mined within 50 blocks"))
+                    : method.send(options);
+            }
+        };
+        let replacing = new RevealBot({ web3: web3, contract: bot.contract, vault: vault, retryDelay: 0,
+            gasPriceMultiplier: 2, logger: silent });
+        let receipt = await replacing.sendWithRetries(entry, notMined);
+        assert.isTrue(receipt.status, "Second attempt should be mined");
+        assert.strictEqual(sent.length, 2, "Should take 2 attempts");
+        assert.strictEqual(sent[1].nonce, sent[0].nonce, "Should replace the first attempt");
+        assert.isTrue(toBN(sent[1].gasPrice).gt(toBN(sent[0].gasPrice)), "Gas price should be higher");
+        assert.isAbove(sent[0].gas, estimate, "Gas should have a margin");
+    });
+
+    it("should resume from the saved block and reveals after a restart", async function() {
+
+        let storage = memoryStorage();
+        let first = new RevealBot({ web3: web3, contract: bot.contract, vault: vault, storage: storage,
+            fromBlock: await web3.eth.getBlockNumber(), retryDelay: 0, logger: silent });
+        await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+        await instance.pause({from: owner});
+        await first.poll();
+        assert.deepEqual(Object.keys(first.pending), [hash], "Reveal should be pending while paused");
+
+        await instance.unpause({from: owner});
+        let restarted = new RevealBot({ web3: web3, contract: bot.contract, vault: vault, storage: storage,
+            retryDelay: 0, logger: silent });
+        assert.strictEqual(restarted.nextBlock, first.nextBlock, "Should resume where it stopped");
+        assert.deepEqual(Object.keys(restarted.pending), [hash], "Reveal should still be pending");
+        await restarted.poll();
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['bet'].toString(), "0", "Game should be settled after the restart");
+    });
+
+    it("should claim back when the opponent never showed up", async function() {
+
+        let claimed = [];
+        bot.on("claimed", entry => claimed.push(entry.hash));
+        await increaseTime(2 * secondsInDay);
+        await bot.poll();
+        assert.deepEqual(claimed, [hash], "Game should be claimed");
+        let game = await instance.games.call(hash);
+        assert.strictEqual(game['bet'].toString(), "0", "Game should be settled");
+        assert.isNull(vault.get(instance.address, hash), "Secret should be removed");
+    });
+
+    it("should reveal a hidden moves game once committed and take the pot if the opponent does not reveal", async function() {
+
+        let password = commitment.randomPassword();
+        let hiddenHash = commitment.generateHash(instance.address, alice, bob, move.paper, password);
+        await instance.newHiddenGame(hiddenHash, bob, secondsInDay, {from: alice, value: quantity});
+        vault.add({
+            contract: instance.address,
+            hash: hiddenHash,
+            creator: alice,
+            opponent: bob,
+            move: move.paper,
+            password: password,
+            expiration: 0
+        });
+        let bobHash = commitment.generateOpponentHash(instance.address, bob, hiddenHash, move.rock, commitment.randomPassword());
+        await instance.commitOpponentMove(hiddenHash, bobHash, {from: bob, value: quantity});
+        await bot.poll();
+        let hidden = await instance.hiddenMoves.call(hiddenHash);
+        assert.strictEqual(hidden['creatorMove'].toString(), move.paper.toString(), "Move should be revealed");
+        assert.isNotNull(vault.get(instance.address, hiddenHash), "Secret should be kept to claim");
+
+        let claimed = [];
+        bot.on("claimed", entry => claimed.push(entry.hash));
+        await increaseTime(2 * secondsInDay);
+        await bot.poll();
+        assert.include(claimed, hiddenHash, "Pot should be claimed");
+        let game = await instance.games.call(hiddenHash);
+        assert.strictEqual(game['bet'].toString(), "0", "Game should be settled");
+    });
+
+    it("should forget games revealed by someone else", async function() {
+
+        let entry = vault.get(instance.address, hash);
+        await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+        await instance.revealResult(bob, move.rock, entry.password, {from: alice});
+        let revealed = 0;
+        bot.on("revealed", () => revealed++);
+        await bot.poll();
+        assert.strictEqual(revealed, 0, "Nothing should be revealed");
+        assert.isNull(vault.get(instance.address, hash), "Secret should be removed");
+    });
+});
@@ -1,6 +1,9 @@
 const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
 const expectedExceptionPromise = require("../util/expected-exception-promise.js");
 const getTransactionCost = require("../util/get-transaction-cost.js");
+const killAfterTimelock = require("../util/kill-after-timelock.js");
+const increaseTime = require("../util/increase-time.js");
+const ruleSets = require("../lib/rule-sets.js")(web3);
 const { toWei, toBN, fromAscii } = web3.utils;
 
 contract('RockPaperScissors', accounts => {
@@ -12,6 +15,7 @@ contract('RockPaperScissors', accounts => {
     const password = fromAscii("bananas");
     const password2 = fromAscii("cherries");
     const secondsInDay = 86400;
+    const timelockSeconds = 2 * secondsInDay;
     const move = {
         unset: 0,
         rock: 1,
@@ -22,6 +26,14 @@ contract('RockPaperScissors', accounts => {
     let maxExpirationSeconds;
     let hash;
 
+    function rpc(method) {
+        return new Promise(function(resolve, reject) {
+            web3.currentProvider.send({jsonrpc: '2.0', method: method, params: [], id: Date.now()}, function(err, result) {
+                return err ? reject(err) : resolve(result);
+            });
+        });
+    }
+
     before("check if the setup is correct to pass the tests", async function() {
 
         let aliceBalanceBN = toBN(await web3.eth.getBalance(alice));
@@ -80,6 +92,7 @@ contract('RockPaperScissors', accounts => {
             let block = await web3.eth.getBlock('latest');
             let calculatedExpirationTime = block.timestamp + secondsInDay;
             assert.strictEqual(args['expiration'].toString(), calculatedExpirationTime.toString(), "Log expiration time is not correct");
+            assert.strictEqual(args['revealSeconds'].toString(), secondsInDay.toString(), "Log reveal window is not correct");
 
             // Check that the contract has the sent balance so it did not bounced
             let contractBalance = toBN(await web3.eth.getBalance(instance.address));
@@ -92,6 +105,7 @@ contract('RockPaperScissors', accounts => {
             assert.strictEqual(game['bet'].toString(), quantityBN.toString(), "Game bet is not correct on creation");
             assert.strictEqual(game['expiration'].toString(), calculatedExpirationTime.toString(), "Game expiration time is not correct on creation");
             assert.strictEqual(game['opponentMove'].toString(), move.unset.toString(), "Game move is not correct on creation");
+            assert.strictEqual((await instance.gameRevealSeconds.call(hash)).toString(), secondsInDay.toString(), "Game reveal window is not correct on creation");
         });
 
         it("should not let create a game with wrong expiration", async function () {
@@ -404,6 +418,14 @@ contract('RockPaperScissors', accounts => {
             assert.strictEqual(bobNewBalanceBN.toString(), newBalanceCalculation.toString(), "Alice did not receive the right amount of funds");
         });
 
+        it("should not let bob claim expiration if he did not play", async function () {
+
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: bob});
+            });
+        });
+
         it("should not let bob claim expiration if alice did reveal", async function () {
 
             await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
@@ -415,43 +437,1385 @@ contract('RockPaperScissors', accounts => {
         });
     });
 
-    describe("when contract is paused or killed", function() {
+    describe("reveal windows", function () {
 
-        it("should not let use the contract while paused", async function() {
+        const secondsInHour = 3600;
+
+        it("should let only the owner set the expiration policy, allowing the default reveal window", async function () {
 
-            let txObj = await instance.pause({from: owner});
-            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
-            assert.strictEqual(txObj.logs[0].args['account'], owner, "Log account that paused not correct");
-            let isPaused = await instance.isPaused();
-            assert.strictEqual(isPaused, true, "Contract should be paused");
             await expectedExceptionPromise(function() {
-                return instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+                return instance.setExpirationPolicy(secondsInDay, secondsInHour, 2 * secondsInDay, {from: alice});
             });
-            isPaused = await instance.isPaused();
-            assert.strictEqual(isPaused, true, "Contract should not be paused");
+            await expectedExceptionPromise(function() {
+                return instance.setExpirationPolicy(0, secondsInHour, 2 * secondsInDay, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.setExpirationPolicy(secondsInDay, secondsInDay + 1, 2 * secondsInDay, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.setExpirationPolicy(secondsInDay, secondsInHour, secondsInDay - 1, {from: owner});
+            });
+            let txObj = await instance.setExpirationPolicy(secondsInDay, secondsInHour, 2 * secondsInDay, {from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogExpirationPolicyChanged", "Policy change should be logged");
+            assert.strictEqual(txObj.logs[0].args['maxExpirationSeconds'].toString(), secondsInDay.toString());
+            assert.strictEqual(txObj.logs[0].args['minRevealSeconds'].toString(), secondsInHour.toString());
+            assert.strictEqual(txObj.logs[0].args['maxRevealSeconds'].toString(), (2 * secondsInDay).toString());
+            await expectedExceptionPromise(function() {
+                return instance.newGame(hash, bob, secondsInDay + 1, {from: alice, value: quantity});
+            });
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
         });
 
-        it("should not let use the contract if starting paused", async function() {
+        it("should let the creator choose the reveal window of the next games within the bounds", async function () {
 
-            let instance2 = await RockPaperScissors.new(true, {from: owner});
             await expectedExceptionPromise(function() {
-                return instance2.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+                return instance.setRevealWindow(secondsInHour - 1, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.setRevealWindow(7 * secondsInDay + 1, {from: alice});
+            });
+            let txObj = await instance.setRevealWindow(6 * secondsInHour, {from: alice});
+            assert.strictEqual(txObj.logs[0].event, "LogRevealWindow", "Reveal window should be logged");
+            assert.strictEqual((await instance.revealWindow(alice)).toString(), (6 * secondsInHour).toString());
+            assert.strictEqual((await instance.revealWindow(bob)).toString(), secondsInDay.toString(), "Bob should have the default");
+            txObj = await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs[0].args['revealSeconds'].toString(), (6 * secondsInHour).toString());
+
+            // the bounds changed since alice chose, she must choose again
+            await instance.setExpirationPolicy(maxExpirationSeconds, 12 * secondsInHour, 7 * secondsInDay, {from: owner});
+            let hash2 = await instance.generateHash(carol, move.rock, password, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.newGame(hash2, carol, secondsInDay, {from: alice, value: quantity});
             });
+            await instance.setRevealWindow(0, {from: alice});
+            txObj = await instance.newGame(hash2, carol, secondsInDay, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs[0].args['revealSeconds'].toString(), secondsInDay.toString(), "Default expected");
         });
 
-        it("should not let once the contract killSwitch has been activated", async function() {
+        it("should let alice reveal until the end of the reveal window", async function () {
 
-            let txObj = await instance.kill({from: owner});
-            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            await instance.setRevealWindow(2 * secondsInHour, {from: alice});
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            let txObj = await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            let block = await web3.eth.getBlock(txObj.receipt.blockNumber);
+            assert.strictEqual(txObj.logs[0].args['newExpiration'].toString(), (block.timestamp + 2 * secondsInHour).toString());
+            await increaseTime(2 * secondsInHour - 60);
             await expectedExceptionPromise(function() {
-                return instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+                return instance.claimAfterExpiration(hash, {from: bob});
             });
+            await instance.revealResult(bob, move.rock, password, {from: alice});
         });
 
-        it("should not let any other than owner to kill the contract", async function() {
+        it("should let bob claim once the reveal window is over, whatever the bounds became", async function () {
 
-            return await expectedExceptionPromise(function() {
-                return instance.kill({from: alice});
+            await instance.setRevealWindow(2 * secondsInDay, {from: alice});
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await instance.setExpirationPolicy(maxExpirationSeconds, secondsInHour, secondsInDay, {from: owner});
+            await increaseTime(secondsInDay + 60);
+            await expectedExceptionPromise(function() {
+                return instance.claimAfterExpiration(hash, {from: bob});  // more than a day, still in the window
+            });
+            await increaseTime(secondsInDay);
+            await expectedExceptionPromise(function() {
+                return instance.revealResult(bob, move.rock, password, {from: alice});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Bob should get the pot");
+        });
+    });
+
+    describe("cancelling a game", function () {
+
+        let cancelDelaySeconds;
+
+        beforeEach("add a new game", async function() {
+
+            cancelDelaySeconds = (await instance.cancelDelaySeconds.call()).toNumber();
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+        });
+
+        it("should let alice request to cancel and shorten the expiration to the delay", async function () {
+
+            let txObj = await instance.requestCancel(hash, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(txObj.logs[0].event, "LogCancelRequested", "Cancel request should be logged");
+            assert.strictEqual(args['hash'], hash, "Log hash is not correct");
+            let block = await web3.eth.getBlock('latest');
+            assert.strictEqual(args['newExpiration'].toString(), (block.timestamp + cancelDelaySeconds).toString(), "Log newExpiration is not correct");
+            let game = await instance.games.call(hash);
+            assert.isTrue(game['cancelRequested'], "Game should be marked as cancel requested");
+            assert.strictEqual(game['expiration'].toString(), args['newExpiration'].toString(), "Game expiration is not correct");
+        });
+
+        it("should not let cancel right away, twice, or anyone but alice", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.requestCancel(hash, {from: bob});
+            });
+            await instance.requestCancel(hash, {from: alice});
+            await expectedExceptionPromise(async function() {
+                return instance.requestCancel(hash, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: alice});
+            });
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: bob});
+            });
+        });
+
+        it("should not move the expiration later than it was", async function () {
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            await instance.newGame(hash2, bob, 60, {from: alice, value: quantity});
+            let game = await instance.games.call(hash2);
+            let txObj = await instance.requestCancel(hash2, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['newExpiration'].toString(), game['expiration'].toString(), "Expiration should not change");
+        });
+
+        it("should give alice her bet back after the delay", async function () {
+
+            await instance.requestCancel(hash, {from: alice});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            let aliceBalanceBN = toBN(await web3.eth.getBalance(alice));
+            let txObj = await instance.cancelGame(hash, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(txObj.logs[0].event, "LogCancelGame", "Cancel should be logged");
+            assert.strictEqual(args['hash'], hash, "Log hash is not correct");
+            assert.strictEqual(args['creator'], alice, "Log creator is not correct");
+            assert.strictEqual(args['amount'].toString(), quantityBN.toString(), "Log amount is not correct");
+
+            let txCostBN = await getTransactionCost(txObj);
+            let aliceNewBalanceBN = toBN(await web3.eth.getBalance(alice));
+            assert.strictEqual(aliceNewBalanceBN.toString(), aliceBalanceBN.sub(txCostBN).add(quantityBN).toString(), "Alice did not get her bet back");
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: alice});
+            });
+        });
+
+        it("should not let bob play once the delay passed", async function () {
+
+            await instance.requestCancel(hash, {from: alice});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            });
+        });
+
+        it("should not let alice request to cancel once bob played", async function () {
+
+            await instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.requestCancel(hash, {from: alice});
+            });
+        });
+
+        it("should let bob play after the request and then not let alice cancel", async function () {
+
+            await instance.requestCancel(hash, {from: alice});
+            let txObj = await instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            let block = await web3.eth.getBlock('latest');
+            assert.strictEqual(txObj.logs[0].args['newExpiration'].toString(), (block.timestamp + secondsInDay).toString(), "Alice should get the full time to reveal");
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: alice});
+            });
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            let balanceBob = await instance.balances.call(bob);
+            assert.strictEqual(balanceBob.toString(), quantity2BN.toString(), "Bob should win the pot");
+        });
+
+        it("should let bob's pending move in even if alice requests to cancel in the same block", async function () {
+
+            await rpc('miner_stop');
+            let bobMove = instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity, gas: 200000});
+            let aliceCancel = instance.requestCancel(hash, {from: alice, gas: 200000, gasPrice: toWei('100', 'gwei')});
+            await new Promise(resolve => setTimeout(resolve, 500));
+            await rpc('miner_start');
+            let results = await Promise.all([bobMove, aliceCancel].map(tx => tx.then(() => true, () => false)));
+            assert.isTrue(results[0], "Bob's move should get in whatever the order");
+
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['opponentMove'].toString(), move.paper.toString(), "Bob's move should be set");
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(hash, {from: alice});
+            });
+        });
+
+        it("should let someone join an open game after the request and then not let alice cancel", async function () {
+
+            let openHash = await instance.generateOpenHash(move.rock, password2, {from: alice});
+            let bobHash = await instance.generateOpponentHash(openHash, move.paper, password2, {from: bob});
+            await instance.newOpenGame(openHash, secondsInDay, {from: alice, value: quantity});
+            await instance.requestCancel(openHash, {from: alice});
+            await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.cancelGame(openHash, {from: alice});
+            });
+        });
+
+        it("should cancel for alice through the forwarder and pay her, not the forwarder", async function () {
+
+            await instance.setForwarder(carol, {from: owner});
+            let forward = method => web3.eth.sendTransaction({from: carol, to: instance.address, gas: 200000,
+                data: method.encodeABI() + alice.slice(2)});
+            await forward(instance.contract.methods.requestCancel(hash));
+            assert.isTrue((await instance.games.call(hash))['cancelRequested'], "Alice should have requested to cancel");
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [cancelDelaySeconds + 1], id: 0}, err => console.log);
+            let aliceBalanceBN = toBN(await web3.eth.getBalance(alice));
+            await forward(instance.contract.methods.cancelGame(hash));
+            let events = await instance.getPastEvents("LogCancelGame");
+            assert.strictEqual(events[0].args['creator'], alice, "Log creator is not correct");
+            assert.strictEqual(toBN(await web3.eth.getBalance(alice)).sub(aliceBalanceBN).toString(), quantity,
+                "Alice should get her bet back");
+        });
+    });
+
+    describe("open games", function () {
+
+        let openHash;
+        let bobHash;
+
+        beforeEach("add a new open game", async function() {
+
+            openHash = await instance.generateOpenHash(move.rock, password, {from: alice});
+            bobHash = await instance.generateOpponentHash(openHash, move.paper, password2, {from: bob});
+            await instance.newOpenGame(openHash, secondsInDay, {from: alice, value: quantity});
+        });
+
+        it("should create an open game without opponent", async function () {
+
+            let openHash2 = await instance.generateOpenHash(move.paper, password, {from: alice});
+            let txObj = await instance.newOpenGame(openHash2, secondsInDay, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(args['hash'], openHash2, "Log event hash is not correct");
+            assert.strictEqual(args['creator'], alice, "Log creator is not correct");
+            assert.strictEqual(args['opponent'], "0x0000000000000000000000000000000000000000", "Log opponent should be empty");
+            let game = await instance.games.call(openHash2);
+            assert.strictEqual(game['opponent'], "0x0000000000000000000000000000000000000000", "Game opponent should be empty");
+        });
+
+        it("should let anyone join with the right bet and a hidden move", async function () {
+
+            let txObj = await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(args['hash'], openHash, "Log event hash is not correct");
+            assert.strictEqual(args['opponent'], bob, "Log opponent is not correct");
+            let block = await web3.eth.getBlock('latest');
+            assert.strictEqual(args['newExpiration'].toString(), (block.timestamp + secondsInDay).toString(), "Log newExpiration is not correct");
+
+            let game = await instance.games.call(openHash);
+            assert.strictEqual(game['opponent'], bob, "Game opponent is not correct after joining");
+            assert.strictEqual(game['opponentHash'], bobHash, "Game opponent hash is not correct after joining");
+            assert.strictEqual(game['opponentMove'].toString(), move.unset.toString(), "Move should still be hidden");
+        });
+
+        it("should not let join with wrong bet, from the creator or twice", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity2});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.joinOpenGame(openHash, fromAscii(""), {from: bob, value: quantity});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.joinOpenGame(openHash, bobHash, {from: alice, value: quantity});
+            });
+            await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.joinOpenGame(openHash, bobHash, {from: carol, value: quantity});
+            });
+        });
+
+        it("should not let join a game with a fixed opponent", async function () {
+
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.joinOpenGame(hash, bobHash, {from: carol, value: quantity});
+            });
+        });
+
+        it("should let only the first of two joiners in the same block in", async function () {
+
+            let carolHash = await instance.generateOpponentHash(openHash, move.scissors, password2, {from: carol});
+            let contractBalance = toBN(await web3.eth.getBalance(instance.address));
+            await rpc('miner_stop');
+            let bobJoin = instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity, gas: 200000});
+            let carolJoin = instance.joinOpenGame(openHash, carolHash, {from: carol, value: quantity, gas: 200000});
+            await new Promise(resolve => setTimeout(resolve, 500));
+            await rpc('miner_start');
+            let results = await Promise.all([bobJoin, carolJoin].map(join => join.then(() => true, () => false)));
+            assert.deepEqual(results, [true, false], "Only the first joiner should get in");
+
+            let game = await instance.games.call(openHash);
+            assert.strictEqual(game['opponent'], bob, "First joiner should be the opponent");
+            let newContractBalance = toBN(await web3.eth.getBalance(instance.address));
+            assert.strictEqual(newContractBalance.toString(), contractBalance.add(quantityBN).toString(), "Second bet should be refunded");
+        });
+
+        it("should let the joiner reveal his move and the creator the result", async function () {
+
+            await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.revealOpponentMove(openHash, move.scissors, password2, {from: bob});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.revealOpponentMove(openHash, move.paper, password2, {from: carol});
+            });
+            let txObj = await instance.revealOpponentMove(openHash, move.paper, password2, {from: bob});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].event, "LogOpponentMove", "Opponent move should be logged");
+            assert.strictEqual(txObj.logs[0].args['move'].toString(), move.paper.toString(), "Log move is not correct");
+
+            // Alice plays rock and bob plays paper
+            txObj = await instance.revealResult("0x0000000000000000000000000000000000000000", move.rock, password, {from: alice});
+            let args = txObj.logs[0].args;
+            assert.strictEqual(args['opponent'], bob, "Log opponent is not correct");
+            assert.strictEqual(args['opponentAmount'].toString(), quantity2BN.toString(), "Log opponent amount is not correct");
+            let balanceBob = await instance.balances.call(bob);
+            assert.strictEqual(balanceBob.toString(), quantity2BN.toString(), "Balance for Bob is not correct");
+        });
+
+        it("should not let the joiner pay again with setOpponentMove", async function () {
+
+            await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(openHash, move.paper, {from: bob, value: quantity});
+            });
+        });
+
+        it("should not let a front-runner reuse the hidden move of someone else", async function () {
+
+            await instance.joinOpenGame(openHash, bobHash, {from: carol, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.revealOpponentMove(openHash, move.paper, password2, {from: carol});
+            });
+        });
+
+        it("should record bob as the joiner through the forwarder, not the forwarder", async function () {
+
+            await instance.setForwarder(carol, {from: owner});
+            let method = instance.contract.methods.joinOpenGameFromBalance(openHash, bobHash);
+            await web3.eth.sendTransaction({from: carol, to: instance.address, gas: 200000, value: quantity,
+                data: method.encodeABI() + bob.slice(2)});
+            assert.strictEqual((await instance.games.call(openHash))['opponent'], bob, "Bob should be the opponent");
+            let events = await instance.getPastEvents("LogJoinOpenGame");
+            assert.strictEqual(events[0].args['opponent'], bob, "Log opponent is not correct");
+            let txObj = await instance.revealOpponentMove(openHash, move.paper, password2, {from: bob});
+            assert.strictEqual(txObj.logs[0].event, "LogOpponentMove", "Bob should reveal his move");
+        });
+
+        it("should let alice claim both bets if the joiner did not reveal", async function () {
+
+            await instance.joinOpenGame(openHash, bobHash, {from: bob, value: quantity});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(openHash, {from: bob});
+            });
+            let txObj = await instance.claimAfterExpiration(openHash, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Log amount is not correct");
+        });
+    });
+
+    describe("hidden moves games", function () {
+
+        const zeroHash = "0x0000000000000000000000000000000000000000000000000000000000000000";
+        let bobHash;
+
+        function expire() {
+            return web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+        }
+
+        beforeEach("add a new hidden moves game", async function() {
+
+            bobHash = await instance.generateOpponentHash(hash, move.paper, password2, {from: bob});
+            await instance.newHiddenGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+        });
+
+        it("should create a hidden moves game", async function () {
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            let txObj = await instance.newHiddenGame(hash2, bob, secondsInDay, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[0].event, "LogNewGame", "Game should be logged");
+            assert.strictEqual(txObj.logs[1].event, "LogHiddenGame", "Hidden moves should be logged");
+            assert.strictEqual(txObj.logs[1].args['hash'], hash2, "Log hash is not correct");
+            let hidden = await instance.hiddenMoves.call(hash2);
+            assert.isTrue(hidden['enabled'], "Game should have hidden moves");
+            assert.isFalse((await instance.hiddenMoves.call(zeroHash))['enabled'], "Other games should not");
+        });
+
+        it("should let only the opponent commit his move with the right bet, once", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash, bobHash, {from: carol, value: quantity});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity2});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash, zeroHash, {from: bob, value: quantity});
+            });
+
+            let txObj = await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(txObj.logs[0].event, "LogOpponentCommit", "Commit should be logged");
+            assert.strictEqual(args['opponent'], bob, "Log opponent is not correct");
+            let block = await web3.eth.getBlock('latest');
+            assert.strictEqual(args['newExpiration'].toString(), (block.timestamp + secondsInDay).toString(), "Log newExpiration is not correct");
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['opponentHash'], bobHash, "Game opponent hash is not correct");
+
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            });
+        });
+
+        it("should not let commit in a game without hidden moves", async function () {
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            await instance.newGame(hash2, bob, secondsInDay, {from: alice, value: quantity});
+            let bobHash2 = await instance.generateOpponentHash(hash2, move.paper, password2, {from: bob});
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash2, bobHash2, {from: bob, value: quantity});
+            });
+        });
+
+        it("should not let the creator reveal before the opponent committed", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.revealResult(bob, move.rock, password, {from: alice});
+            });
+        });
+
+        it("should settle when the creator reveals first", async function () {
+
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            let txObj = await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].event, "LogCreatorMove", "Creator move should be logged");
+            assert.strictEqual(txObj.logs[0].args['move'].toString(), move.rock.toString(), "Log move is not correct");
+            assert.strictEqual((await instance.hiddenMoves.call(hash))['creatorMove'].toString(), move.rock.toString(), "Creator move not kept");
+            await expectedExceptionPromise(async function() {
+                return instance.revealResult(bob, move.rock, password, {from: alice});
+            });
+
+            // Alice plays rock and bob plays paper
+            txObj = await instance.revealOpponentMove(hash, move.paper, password2, {from: bob});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[0].event, "LogOpponentMove", "Opponent move should be logged");
+            assert.strictEqual(txObj.logs[1].event, "LogRevealResult", "Result should be logged");
+            let args = txObj.logs[1].args;
+            assert.strictEqual(args['creator'], alice, "Log creator is not correct");
+            assert.strictEqual(args['opponentAmount'].toString(), quantity2BN.toString(), "Log opponent amount is not correct");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity2BN.toString(), "Balance for Bob is not correct");
+            assert.strictEqual((await instance.games.call(hash))['bet'].toString(), "0", "Game should be settled");
+        });
+
+        it("should settle when the opponent reveals first, keeping the deadline", async function () {
+
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            let expiration = (await instance.games.call(hash))['expiration'].toString();
+            let txObj = await instance.revealOpponentMove(hash, move.paper, password2, {from: bob});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].args['newExpiration'].toString(), expiration, "Deadline should not move");
+
+            txObj = await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual(txObj.logs[0].event, "LogRevealResult", "Result should be logged");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity2BN.toString(), "Balance for Bob is not correct");
+        });
+
+        it("should give the bets back on a draw", async function () {
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            await instance.newHiddenGame(hash2, bob, secondsInDay, {from: alice, value: quantity});
+            let bobHash2 = await instance.generateOpponentHash(hash2, move.paper, password2, {from: bob});
+            await instance.commitOpponentMove(hash2, bobHash2, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.paper, password, {from: alice});
+            await instance.revealOpponentMove(hash2, move.paper, password2, {from: bob});
+            assert.strictEqual((await instance.balances.call(alice)).toString(), quantity, "Balance for Alice is not correct");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity, "Balance for Bob is not correct");
+        });
+
+        it("should let the creator take the pot if only he revealed", async function () {
+
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            await expire();
+            await expectedExceptionPromise(async function() {
+                return instance.revealOpponentMove(hash, move.paper, password2, {from: bob});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: bob});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Alice should get the pot");
+        });
+
+        it("should let the opponent take the pot if only he revealed", async function () {
+
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            await instance.revealOpponentMove(hash, move.paper, password2, {from: bob});
+            await expire();
+            await expectedExceptionPromise(async function() {
+                return instance.revealResult(bob, move.rock, password, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: alice});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Bob should get the pot");
+        });
+
+        it("should give both bets back when nobody revealed, whoever claims", async function () {
+
+            await instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            await expire();
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity, "Bob should get his bet back");
+            assert.strictEqual((await instance.balances.call(alice)).toString(), quantity, "Alice should find her bet in her balance");
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: alice});
+            });
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            await instance.newHiddenGame(hash2, bob, secondsInDay, {from: alice, value: quantity});
+            let bobHash2 = await instance.generateOpponentHash(hash2, move.paper, password2, {from: bob});
+            await instance.commitOpponentMove(hash2, bobHash2, {from: bob, value: quantity});
+            await expire();
+            txObj = await instance.claimAfterExpiration(hash2, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity, "Alice should get her bet back");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity, "Bob should find his bet in his balance");
+        });
+
+        it("should let the creator claim the bet back if the opponent never committed", async function () {
+
+            await expire();
+            await expectedExceptionPromise(async function() {
+                return instance.commitOpponentMove(hash, bobHash, {from: bob, value: quantity});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.claimAfterExpiration(hash, {from: bob});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity, "Alice should get her bet back");
+        });
+    });
+
+    describe("rule sets", function () {
+
+        const zeroAddress = "0x0000000000000000000000000000000000000000";
+        const rpsls = 1;
+        const lizard = 4;
+        const spock = 5;
+        const { hexToUtf8 } = web3.utils;
+
+        /**
+         * Each move beats the next `count / 2` ones, going round.
+         */
+        function roundBeats(count) {
+            let wins = [];
+            for (let winner = 1; winner <= count; winner++) {
+                for (let step = 1; step <= count / 2; step++) {
+                    wins.push([winner, (winner + step - 1) % count + 1]);
+                }
+            }
+            return ruleSets.beatsMatrix(wins);
+        }
+
+        function moveNames(count) {
+            return Array.from({length: count}, (value, index) => fromAscii("Move " + (index + 1)));
+        }
+
+        it("should have the classic and Rock-Paper-Scissors-Lizard-Spock rule sets", async function () {
+
+            assert.strictEqual((await instance.ruleSetCount.call()).toString(), "2", "Two rule sets are expected");
+            let classic = await instance.ruleSets.call(0);
+            assert.strictEqual(hexToUtf8(classic['name']), "Rock-Paper-Scissors", "Classic name is not correct");
+            assert.strictEqual(classic['moveCount'].toString(), "3", "Classic should have 3 moves");
+            let names = await instance.ruleSetMoveNames.call(rpsls);
+            assert.deepEqual(names.map(name => hexToUtf8(name)), ["Rock", "Paper", "Scissors", "Lizard", "Spock"], "Move names are not correct");
+            assert.isTrue(await instance.isMove.call(rpsls, spock), "Spock should be a move");
+            assert.isFalse(await instance.isMove.call(0, lizard), "Lizard should not be a classic move");
+            assert.isFalse(await instance.isMove.call(2, move.rock), "There is no third rule set");
+        });
+
+        it("should play a Rock-Paper-Scissors-Lizard-Spock game", async function () {
+
+            let hash2 = await instance.generateRuleSetHash(bob, rpsls, spock, password, {from: alice});
+            let txObj = await instance.newRuleSetGame(hash2, bob, secondsInDay, rpsls, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[1].event, "LogRuleSetGame", "Rule set should be logged");
+            assert.strictEqual(txObj.logs[1].args['ruleSet'].toString(), rpsls.toString(), "Log rule set is not correct");
+            assert.strictEqual((await instance.gameRuleSets.call(hash2)).toString(), rpsls.toString(), "Game rule set is not correct");
+            assert.strictEqual((await instance.gameRuleSets.call(hash)).toString(), "0", "Other games should be classic");
+
+            await instance.setOpponentMove(hash2, lizard, {from: bob, value: quantity});
+            txObj = await instance.revealResult(bob, spock, password, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['opponentAmount'].toString(), quantity2, "Lizard poisons Spock");
+        });
+
+        it("should play an open game with other rules", async function () {
+
+            let hash2 = await instance.generateRuleSetHash(zeroAddress, rpsls, move.scissors, password, {from: alice});
+            assert.strictEqual(hash2, await instance.generateOpenHash(move.scissors, password, {from: alice}), "Hash should not depend on the rules");
+            await instance.newRuleSetGame(hash2, zeroAddress, secondsInDay, rpsls, {from: alice, value: quantity});
+            let carolHash = await instance.generateOpponentHash(hash2, lizard, password2, {from: carol});
+            await instance.joinOpenGame(hash2, carolHash, {from: carol, value: quantity});
+            await instance.revealOpponentMove(hash2, lizard, password2, {from: carol});
+            let txObj = await instance.revealResult(zeroAddress, move.scissors, password, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['creatorAmount'].toString(), quantity2, "Scissors decapitates Lizard");
+        });
+
+        it("should refuse moves and rule sets the game does not have", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.generateRuleSetHash(bob, 0, lizard, password, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.generateRuleSetHash(bob, 2, move.rock, password, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.newRuleSetGame(hash, bob, secondsInDay, 2, {from: alice, value: quantity});
+            });
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(hash, lizard, {from: bob, value: quantity});
+            });
+
+            let hash2 = await instance.generateRuleSetHash(bob, rpsls, spock, password2, {from: alice});
+            await instance.newRuleSetGame(hash2, bob, secondsInDay, rpsls, {from: alice, value: quantity});
+            await expectedExceptionPromise(async function() {
+                return instance.setOpponentMove(hash2, 6, {from: bob, value: quantity});
+            });
+            await instance.setOpponentMove(hash2, spock, {from: bob, value: quantity});
+            let txObj = await instance.revealResult(bob, spock, password2, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['creatorAmount'].toString(), quantity, "Draw should give the bet back");
+        });
+
+        it("should let only the owner register a rule set", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.registerRuleSet(fromAscii("Seven"), moveNames(7), roundBeats(7), {from: alice});
+            });
+            let txObj = await instance.registerRuleSet(fromAscii("Seven"), moveNames(7), roundBeats(7), {from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogRuleSet", "Rule set should be logged");
+            assert.strictEqual(txObj.logs[0].args['ruleSet'].toString(), "2", "Log rule set is not correct");
+            assert.strictEqual(txObj.logs[0].args['moveCount'].toString(), "7", "Log move count is not correct");
+            assert.strictEqual((await instance.ruleSetCount.call()).toString(), "3", "Rule set not counted");
+
+            let hash2 = await instance.generateRuleSetHash(bob, 2, 7, password, {from: alice});
+            await instance.newRuleSetGame(hash2, bob, secondsInDay, 2, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash2, 3, {from: bob, value: quantity});
+            txObj = await instance.revealResult(bob, 7, password, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['creatorAmount'].toString(), quantity2, "7 should beat 1, 2 and 3");
+        });
+
+        it("should refuse rule sets where a move does not beat exactly half of the others", async function () {
+
+            for (let count of [1, 4]) {
+                await expectedExceptionPromise(async function() {
+                    return instance.registerRuleSet(fromAscii("Wrong"), moveNames(count), roundBeats(count), {from: owner});
+                });
+            }
+            // The beats of 17 moves do not fit in a uint256, so the contract refuses the 17 names with 15 beats
+            await expectedExceptionPromise(async function() {
+                return instance.registerRuleSet(fromAscii("Wrong"), moveNames(17), roundBeats(15), {from: owner});
+            });
+            let invalid = [
+                [[1, 3], [2, 1]],  // nobody wins between 2 and 3
+                [[1, 3], [2, 1], [3, 2], [1, 1]],  // rock beats rock
+                [[1, 3], [2, 1], [3, 2], [3, 1]],  // rock and scissors both win
+                [[1, 2], [1, 3], [1, 4], [1, 5], [2, 3], [2, 4], [3, 4], [3, 5], [4, 5], [5, 2]]  // 1 beats all
+            ];
+            for (let wins of invalid) {
+                await expectedExceptionPromise(async function() {
+                    return instance.registerRuleSet(fromAscii("Wrong"), moveNames(wins.length > 4 ? 5 : 3), ruleSets.beatsMatrix(wins), {from: owner});
+                });
+            }
+            await instance.registerRuleSet(fromAscii("Fifteen"), moveNames(15), roundBeats(15), {from: owner});
+        });
+    });
+
+    describe("betting from balance", function () {
+
+        const quantity3BN = toBN(toWei('0.03', 'ether'));
+
+        // Everything the contract holds is either a balance or a bet in a game still running
+        async function assertAccounting(openBetsBN) {
+            let contractBalance = toBN(await web3.eth.getBalance(instance.address));
+            let balances = toBN(0);
+            for (let account of [alice, bob, carol]) {
+                balances = balances.add(await instance.balances.call(account));
+            }
+            assert.strictEqual(contractBalance.toString(), balances.add(openBetsBN).toString(), "Contract balance does not add up");
+        }
+
+        async function balanceOf(account) {
+            return (await instance.balances.call(account)).toString();
+        }
+
+        beforeEach("alice wins a first game", async function() {
+
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            hash = await instance.generateHash(bob, move.paper, password2, {from: alice});
+        });
+
+        it("should create a game with the whole bet from balance", async function () {
+
+            let txObj = await instance.newGameFromBalance(hash, bob, secondsInDay, quantity2, {from: alice});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[0].event, "LogNewGame", "Game creation should be logged");
+            assert.strictEqual(txObj.logs[0].args['bet'].toString(), quantity2, "Log bet is not correct");
+            let args = txObj.logs[1].args;
+            assert.strictEqual(txObj.logs[1].event, "LogBetFromBalance", "Bet from balance should be logged");
+            assert.strictEqual(args['hash'], hash, "Log hash is not correct");
+            assert.strictEqual(args['who'], alice, "Log who is not correct");
+            assert.strictEqual(args['amount'].toString(), quantity2, "Log amount is not correct");
+
+            assert.strictEqual(await balanceOf(alice), "0", "Balance for Alice is not correct");
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['bet'].toString(), quantity2, "Game bet is not correct");
+            await assertAccounting(quantity2BN);
+        });
+
+        it("should create a game with part of the bet from balance", async function () {
+
+            let txObj = await instance.newGameFromBalance(hash, bob, secondsInDay, quantity3BN, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs[1].args['amount'].toString(), quantity2, "Log amount is not correct");
+            assert.strictEqual(await balanceOf(alice), "0", "Balance for Alice is not correct");
+            await assertAccounting(quantity3BN);
+        });
+
+        it("should not let bet more than the balance nor send more than the bet", async function () {
+
+            await expectedExceptionPromise(async function() {
+                return instance.newGameFromBalance(hash, bob, secondsInDay, quantity3BN, {from: alice});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.newGameFromBalance(hash, bob, secondsInDay, quantity, {from: alice, value: quantity2});
+            });
+            await expectedExceptionPromise(async function() {
+                return instance.newGameFromBalance(hash, bob, secondsInDay, quantity, {from: bob});
+            });
+            assert.strictEqual(await balanceOf(alice), quantity2, "Balance for Alice should not change");
+        });
+
+        it("should let the opponent bet from balance and split a draw back to balances", async function () {
+
+            let hashBob = await instance.generateHash(alice, move.paper, password2, {from: bob});
+            await instance.newGame(hashBob, alice, secondsInDay, {from: bob, value: quantity});
+            let txObj = await instance.setOpponentMoveFromBalance(hashBob, move.paper, {from: alice});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[1].args['amount'].toString(), quantity, "Log amount is not correct");
+            assert.strictEqual(await balanceOf(alice), quantity, "Balance for Alice is not correct");
+            await assertAccounting(quantity2BN);
+
+            await instance.revealResult(alice, move.paper, password2, {from: bob});
+            assert.strictEqual(await balanceOf(alice), quantity2, "Balance for Alice is not correct after a draw");
+            assert.strictEqual(await balanceOf(bob), quantity, "Balance for Bob is not correct after a draw");
+            await assertAccounting(toBN(0));
+        });
+
+        it("should chain wins from balance", async function () {
+
+            await instance.newGameFromBalance(hash, bob, secondsInDay, quantity2, {from: alice});
+            let txObj = await instance.setOpponentMoveFromBalance(hash, move.rock, {from: bob, value: quantity2});
+            assert.strictEqual(txObj.logs[1].args['amount'].toString(), "0", "Nothing should come from Bob balance");
+            await instance.revealResult(bob, move.paper, password2, {from: alice});
+            assert.strictEqual(await balanceOf(alice), toWei('0.04', 'ether'), "Balance for Alice is not correct after a win");
+            assert.strictEqual(await balanceOf(bob), "0", "Balance for Bob is not correct after a loss");
+            await assertAccounting(toBN(0));
+        });
+
+        it("should pay the winnings out of balance on expiration", async function () {
+
+            await instance.newGameFromBalance(hash, bob, secondsInDay, quantity2, {from: alice});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            let aliceBalanceBN = toBN(await web3.eth.getBalance(alice));
+            let txObj = await instance.claimAfterExpiration(hash, {from: alice});
+            let txCostBN = await getTransactionCost(txObj);
+            let aliceNewBalanceBN = toBN(await web3.eth.getBalance(alice));
+            assert.strictEqual(aliceNewBalanceBN.toString(), aliceBalanceBN.sub(txCostBN).add(quantity2BN).toString(), "Alice did not receive the bet");
+            assert.strictEqual(await balanceOf(alice), "0", "Balance for Alice should not be credited");
+            await assertAccounting(toBN(0));
+        });
+
+        it("should let join an open game from balance", async function () {
+
+            let openHash = await instance.generateOpenHash(move.rock, password2, {from: bob});
+            await instance.newOpenGame(openHash, secondsInDay, {from: bob, value: quantity});
+            let aliceHash = await instance.generateOpponentHash(openHash, move.paper, password, {from: alice});
+            await instance.joinOpenGameFromBalance(openHash, aliceHash, {from: alice});
+            assert.strictEqual(await balanceOf(alice), quantity, "Balance for Alice is not correct");
+            await assertAccounting(quantity2BN);
+        });
+    });
+
+    describe("best-of-N matches", function () {
+
+        const password3 = fromAscii("dates");
+
+        async function commitAndPlay(round, creatorMove, pw, opponentMove) {
+            let roundHash = await instance.generateRoundHash(hash, round, creatorMove, pw, {from: alice});
+            await instance.commitRound(hash, roundHash, {from: alice});
+            await instance.playRound(hash, opponentMove, {from: bob});
+        }
+
+        beforeEach("add a best-of-3 match and play its first round", async function() {
+
+            await instance.newMatch(hash, bob, secondsInDay, 3, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+        });
+
+        it("should only create matches best of an odd number of rounds", async function () {
+
+            let hash2 = await instance.generateHash(bob, move.paper, password, {from: alice});
+            for (let bestOf of [1, 2, 4, 11]) {
+                await expectedExceptionPromise(function() {
+                    return instance.newMatch(hash2, bob, secondsInDay, bestOf, {from: alice, value: quantity});
+                });
+            }
+            let txObj = await instance.newMatch(hash2, bob, secondsInDay, 5, {from: alice, value: quantity});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[1].event, "LogNewMatch", "Match should be logged");
+            assert.strictEqual(txObj.logs[1].args['winsNeeded'].toString(), "3", "Log winsNeeded is not correct");
+        });
+
+        it("should count the first round without paying anyone", async function () {
+
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['bet'].toString(), quantity, "The pot should stay in the match");
+            assert.strictEqual(game['creatorWins'].toString(), "1", "Alice should have won the first round");
+            assert.strictEqual(game['rounds'].toString(), "1", "One round should be played");
+            assert.strictEqual(game['opponentMove'].toString(), move.unset.toString(), "Move should be reset for the next round");
+            assert.strictEqual((await instance.balances.call(alice)).toString(), "0", "Nothing should be paid yet");
+        });
+
+        it("should not count draws and pay the pot once alice reaches the wins needed", async function () {
+
+            await commitAndPlay(2, move.paper, password2, move.paper);
+            let txObj = await instance.revealRound(hash, move.paper, password2, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            let args = txObj.logs[0].args;
+            assert.strictEqual(txObj.logs[0].event, "LogRoundResult", "Round should be logged");
+            assert.strictEqual(args['round'].toString(), "2", "Log round is not correct");
+            assert.strictEqual(args['creatorWins'].toString(), "1", "Draw should not count");
+            assert.strictEqual(args['opponentWins'].toString(), "0", "Draw should not count");
+
+            await commitAndPlay(3, move.scissors, password3, move.paper);
+            txObj = await instance.revealRound(hash, move.scissors, password3, {from: alice});
+            assert.strictEqual(txObj.logs.length, 2, "Round and result events are expected");
+            assert.strictEqual(txObj.logs[0].args['creatorWins'].toString(), "2", "Log creatorWins is not correct");
+            args = txObj.logs[1].args;
+            assert.strictEqual(txObj.logs[1].event, "LogRevealResult", "Result should be logged");
+            assert.strictEqual(args['creatorAmount'].toString(), quantity2BN.toString(), "Log creator amount is not correct");
+            assert.strictEqual(args['opponentAmount'].toString(), "0", "Log opponent amount is not correct");
+            assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.toString(), "Alice should get the pot");
+            await expectedExceptionPromise(function() {
+                return instance.commitRound(hash, hash, {from: alice});
+            });
+        });
+
+        it("should let bob come back and win the match", async function () {
+
+            await commitAndPlay(2, move.rock, password2, move.paper);
+            await instance.revealRound(hash, move.rock, password2, {from: alice});
+            await commitAndPlay(3, move.rock, password3, move.paper);
+            await instance.revealRound(hash, move.rock, password3, {from: alice});
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity2BN.toString(), "Bob should get the pot");
+        });
+
+        it("should not let bob pay again nor alice reveal a round with the first secret", async function () {
+
+            await expectedExceptionPromise(function() {
+                return instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.playRound(hash, move.paper, {from: bob});
+            });
+            await commitAndPlay(2, move.paper, password2, move.rock);
+            await expectedExceptionPromise(function() {
+                return instance.revealResult(bob, move.rock, password, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.revealRound(hash, move.scissors, password2, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.revealRound(hash, move.paper, password2, {from: bob});
+            });
+        });
+
+        it("should let only alice commit, once per round", async function () {
+
+            let roundHash = await instance.generateRoundHash(hash, 2, move.paper, password2, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.commitRound(hash, roundHash, {from: bob});
+            });
+            await instance.commitRound(hash, roundHash, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.commitRound(hash, roundHash, {from: alice});
+            });
+        });
+
+        it("should give bob the pot if alice does not commit the next round", async function () {
+
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            await expectedExceptionPromise(function() {
+                return instance.claimAfterExpiration(hash, {from: alice});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Bob should get the pot");
+        });
+
+        it("should give alice the pot if bob does not play the round", async function () {
+
+            let roundHash = await instance.generateRoundHash(hash, 2, move.paper, password2, {from: alice});
+            await instance.commitRound(hash, roundHash, {from: alice});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            await expectedExceptionPromise(function() {
+                return instance.claimAfterExpiration(hash, {from: bob});
+            });
+            let txObj = await instance.claimAfterExpiration(hash, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Alice should get the pot");
+        });
+
+        it("should give bob the pot if alice does not reveal the round", async function () {
+
+            await commitAndPlay(2, move.paper, password2, move.rock);
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Bob should get the pot");
+        });
+
+        it("should not let alice cancel a started match", async function () {
+
+            await expectedExceptionPromise(function() {
+                return instance.requestCancel(hash, {from: alice});
+            });
+        });
+
+        it("should refund both bets of a started match once killed", async function () {
+
+            await killAfterTimelock(instance, owner);
+            let txObj = await instance.emergencyRefund(hash, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['opponentAmount'].toString(), quantity, "Bob should get his bet back");
+        });
+    });
+
+    describe("house fee", function () {
+
+        const fee = 250;  // 2.5%
+        const feeBN = quantity2BN.muln(fee).divn(10000);
+
+        it("should let only the owner set a fee up to the maximum", async function () {
+
+            let maxFeeBasisPoints = await instance.maxFeeBasisPoints.call();
+            await expectedExceptionPromise(function() {
+                return instance.setFee(fee, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.setFee(maxFeeBasisPoints.addn(1), {from: owner});
+            });
+            let txObj = await instance.setFee(fee, {from: owner});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].event, "LogFeeChanged", "Fee change should be logged");
+            assert.strictEqual(txObj.logs[0].args['owner'], owner, "Log owner is not correct");
+            assert.strictEqual(txObj.logs[0].args['feeBasisPoints'].toString(), fee.toString(), "Log fee is not correct");
+            assert.strictEqual((await instance.feeBasisPoints.call()).toString(), fee.toString(), "Fee is not correct");
+        });
+
+        it("should take the fee from the winner only", async function () {
+
+            await instance.setFee(fee, {from: owner});
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            let txObj = await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual(txObj.logs.length, 2, "Fee and result events are expected");
+            assert.strictEqual(txObj.logs[0].event, "LogFee", "Fee should be logged");
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), feeBN.toString(), "Log fee amount is not correct");
+            assert.strictEqual(txObj.logs[1].args['creatorAmount'].toString(), quantity2BN.sub(feeBN).toString(), "Log creator amount is not correct");
+            assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.sub(feeBN).toString(), "Alice balance is not correct");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), feeBN.toString(), "Fee balance is not correct");
+        });
+
+        it("should not take a fee from draws", async function () {
+
+            await instance.setFee(fee, {from: owner});
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.rock, {from: bob, value: quantity});
+            let txObj = await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), quantity, "Bob should get his whole bet back");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), "0", "No fee should be taken");
+        });
+
+        it("should not apply a new fee to games already created", async function () {
+
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setFee(fee, {from: owner});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.toString(), "Alice should get the whole pot");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), "0", "No fee should be taken");
+        });
+
+        it("should take the fee from forfeits but not from bets claimed back", async function () {
+
+            await instance.setFee(fee, {from: owner});
+            let hash2 = await instance.generateHash(carol, move.rock, password, {from: alice});
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.newGame(hash2, carol, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            let txObj = await instance.claimAfterExpiration(hash, {from: bob});
+            assert.strictEqual(txObj.logs[1].args['amount'].toString(), quantity2BN.sub(feeBN).toString(), "Bob should get the pot less the fee");
+            txObj = await instance.claimAfterExpiration(hash2, {from: alice});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity, "Alice should get her whole bet back");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), feeBN.toString(), "Fee balance is not correct");
+        });
+
+        it("should let only the owner withdraw the fees", async function () {
+
+            await instance.setFee(fee, {from: owner});
+            await expectedExceptionPromise(function() {
+                return instance.withdrawFees({from: owner});
+            });
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.withdrawFees({from: bob});
+            });
+
+            let ownerBalanceBN = toBN(await web3.eth.getBalance(owner));
+            let txObj = await instance.withdrawFees({from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogWithdrawFees", "Fee withdrawal should be logged");
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), feeBN.toString(), "Log amount is not correct");
+            let txCostBN = await getTransactionCost(txObj);
+            let ownerNewBalanceBN = toBN(await web3.eth.getBalance(owner));
+            assert.strictEqual(ownerNewBalanceBN.toString(), ownerBalanceBN.sub(txCostBN).add(feeBN).toString(), "Owner did not receive the fees");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), "0", "Fee balance should be empty");
+        });
+    });
+
+    describe("when contract is paused or killed", function() {
+
+        it("should not let use the contract while paused", async function() {
+
+            let txObj = await instance.pause({from: owner});
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            assert.strictEqual(txObj.logs[0].args['account'], owner, "Log account that paused not correct");
+            let isPaused = await instance.isPaused();
+            assert.strictEqual(isPaused, true, "Contract should be paused");
+            await expectedExceptionPromise(function() {
+                return instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            });
+            isPaused = await instance.isPaused();
+            assert.strictEqual(isPaused, true, "Contract should not be paused");
+        });
+
+        it("should not let use the contract if starting paused", async function() {
+
+            let instance2 = await RockPaperScissors.new(true, {from: owner});
+            await expectedExceptionPromise(function() {
+                return instance2.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            });
+        });
+
+        it("should not let once the contract killSwitch has been activated", async function() {
+
+            let txObj = await killAfterTimelock(instance, owner);
+            assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+            await expectedExceptionPromise(function() {
+                return instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            });
+        });
+
+        it("should not let any other than owner to kill the contract", async function() {
+
+            await expectedExceptionPromise(function() {
+                return instance.scheduleKill({from: alice});
+            });
+            await instance.scheduleKill({from: owner});
+            await increaseTime(timelockSeconds + 1);
+            return await expectedExceptionPromise(function() {
+                return instance.kill({from: alice});
+            });
+        });
+
+        it("should let guardians pause but only the owner unpause", async function() {
+
+            await expectedExceptionPromise(function() {
+                return instance.pause({from: carol});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.setGuardian(carol, true, {from: alice});
+            });
+            let txObj = await instance.setGuardian(carol, true, {from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogGuardianChanged", "Guardian change should be logged");
+            assert.isTrue(await instance.guardians.call(carol), "Carol should be a guardian");
+            txObj = await instance.pause({from: carol});
+            assert.strictEqual(txObj.logs[0].args['account'], carol, "Carol should have paused");
+            await expectedExceptionPromise(function() {
+                return instance.unpause({from: carol});
+            });
+            await instance.unpause({from: owner});
+            await instance.setGuardian(carol, false, {from: owner});
+            await expectedExceptionPromise(function() {
+                return instance.pause({from: carol});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.scheduleKill({from: carol});
+            });
+        });
+
+        it("should only kill once the timelock announced by the schedule is over", async function() {
+
+            await expectedExceptionPromise(function() {
+                return instance.kill({from: owner});  // not scheduled
+            });
+            let txObj = await instance.scheduleKill({from: owner});
+            let block = await web3.eth.getBlock(txObj.receipt.blockNumber);
+            assert.strictEqual(txObj.logs[0].event, "LogKillScheduled", "Schedule should be logged");
+            assert.strictEqual(txObj.logs[0].args['time'].toString(), (block.timestamp + timelockSeconds).toString());
+            await expectedExceptionPromise(function() {
+                return instance.kill({from: owner});
+            });
+            // players can still play and withdraw meanwhile
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await increaseTime(timelockSeconds - 60);
+            await expectedExceptionPromise(function() {
+                return instance.kill({from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.cancelKill({from: alice});
+            });
+            txObj = await instance.cancelKill({from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogKillCancelled", "Cancel should be logged");
+            await expectedExceptionPromise(function() {
+                return instance.cancelKill({from: owner});
+            });
+            await increaseTime(120);
+            await expectedExceptionPromise(function() {
+                return instance.kill({from: owner});  // cancelled
+            });
+            await instance.scheduleKill({from: owner});
+            await increaseTime(timelockSeconds + 1);
+            await instance.kill({from: owner});
+            assert.isTrue(await instance.isKilled(), "Contract should be killed");
+            assert.strictEqual((await instance.killTime.call()).toString(), "0", "Kill should not be scheduled anymore");
+            await expectedExceptionPromise(function() {
+                return instance.scheduleKill({from: owner});
+            });
+        });
+
+        it("should not let anyone pause while a kill is scheduled so players can withdraw", async function () {
+
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            await instance.setGuardian(carol, true, {from: owner});
+            await instance.scheduleKill({from: owner});
+            try {
+                await instance.pause({from: carol});
+                assert.fail("Guardian should not pause during the timelock");
+            } catch (e) {
+                assert.include(e.message, "Pausable: kill scheduled");
+            }
+            await instance.withdrawFunds({from: bob});
+            assert.strictEqual((await instance.balances.call(bob)).toString(), "0", "Bob should have withdrawn");
+
+            await instance.cancelKill({from: owner});
+            await instance.pause({from: carol});
+            assert.isTrue(await instance.isPaused(), "Guardian should pause once the kill is cancelled");
+            await instance.unpause({from: owner});
+            await instance.scheduleKill({from: owner});
+            try {
+                await instance.pause({from: owner});
+                assert.fail("Owner should not pause during the timelock");
+            } catch (e) {
+                assert.include(e.message, "Pausable: kill scheduled");
+            }
+        });
+
+        it("should only transfer the ownership once the new owner accepts after the timelock", async function() {
+
+            await expectedExceptionPromise(function() {
+                return instance.transferOwnership(carol, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.cancelOwnershipTransfer({from: owner});
+            });
+            let txObj = await instance.transferOwnership(bob, {from: owner});
+            assert.strictEqual(txObj.logs[0].event, "LogOwnershipTransferScheduled", "Transfer should be logged");
+            await instance.cancelOwnershipTransfer({from: owner});
+            await increaseTime(timelockSeconds + 1);
+            await expectedExceptionPromise(function() {
+                return instance.acceptOwnership({from: bob});  // cancelled
+            });
+
+            txObj = await instance.transferOwnership(carol, {from: owner});
+            let time = txObj.logs[0].args['time'];
+            let pending = await instance.pendingOwnership();
+            assert.strictEqual(pending[0], carol, "Carol should be the pending owner");
+            assert.strictEqual(pending[1].toString(), time.toString(), "Pending time not correct");
+            await expectedExceptionPromise(function() {
+                return instance.acceptOwnership({from: carol});
+            });
+            await increaseTime(timelockSeconds + 1);
+            await expectedExceptionPromise(function() {
+                return instance.acceptOwnership({from: bob});
+            });
+            assert.strictEqual(await instance.owner(), owner, "Owner should not change before acceptance");
+            txObj = await instance.acceptOwnership({from: carol});
+            assert.strictEqual(txObj.logs[0].event, "OwnershipTransferred", "Transfer should be logged");
+            assert.strictEqual(await instance.owner(), carol, "Carol should be the owner");
+            await expectedExceptionPromise(function() {
+                return instance.unpause({from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.pause({from: owner});
+            });
+            await instance.pause({from: carol});
+            await instance.unpause({from: carol});
+        });
+
+        it("should not let use the emergency exits unless killed", async function() {
+
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await expectedExceptionPromise(function() {
+                return instance.emergencyRefund(hash, {from: alice});
+            });
+            await instance.pause({from: owner});
+            await expectedExceptionPromise(function() {
+                return instance.emergencyRefund(hash, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.emergencyWithdraw({from: alice});
+            });
+        });
+
+        describe("emergency exits once killed", function() {
+
+            let openHash;
+            let hash2;
+
+            beforeEach("leave games in every state and kill", async function() {
+
+                // Alice won 0.02 ether, bob moved in a second game, nobody joined a third, carol joined an open one
+                let hashWon = await instance.generateHash(bob, move.paper, password2, {from: alice});
+                await instance.newGame(hashWon, bob, secondsInDay, {from: alice, value: quantity});
+                await instance.setOpponentMove(hashWon, move.rock, {from: bob, value: quantity});
+                await instance.revealResult(bob, move.paper, password2, {from: alice});
+
+                await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+                await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+
+                hash2 = await instance.generateHash(carol, move.rock, password, {from: alice});
+                await instance.newGame(hash2, carol, secondsInDay, {from: alice, value: quantity2});
+
+                openHash = await instance.generateOpenHash(move.rock, password, {from: bob});
+                let carolHash = await instance.generateOpponentHash(openHash, move.paper, password2, {from: carol});
+                await instance.newOpenGame(openHash, secondsInDay, {from: bob, value: quantity});
+                await instance.joinOpenGame(openHash, carolHash, {from: carol, value: quantity});
+
+                await killAfterTimelock(instance, owner);
+                assert.isTrue(await instance.isKilled(), "Contract should be killed");
+            });
+
+            it("should let alice withdraw her balance", async function() {
+
+                await expectedExceptionPromise(function() {
+                    return instance.withdrawFunds({from: alice});
+                });
+                let aliceBalanceBN = toBN(await web3.eth.getBalance(alice));
+                let txObj = await instance.emergencyWithdraw({from: alice});
+                assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+                assert.strictEqual(txObj.logs[0].event, "LogEmergencyWithdraw", "Emergency withdraw should be logged");
+                assert.strictEqual(txObj.logs[0].args['who'], alice, "Log who is not correct");
+                assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Log amount is not correct");
+
+                let txCostBN = await getTransactionCost(txObj);
+                let aliceNewBalanceBN = toBN(await web3.eth.getBalance(alice));
+                assert.strictEqual(aliceNewBalanceBN.toString(), aliceBalanceBN.sub(txCostBN).add(quantity2BN).toString(), "Alice did not receive her balance");
+                await expectedExceptionPromise(function() {
+                    return instance.emergencyWithdraw({from: alice});
+                });
+            });
+
+            it("should refund both bets if the opponent moved", async function() {
+
+                let txObj = await instance.emergencyRefund(hash, {from: bob});
+                assert.strictEqual(txObj.logs.length, 1, "Only one event is expected");
+                let args = txObj.logs[0].args;
+                assert.strictEqual(txObj.logs[0].event, "LogEmergencyRefund", "Emergency refund should be logged");
+                assert.strictEqual(args['hash'], hash, "Log hash is not correct");
+                assert.strictEqual(args['creator'], alice, "Log creator is not correct");
+                assert.strictEqual(args['opponent'], bob, "Log opponent is not correct");
+                assert.strictEqual(args['creatorAmount'].toString(), quantity, "Log creator amount is not correct");
+                assert.strictEqual(args['opponentAmount'].toString(), quantity, "Log opponent amount is not correct");
+
+                assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.add(quantityBN).toString(), "Alice balance is not correct");
+                assert.strictEqual((await instance.balances.call(bob)).toString(), quantity, "Bob balance is not correct");
+                await expectedExceptionPromise(function() {
+                    return instance.emergencyRefund(hash, {from: bob});
+                });
+            });
+
+            it("should refund the creator only if nobody played", async function() {
+
+                let txObj = await instance.emergencyRefund(hash2, {from: carol});
+                let args = txObj.logs[0].args;
+                assert.strictEqual(args['creatorAmount'].toString(), quantity2, "Log creator amount is not correct");
+                assert.strictEqual(args['opponentAmount'].toString(), "0", "Log opponent amount is not correct");
+                assert.strictEqual((await instance.balances.call(alice)).toString(), quantity2BN.add(quantity2BN).toString(), "Alice balance is not correct");
+                assert.strictEqual((await instance.balances.call(carol)).toString(), "0", "Carol should get nothing");
+            });
+
+            it("should refund the joiner of an open game who did not reveal yet", async function() {
+
+                let txObj = await instance.emergencyRefund(openHash, {from: alice});
+                let args = txObj.logs[0].args;
+                assert.strictEqual(args['creator'], bob, "Log creator is not correct");
+                assert.strictEqual(args['opponent'], carol, "Log opponent is not correct");
+                assert.strictEqual(args['opponentAmount'].toString(), quantity, "Log opponent amount is not correct");
+            });
+
+            it("should empty the contract once everybody is refunded and withdrew", async function() {
+
+                await instance.emergencyRefund(hash, {from: alice});
+                await instance.emergencyRefund(hash2, {from: alice});
+                await instance.emergencyRefund(openHash, {from: alice});
+                await instance.emergencyWithdraw({from: alice});
+                await instance.emergencyWithdraw({from: bob});
+                await instance.emergencyWithdraw({from: carol});
+                assert.strictEqual(await web3.eth.getBalance(instance.address), "0", "Funds left locked in the contract");
             });
         });
     });
@@ -0,0 +1,55 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const ruleSets = require("../lib/rule-sets.js")(web3);
+const expectedExceptionPromise = require("../util/expected-exception-promise.js");
+const { fromAscii } = web3.utils;
+
+contract('rule sets', accounts => {
+    const [ owner, alice, bob ] = accounts;
+    let instance;
+    let contract;
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        contract = new web3.eth.Contract(RockPaperScissors.abi, instance.address);
+    });
+
+    it("should list the rule sets of the contract with their moves", async function() {
+
+        let list = await ruleSets.listRuleSets(contract);
+        assert.deepEqual(list[0], ruleSets.classic, "Classic rule set is not correct");
+        assert.deepEqual(list[1], { id: 1, name: "Rock-Paper-Scissors-Lizard-Spock", moves: ["Rock", "Paper", "Scissors", "Lizard", "Spock"] });
+        assert.strictEqual(list.length, 2, "Two rule sets are expected");
+        try {
+            await ruleSets.getRuleSet(contract, 2);
+            assert.fail("There is no third rule set");
+        } catch (e) {
+            assert.strictEqual(e.message, "There is no rule set 2.");
+        }
+    });
+
+    it("should find rule sets by name or id and name their moves", async function() {
+
+        let list = await ruleSets.listRuleSets(contract);
+        assert.strictEqual(ruleSets.findRuleSet(list, "rock-paper-scissors-lizard-spock").id, 1);
+        assert.strictEqual(ruleSets.findRuleSet(list, "0").name, "Rock-Paper-Scissors");
+        assert.throws(() => ruleSets.findRuleSet(list, "2"), "Unknown rule set 2");
+        assert.strictEqual(ruleSets.moveName(list[1], 5), "Spock");
+        assert.strictEqual(ruleSets.moveName(list[1], "0"), "unset");
+    });
+
+    it("should build the beats matrix the contract expects", async function() {
+
+        let classic = await instance.ruleSets.call(0);
+        assert.strictEqual(ruleSets.beatsMatrix([[1, 3], [2, 1], [3, 2]]), classic['beats'].toString(), "Matrix is not the classic one");
+
+        let names = ["Fire", "Water", "Sponge"].map(name => fromAscii(name));
+        await expectedExceptionPromise(function() {
+            return instance.registerRuleSet(fromAscii("Elements"), names, ruleSets.beatsMatrix([[1, 3], [2, 1], [3, 1]]), {from: owner});
+        });
+        await instance.registerRuleSet(fromAscii("Elements"), names, ruleSets.beatsMatrix([[1, 3], [2, 1], [3, 2]]), {from: owner});
+        let hash = await instance.generateRuleSetHash(bob, 2, 1, fromAscii("bananas"), {from: alice});
+        await instance.newRuleSetGame(hash, bob, 86400, 2, {from: alice, value: 1});
+        assert.deepEqual(await ruleSets.gameRuleSet(contract, hash), { id: 2, name: "Elements", moves: ["Fire", "Water", "Sponge"] });
+    });
+});
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const commitment = require("../lib/commitment.js")(web3);
+const { SecretVault, memoryStorage, fileStorage } = require("../lib/secret-vault.js");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { toWei } = web3.utils;
+
+contract('SecretVault', accounts => {
+    const [ owner, alice, bob ] = accounts;
+    const { move } = commitment;
+    const quantity = toWei('0.01', 'ether');
+    const secondsInDay = 86400;
+    const passphrase = "correct horse battery staple";
+    const iterations = 1000;  // keep the tests fast
+    let instance;
+    let vault;
+    let storage;
+    let password;
+    let hash;
+
+    async function expectError(promise, message) {
+        try {
+            await promise;
+        } catch (e) {
+            assert.strictEqual(e.message, message, "Error is not correct");
+            return;
+        }
+        assert.fail("Should have failed with: " + message);
+    }
+
+    beforeEach("deploy and create a game", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        storage = memoryStorage();
+        vault = await SecretVault.open(passphrase, storage, iterations);
+        password = commitment.randomPassword();
+        hash = commitment.generateHash(instance.address, alice, bob, move.rock, password);
+        let txObj = await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+        vault.add({
+            contract: instance.address,
+            hash: hash,
+            creator: alice,
+            opponent: bob,
+            move: move.rock,
+            password: password,
+            expiration: txObj.logs[0].args['expiration'].toString()
+        });
+    });
+
+    describe("storing secrets", function() {
+
+        it("should keep the secrets encrypted", async function() {
+
+            let stored = storage.load();
+            assert.strictEqual(stored.indexOf(password.substr(2)), -1, "Password stored in clear");
+            assert.strictEqual(stored.indexOf(hash.substr(2)), -1, "Hash stored in clear");
+        });
+
+        it("should reopen with the right passphrase only", async function() {
+
+            let reopened = await SecretVault.open(passphrase, storage);
+            let entry = reopened.get(instance.address, hash);
+            assert.strictEqual(entry.password, password, "Password not kept");
+            assert.strictEqual(entry.move, move.rock, "Move not kept");
+            await expectError(SecretVault.open("wrong", storage), "Wrong passphrase or corrupted vault");
+            await expectError(SecretVault.open("", memoryStorage()), "Passphrase not set");
+        });
+
+        it("should derive the key with WebCrypto in the browser", async function() {
+
+            let derivations = [];
+            global.window = { crypto: { subtle: {
+                importKey: async (format, key, algorithm) => ({ format: format, key: key, algorithm: algorithm }),
+                deriveBits: async function(params, material, length) {
+                    derivations.push({ params: params, material: material, length: length });
+                    let bits = crypto.pbkdf2Sync(material.key, params.salt, params.iterations, length / 8, "sha256");
+                    return bits.buffer.slice(bits.byteOffset, bits.byteOffset + bits.length);
+                }
+            } } };
+            let reopened;
+            try {
+                reopened = await SecretVault.open(passphrase, storage);
+            } finally {
+                delete global.window;
+            }
+            assert.strictEqual(derivations.length, 1, "WebCrypto should derive the key");
+            let { params, material, length } = derivations[0];
+            assert.strictEqual(params.name, "PBKDF2", "Algorithm is not correct");
+            assert.strictEqual(params.hash, "SHA-256", "Hash is not correct");
+            assert.strictEqual(params.iterations, iterations, "Iterations are not correct");
+            assert.strictEqual(material.algorithm, "PBKDF2", "Key material is not correct");
+            assert.strictEqual(length, 256, "Key length is not correct");
+            assert.strictEqual(reopened.get(instance.address, hash).password, password, "Should open the Node vault");
+        });
+
+        it("should reveal with the stored secret", async function() {
+
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            let entry = vault.get(instance.address, hash);
+            await instance.revealResult(entry.opponent, entry.move, entry.password, {from: alice});
+        });
+    });
+
+    describe("following events", function() {
+
+        it("should update the expiration when the opponent moves", async function() {
+
+            let txObj = await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            assert.isTrue(vault.handleEvent(txObj.logs[0]), "Vault should change");
+            assert.strictEqual(vault.get(instance.address, hash).expiration.toString(), txObj.logs[0].args['newExpiration'].toString());
+        });
+
+        it("should forget the game once revealed", async function() {
+
+            await instance.setOpponentMove(hash, move.scissors, {from: bob, value: quantity});
+            let txObj = await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.isTrue(vault.handleEvent(txObj.logs[0]), "Vault should change");
+            assert.isNull(vault.get(instance.address, hash), "Entry should be removed");
+            assert.isNull((await SecretVault.open(passphrase, storage)).get(instance.address, hash), "Removal not saved");
+        });
+
+        it("should forget the game once claimed", async function() {
+
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            let txObj = await instance.claimAfterExpiration(hash, {from: alice});
+            assert.isTrue(vault.handleEvent(txObj.logs[0]), "Vault should change");
+            assert.strictEqual(vault.list(instance.address).length, 0, "Entry should be removed");
+        });
+
+        it("should ignore games of other contracts", async function() {
+
+            let instance2 = await RockPaperScissors.new(false, {from: owner});
+            let hash2 = commitment.generateHash(instance2.address, alice, bob, move.rock, password);
+            await instance2.newGame(hash2, bob, secondsInDay, {from: alice, value: quantity});
+            await instance2.setOpponentMove(hash2, move.scissors, {from: bob, value: quantity});
+            let txObj = await instance2.revealResult(bob, move.rock, password, {from: alice});
+            assert.isFalse(vault.handleEvent(txObj.logs[0]), "Vault should not change");
+            assert.isNotNull(vault.get(instance.address, hash), "Entry should be kept");
+        });
+    });
+
+    describe("backups", function() {
+
+        it("should export to and import from a file", async function() {
+
+            let file = path.join(os.tmpdir(), "rps-vault-" + Date.now() + ".json");
+            try {
+                fs.writeFileSync(file, vault.export());
+                let other = await SecretVault.open("another passphrase", fileStorage(file + ".new"), iterations);
+                assert.strictEqual(await other.import(fs.readFileSync(file, "utf8"), passphrase), 1, "One entry expected");
+                assert.strictEqual(other.get(instance.address, hash).password, password, "Password not imported");
+                let reopened = await SecretVault.open("another passphrase", fileStorage(file + ".new"));
+                assert.strictEqual(reopened.list().length, 1, "Import not saved");
+            } finally {
+                [file, file + ".new"].filter(fs.existsSync).forEach(fs.unlinkSync);
+            }
+        });
+
+        it("should replace the vault file whole and keep it private", async function() {
+
+            let file = path.join(os.tmpdir(), "vault-" + Date.now() + ".json");
+            try {
+                let saved = await SecretVault.open(passphrase, fileStorage(file), iterations);
+                await saved.import(vault.export(), passphrase);
+                fs.chmodSync(file, 0o644);
+                saved.add(Object.assign({}, vault.get(instance.address, hash), { hash: "0x" + "1".repeat(64) }));
+                assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600, "Vault should be private");
+                assert.isFalse(fs.existsSync(file + ".tmp"), "Temporary file should be renamed");
+                let reopened = await SecretVault.open(passphrase, fileStorage(file));
+                assert.strictEqual(reopened.get(instance.address, hash).password, password, "Entry not saved");
+            } finally {
+                [file, file + ".tmp"].filter(fs.existsSync).forEach(fs.unlinkSync);
+            }
+        });
+
+        it("should not import with a wrong passphrase", async function() {
+
+            let other = await SecretVault.open("another passphrase", memoryStorage(), iterations);
+            await expectError(other.import(vault.export(), "wrong"), "Wrong passphrase or corrupted vault");
+            assert.strictEqual(other.list().length, 0, "Nothing should be imported");
+        });
+    });
+});
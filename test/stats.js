@@ -0,0 +1,87 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const stats = require("../lib/stats.js")(web3);
+const increaseTime = require("../util/increase-time.js");
+const { toWei, toBN, fromAscii } = web3.utils;
+
+contract('stats', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const quantity = toWei('0.01', 'ether');
+    const minusQuantity = toBN(quantity).neg().toString();
+    const password = fromAscii("bananas");
+    const secondsInDay = 86400;
+    const move = {
+        rock: 1,
+        paper: 2,
+        scissors: 3,
+        spock: 5
+    };
+    let instance;
+    let contract;
+    let fromBlock;
+    let secondWeek;  // timestamp after the first two games
+
+    async function playGame(creator, opponent, creatorMove, opponentMove, ruleSet = 0) {
+        let hash = await instance.generateRuleSetHash(opponent, ruleSet, creatorMove, password, {from: creator});
+        await instance.newRuleSetGame(hash, opponent, secondsInDay, ruleSet, {from: creator, value: quantity});
+        await instance.setOpponentMove(hash, opponentMove, {from: opponent, value: quantity});
+        return hash;
+    }
+
+    before("replay a week of games", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        contract = new web3.eth.Contract(RockPaperScissors.abi, instance.address);
+        fromBlock = (await web3.eth.getTransactionReceipt(instance.transactionHash)).blockNumber;
+
+        // Alice wins against Bob
+        await playGame(alice, bob, move.rock, move.scissors);
+        await instance.revealResult(bob, move.rock, password, {from: alice});
+        // Bob and Carol draw at Rock-Paper-Scissors-Lizard-Spock
+        await playGame(bob, carol, move.spock, move.spock, 1);
+        await instance.revealResult(carol, move.spock, password, {from: bob});
+        secondWeek = (await web3.eth.getBlock('latest')).timestamp + 1;
+        // Carol does not reveal and Alice takes the pot
+        let hash = await playGame(carol, alice, move.rock, move.paper);
+        // Nobody joins the game of Alice, she gets her bet back
+        let unjoined = await instance.generateHash(bob, move.paper, password, {from: alice});
+        await instance.newGame(unjoined, bob, secondsInDay, {from: alice, value: quantity});
+        await increaseTime(secondsInDay + 1);
+        await instance.claimAfterExpiration(hash, {from: alice});
+        await instance.claimAfterExpiration(unjoined, {from: alice});
+    });
+
+    it("should count the wins, losses, draws, forfeits, net and favourite move of every player", async function() {
+
+        let games = await stats.collectGames(contract, { fromBlock: fromBlock, batchSize: 4 });
+        assert.strictEqual(games.length, 4, "Every game over should be collected");
+        assert.deepEqual(stats.playerStats(games), [
+            { address: alice, games: 2, wins: 2, losses: 0, draws: 0, forfeits: 0, net: toBN(quantity).muln(2).toString(), favouriteMove: "Paper" },
+            { address: bob, games: 2, wins: 0, losses: 1, draws: 1, forfeits: 0, net: minusQuantity, favouriteMove: "Scissors" },
+            { address: carol, games: 2, wins: 0, losses: 1, draws: 1, forfeits: 1, net: minusQuantity, favouriteMove: "Spock" }
+        ]);
+    });
+
+    it("should rank the players within a time window", async function() {
+
+        let games = await stats.collectGames(contract, { fromBlock: fromBlock });
+        let board = stats.leaderboard(games);
+        assert.deepEqual(board.map(row => [row.rank, row.address]), [[1, alice], [2, bob], [3, carol]], "Ranking is not correct");
+        assert.strictEqual(stats.leaderboard(games, { limit: 1 }).length, 1, "Limit not applied");
+
+        let secondWeekBoard = stats.leaderboard(games, { from: secondWeek });
+        assert.deepEqual(secondWeekBoard.map(row => [row.address, row.wins, row.forfeits]), [[alice, 1, 0], [carol, 0, 1]],
+            "Only the forfeit should count in the second week");
+        assert.deepEqual(stats.leaderboard(games, { to: secondWeek }).map(row => row.address), [alice, carol, bob],
+            "Carol should be ahead of Bob on net in the first week");
+    });
+
+    it("should write CSV", async function() {
+
+        let games = await stats.collectGames(contract, { fromBlock: fromBlock });
+        let lines = stats.toCsv(stats.leaderboard(games)).split("\n");
+        assert.strictEqual(lines[0], "rank,address,games,wins,losses,draws,forfeits,net,favouriteMove");
+        assert.strictEqual(lines[1], "1," + alice + ",2,2,0,0,0," + toBN(quantity).muln(2).toString() + ",Paper");
+        assert.strictEqual(lines.length, 5, "Header, 3 players and the last new line are expected");
+        assert.strictEqual(stats.toCsv([{ address: "a,\"b\"" }]).split("\n")[1], ",\"a,\"\"b\"\"\",,,,,,,");
+    });
+});
@@ -0,0 +1,235 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("ERC20Mock.sol");
+const ERC20ReturnFalseMock = artifacts.require("ERC20ReturnFalseMock.sol");
+const ERC20FeeOnTransferMock = artifacts.require("ERC20FeeOnTransferMock.sol");
+const expectedExceptionPromise = require("../util/expected-exception-promise.js");
+const killAfterTimelock = require("../util/kill-after-timelock.js");
+const { toBN, fromAscii } = web3.utils;
+
+contract('RockPaperScissors with tokens', accounts => {
+    const [ owner, alice, bob, carol ] = accounts;
+    const quantity = "1000";
+    const quantityBN = toBN(quantity);
+    const quantity2BN = quantityBN.muln(2);
+    const password = fromAscii("bananas");
+    const secondsInDay = 86400;
+    const move = {
+        unset: 0,
+        rock: 1,
+        paper: 2,
+        scissors: 3
+    };
+    let instance;
+    let token;
+    let hash;
+
+    async function fund(tokenInstance, player, amount) {
+        await tokenInstance.mint(player, amount);
+        await tokenInstance.approve(instance.address, amount, {from: player});
+    }
+
+    /**
+     * What the contract holds must be what it owes: open bets, token balances of the players and token fees.
+     */
+    async function assertAccounting(tokenInstance, hashes, players) {
+        let owed = toBN(await instance.tokenFeeBalances.call(tokenInstance.address));
+        for (let gameHash of hashes) {
+            let game = await instance.games.call(gameHash);
+            let paid = game['opponentMove'].toString() !== move.unset.toString() ? 2 : 1;
+            owed = owed.add(toBN(game['bet']).muln(paid));
+        }
+        for (let player of players) {
+            owed = owed.add(toBN(await instance.tokenBalances.call(tokenInstance.address, player)));
+        }
+        let held = toBN(await tokenInstance.balanceOf(instance.address));
+        assert.strictEqual(held.toString(), owed.toString(), "Contract token balance does not match what it owes");
+    }
+
+    beforeEach("deploy", async function() {
+
+        instance = await RockPaperScissors.new(false, {from: owner});
+        token = await ERC20Mock.new({from: owner});
+        hash = await instance.generateHash(bob, move.rock, password, {from: alice});
+    });
+
+    describe("standard token", function() {
+
+        it("should create a game with the approved tokens", async function() {
+
+            await fund(token, alice, quantity);
+            let txObj = await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            assert.strictEqual(txObj.logs.length, 2, "Two events are expected");
+            assert.strictEqual(txObj.logs[0].args['bet'].toString(), quantity, "Log bet is not correct");
+            assert.strictEqual(txObj.logs[1].event, "LogTokenGame", "Token should be logged");
+            assert.strictEqual(txObj.logs[1].args['token'], token.address, "Log token is not correct");
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['token'], token.address, "Game token is not correct");
+            assert.strictEqual((await token.balanceOf(instance.address)).toString(), quantity, "Tokens not taken");
+        });
+
+        it("should not create a game without approval nor with ether or an empty token", async function() {
+
+            await token.mint(alice, quantity);
+            await expectedExceptionPromise(function() {
+                return instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            });
+            await token.approve(instance.address, quantity, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.newTokenGame(hash, bob, secondsInDay, "0x0000000000000000000000000000000000000000", quantity, {from: alice});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice, value: quantity});
+            });
+        });
+
+        it("should play, pay the winner in tokens and let the winner withdraw them", async function() {
+
+            await fund(token, alice, quantity);
+            await fund(token, bob, quantity);
+            await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.setOpponentMove(hash, move.paper, {from: bob, value: quantity});
+            });
+            await instance.setOpponentMoveWithTokens(hash, move.paper, quantity, {from: bob});
+            await assertAccounting(token, [hash], [alice, bob]);
+
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual((await instance.tokenBalances.call(token.address, bob)).toString(), quantity2BN.toString(), "Bob should win the tokens");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), "0", "Nothing should be won in ether");
+            await assertAccounting(token, [hash], [alice, bob]);
+
+            let txObj = await instance.withdrawTokens(token.address, {from: bob});
+            assert.strictEqual(txObj.logs[0].event, "LogWithdrawTokens", "Withdrawal should be logged");
+            assert.strictEqual(txObj.logs[0].args['amount'].toString(), quantity2BN.toString(), "Log amount is not correct");
+            assert.strictEqual((await token.balanceOf(bob)).toString(), quantity2BN.toString(), "Bob did not get the tokens");
+            await expectedExceptionPromise(function() {
+                return instance.withdrawTokens(token.address, {from: bob});
+            });
+        });
+
+        it("should not let play an ether game with tokens", async function() {
+
+            await fund(token, bob, quantity);
+            await instance.newGame(hash, bob, secondsInDay, {from: alice, value: quantity});
+            await expectedExceptionPromise(function() {
+                return instance.setOpponentMoveWithTokens(hash, move.paper, quantity, {from: bob});
+            });
+        });
+
+        it("should pay forfeits and fees in tokens", async function() {
+
+            await instance.setFee(100, {from: owner});
+            await fund(token, alice, quantity);
+            await fund(token, bob, quantity);
+            await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            await instance.setOpponentMoveWithTokens(hash, move.paper, quantity, {from: bob});
+            await web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [2*24*3600], id: 0}, err => console.log);
+            await instance.claimAfterExpiration(hash, {from: bob});
+
+            let feeBN = quantity2BN.divn(100);
+            assert.strictEqual((await token.balanceOf(bob)).toString(), quantity2BN.sub(feeBN).toString(), "Bob should get the pot less the fee");
+            assert.strictEqual((await instance.tokenFeeBalances.call(token.address)).toString(), feeBN.toString(), "Token fee balance is not correct");
+            assert.strictEqual((await instance.feeBalance.call()).toString(), "0", "No ether fee should be taken");
+            await assertAccounting(token, [hash], [alice, bob]);
+
+            await expectedExceptionPromise(function() {
+                return instance.withdrawTokenFees(token.address, {from: alice});
+            });
+            await instance.withdrawTokenFees(token.address, {from: owner});
+            assert.strictEqual((await token.balanceOf(owner)).toString(), feeBN.toString(), "Owner did not get the fees");
+        });
+
+        it("should refund tokens once killed", async function() {
+
+            await fund(token, alice, quantity);
+            await fund(token, bob, quantity);
+            await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            await instance.setOpponentMoveWithTokens(hash, move.paper, quantity, {from: bob});
+            await killAfterTimelock(instance, owner);
+            await expectedExceptionPromise(function() {
+                return instance.withdrawTokens(token.address, {from: alice});
+            });
+            await instance.emergencyRefund(hash, {from: carol});
+            await instance.emergencyWithdrawTokens(token.address, {from: alice});
+            await instance.emergencyWithdrawTokens(token.address, {from: bob});
+            assert.strictEqual((await token.balanceOf(alice)).toString(), quantity, "Alice should get her tokens back");
+            assert.strictEqual((await token.balanceOf(bob)).toString(), quantity, "Bob should get his tokens back");
+        });
+    });
+
+    describe("token returning false", function() {
+
+        beforeEach("deploy the token", async function() {
+
+            token = await ERC20ReturnFalseMock.new({from: owner});
+        });
+
+        it("should not create a game when the token refuses the transfer", async function() {
+
+            await token.mint(alice, quantity);
+            await token.approve(instance.address, quantityBN.subn(1), {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            });
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['bet'].toString(), "0", "Game should not exist");
+            assert.strictEqual((await token.balanceOf(alice)).toString(), quantity, "Alice should keep her tokens");
+        });
+
+        it("should not let join when the token refuses the transfer", async function() {
+
+            await fund(token, alice, quantity);
+            await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            await token.approve(instance.address, quantity, {from: bob});
+            await expectedExceptionPromise(function() {
+                return instance.setOpponentMoveWithTokens(hash, move.paper, quantity, {from: bob});
+            });
+            let game = await instance.games.call(hash);
+            assert.strictEqual(game['opponentMove'].toString(), move.unset.toString(), "Bob should not have played");
+            await assertAccounting(token, [hash], [alice, bob]);
+        });
+    });
+
+    describe("token taking a fee on transfers", function() {
+
+        const receivedBN = quantityBN.subn(10);  // 1% burnt
+
+        beforeEach("deploy the token", async function() {
+
+            token = await ERC20FeeOnTransferMock.new({from: owner});
+        });
+
+        it("should bet what the contract received", async function() {
+
+            await fund(token, alice, quantity);
+            let txObj = await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            assert.strictEqual(txObj.logs[0].args['bet'].toString(), receivedBN.toString(), "Bet should be what was received");
+            await assertAccounting(token, [hash], [alice]);
+        });
+
+        it("should keep the accounting right through a game and the withdrawals", async function() {
+
+            await fund(token, alice, quantity);
+            await fund(token, bob, "1020");
+            await instance.newTokenGame(hash, bob, secondsInDay, token.address, quantity, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.setOpponentMoveWithTokens(hash, move.paper, receivedBN, {from: bob});
+            });
+            // Bob sends more to cover the fee, the contract gets 1010 and keeps 20 above the bet for him
+            await instance.setOpponentMoveWithTokens(hash, move.rock, "1020", {from: bob});
+            assert.strictEqual((await instance.tokenBalances.call(token.address, bob)).toString(), "20", "Bob should keep what was above the bet");
+            await assertAccounting(token, [hash], [alice, bob]);
+
+            // Draw
+            await instance.revealResult(bob, move.rock, password, {from: alice});
+            assert.strictEqual((await instance.tokenBalances.call(token.address, alice)).toString(), receivedBN.toString(), "Alice should get her bet back");
+            assert.strictEqual((await instance.tokenBalances.call(token.address, bob)).toString(), receivedBN.addn(20).toString(), "Bob should get his bet back");
+            await assertAccounting(token, [hash], [alice, bob]);
+
+            await instance.withdrawTokens(token.address, {from: alice});
+            await instance.withdrawTokens(token.address, {from: bob});
+            assert.strictEqual((await token.balanceOf(instance.address)).toString(), "0", "Tokens left in the contract");
+            assert.strictEqual((await token.balanceOf(alice)).toString(), "981", "Alice should get her bet less the token fee");
+        });
+    });
+});
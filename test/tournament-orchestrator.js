@@ -0,0 +1,91 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsTournament = artifacts.require("RockPaperScissorsTournament.sol");
+const { SecretVault, memoryStorage } = require("../lib/secret-vault.js");
+const TournamentOrchestrator = require("../lib/tournament.js");
+const increaseTime = require("../util/increase-time.js");
+const { toWei } = web3.utils;
+
+contract('TournamentOrchestrator', accounts => {
+    const [ owner, alice, bob, carol, dave ] = accounts;
+    const entryFee = toWei('0.01', 'ether');
+    const secondsInHour = 3600;
+    const move = {
+        rock: 1,
+        paper: 2,
+        scissors: 3
+    };
+    let contract;
+    let keeper;
+    let players;
+    let id;
+
+    async function orchestrator(account) {
+        return new TournamentOrchestrator({
+            web3: web3,
+            contract: contract,
+            account: account,
+            vault: await SecretVault.open("passphrase", memoryStorage(), 1000)
+        });
+    }
+
+    beforeEach("deploy and register Alice, Bob and Carol", async function() {
+
+        let rockPaperScissors = await RockPaperScissors.new(false, {from: owner});
+        let instance = await RockPaperScissorsTournament.new(false, rockPaperScissors.address, {from: owner});
+        contract = new web3.eth.Contract(RockPaperScissorsTournament.abi, instance.address);
+        keeper = new TournamentOrchestrator({ web3: web3, contract: contract, account: dave });
+        players = [];
+        for (let [account, playerMove] of [[alice, move.rock], [bob, move.paper], [carol, move.scissors]]) {
+            players.push({ orchestrator: await orchestrator(account), move: playerMove });
+        }
+        let txObj = await instance.createTournament(entryFee, 4, secondsInHour, secondsInHour, 0, 0, {from: owner});
+        id = Number(txObj.logs[0].args['id']);
+        for (let player of players) {
+            await player.orchestrator.register(id);
+        }
+    });
+
+    it("should wait for the end of registration then drive the bracket to the end", async function() {
+
+        assert.deepEqual(await keeper.step(id), [], "Registration is still open");
+        await increaseTime(secondsInHour + 1);
+        let steps = await keeper.step(id);
+        assert.deepEqual(steps.map(step => step.action), ["start"], "Keeper should start the bracket");
+
+        let bracket = await keeper.bracket(id);
+        assert.strictEqual(bracket.stage, "playing");
+        assert.deepEqual(bracket.rounds[0].map(match => [match.playerA, match.playerB, match.winner]),
+            [[alice, null, alice], [bob, carol, null]], "Alice should get the bye");
+
+        let actions = [];
+        for (let turn = 0; turn < 10 && (await keeper.bracket(id)).stage === "playing"; turn++) {
+            for (let player of players) {
+                (await player.orchestrator.step(id, player.move)).forEach(step => actions.push(step.action + " " + step.round));
+            }
+        }
+        assert.deepEqual(actions, ["commit 0", "commit 0", "reveal 0", "reveal 0", "commit 1", "commit 1", "reveal 1", "reveal 1"]);
+        bracket = await keeper.bracket(id);
+        assert.strictEqual(bracket.stage, "finished", "Tournament should be over");
+        assert.strictEqual(bracket.rounds[0][1].winner, carol, "Carol should beat Bob");
+        assert.strictEqual(bracket.winner, alice, "Alice should beat Carol in the final");
+        assert.strictEqual(bracket.runnerUp, carol, "Carol should be runner-up");
+        assert.strictEqual(players[0].orchestrator.vault.list().length, 0, "Secrets should be forgotten once revealed");
+    });
+
+    it("should settle the matches past their deadline", async function() {
+
+        await increaseTime(secondsInHour + 1);
+        await keeper.step(id);
+        await players[1].orchestrator.step(id, move.paper);
+        try {
+            await players[2].orchestrator.step(id);
+            assert.fail("A move is needed to commit");
+        } catch (e) {
+            assert.include(e.message, "A move from 1 to 3 is needed");
+        }
+        await increaseTime(secondsInHour + 1);
+        let steps = await keeper.step(id);
+        assert.deepEqual(steps.map(step => [step.action, step.round, step.index]), [["forfeit", 0, 1]]);
+        assert.strictEqual((await keeper.bracket(id)).rounds[1][0].playerB, bob, "Bob should go on");
+    });
+});
@@ -0,0 +1,253 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors.sol");
+const RockPaperScissorsTournament = artifacts.require("RockPaperScissorsTournament.sol");
+const expectedExceptionPromise = require("../util/expected-exception-promise.js");
+const increaseTime = require("../util/increase-time.js");
+const killAfterTimelock = require("../util/kill-after-timelock.js");
+const { toWei, toBN, fromAscii } = web3.utils;
+
+contract('RockPaperScissorsTournament', accounts => {
+    const [ owner, alice, bob, carol, dave ] = accounts;
+    const entryFee = toWei('0.01', 'ether');
+    const password = fromAscii("bananas");
+    const secondsInHour = 3600;
+    const move = {
+        rock: 1,
+        paper: 2,
+        scissors: 3
+    };
+    const stage = {
+        registering: 0,
+        playing: 1,
+        finished: 2,
+        cancelled: 3
+    };
+    const outcome = {
+        played: 0,
+        bye: 1,
+        forfeit: 2
+    };
+    let rockPaperScissors;
+    let instance;
+
+    async function createTournament(maxPlayers, runnerUpBasisPoints = 0) {
+        let txObj = await instance.createTournament(entryFee, maxPlayers, secondsInHour, secondsInHour, runnerUpBasisPoints, 0, {from: owner});
+        return txObj.logs[0].args['id'];
+    }
+
+    async function register(id, players) {
+        for (let player of players) {
+            await instance.register(id, {from: player, value: entryFee});
+        }
+    }
+
+    async function commit(id, round, index, player, playerMove) {
+        let game = await instance.matches.call(id, round, index);
+        let hash = await instance.generateMoveHash(id, round, index, game['replays'], player, playerMove, password);
+        return instance.commitMove(id, round, index, hash, {from: player});
+    }
+
+    /**
+     * Both commit then reveal, returns the transaction of the last reveal
+     */
+    async function play(id, round, index, playerA, moveA, playerB, moveB) {
+        await commit(id, round, index, playerA, moveA);
+        await commit(id, round, index, playerB, moveB);
+        await instance.revealMove(id, round, index, moveA, password, {from: playerA});
+        return instance.revealMove(id, round, index, moveB, password, {from: playerB});
+    }
+
+    beforeEach("deploy", async function() {
+
+        rockPaperScissors = await RockPaperScissors.new(false, {from: owner});
+        instance = await RockPaperScissorsTournament.new(false, rockPaperScissors.address, {from: owner});
+    });
+
+    describe("registration", function() {
+
+        it("should refuse tournaments that cannot be played", async function() {
+
+            await expectedExceptionPromise(function() {
+                return instance.createTournament(entryFee, 1, secondsInHour, secondsInHour, 0, 0, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.createTournament(entryFee, 65, secondsInHour, secondsInHour, 0, 0, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.createTournament(entryFee, 8, secondsInHour, 0, 0, 0, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.createTournament(entryFee, 8, secondsInHour, secondsInHour, 5001, 0, {from: owner});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.createTournament(entryFee, 8, secondsInHour, secondsInHour, 0, 2, {from: owner});
+            });
+        });
+
+        it("should register players paying the entry fee until full", async function() {
+
+            let id = await createTournament(2);
+            await expectedExceptionPromise(function() {
+                return instance.register(id, {from: alice, value: toWei('0.02', 'ether')});
+            });
+            let txObj = await instance.register(id, {from: alice, value: entryFee});
+            assert.strictEqual(txObj.logs[0].event, "LogRegister", "Registration should be logged");
+            assert.strictEqual(txObj.logs[0].args['seed'].toString(), "1", "Alice should be the first seed");
+            await expectedExceptionPromise(function() {
+                return instance.register(id, {from: alice, value: entryFee});
+            });
+            await expectedExceptionPromise(function() {
+                return instance.start(id, {from: alice});
+            });
+            await instance.register(id, {from: bob, value: entryFee});
+            await expectedExceptionPromise(function() {
+                return instance.register(id, {from: carol, value: entryFee});
+            });
+            assert.deepEqual(await instance.tournamentPlayers(id), [alice, bob], "Players are not correct");
+        });
+
+        it("should cancel and refund a tournament with one player", async function() {
+
+            let id = await createTournament(4);
+            await register(id, [alice]);
+            await increaseTime(secondsInHour + 1);
+            let txObj = await instance.start(id, {from: carol});
+            assert.strictEqual(txObj.logs[0].event, "LogCancelTournament", "Cancel should be logged");
+            assert.strictEqual((await instance.tournaments.call(id))['stage'].toString(), stage.cancelled.toString());
+            assert.strictEqual((await instance.balances.call(alice)).toString(), entryFee, "Alice should get her fee back");
+            await expectedExceptionPromise(function() {
+                return instance.register(id, {from: bob, value: entryFee});
+            });
+        });
+    });
+
+    describe("bracket", function() {
+
+        it("should give the byes to the first seeds and pay the winner and runner-up", async function() {
+
+            let id = await createTournament(4, 2000);
+            await register(id, [alice, bob, carol]);
+            await increaseTime(secondsInHour + 1);
+            let txObj = await instance.start(id, {from: dave});
+            assert.strictEqual(txObj.logs[0].event, "LogStart", "Start should be logged");
+            assert.strictEqual(txObj.logs[0].args['rounds'].toString(), "2", "Bracket of 4 expected");
+            assert.strictEqual(txObj.logs[0].args['byes'].toString(), "1", "One bye expected");
+            assert.strictEqual(txObj.logs[1].event, "LogMatchResult", "Bye should be logged");
+            assert.strictEqual(txObj.logs[1].args['winner'], alice, "Alice should get the bye");
+            assert.strictEqual(txObj.logs[1].args['outcome'].toString(), outcome.bye.toString());
+            assert.strictEqual(txObj.logs[2].event, "LogMatch", "Match should be logged");
+            assert.strictEqual(txObj.logs[2].args['playerA'], bob, "Bob should play first");
+            assert.strictEqual(txObj.logs[2].args['playerB'], carol, "Against Carol");
+
+            await expectedExceptionPromise(function() {
+                return commit(id, 0, 1, alice, move.rock);
+            });
+            txObj = await play(id, 0, 1, bob, move.paper, carol, move.rock);
+            assert.strictEqual(txObj.logs[1].event, "LogMatchResult", "Result should be logged");
+            assert.strictEqual(txObj.logs[1].args['winner'], bob, "Bob should win");
+            assert.strictEqual(txObj.logs[2].event, "LogMatch", "Final should start");
+            assert.strictEqual(txObj.logs[2].args['playerA'], alice, "Alice should be in the final");
+            assert.strictEqual(txObj.logs[2].args['playerB'], bob, "Against Bob");
+
+            txObj = await play(id, 1, 0, alice, move.rock, bob, move.rock);
+            assert.strictEqual(txObj.logs[1].event, "LogDraw", "Draw should be logged");
+            assert.strictEqual((await instance.matches.call(id, 1, 0))['replays'].toString(), "1", "Draw should be replayed");
+            txObj = await play(id, 1, 0, alice, move.scissors, bob, move.paper);
+            assert.strictEqual(txObj.logs[2].event, "LogFinish", "Finish should be logged");
+            let potBN = toBN(entryFee).muln(3);
+            let runnerUpBN = potBN.muln(2000).divn(10000);
+            assert.strictEqual(txObj.logs[2].args['winner'], alice, "Alice should win the tournament");
+            assert.strictEqual(txObj.logs[2].args['runnerUp'], bob, "Bob should be runner-up");
+            assert.strictEqual((await instance.balances.call(alice)).toString(), potBN.sub(runnerUpBN).toString(), "Alice should get the pot");
+            assert.strictEqual((await instance.balances.call(bob)).toString(), runnerUpBN.toString(), "Bob should get his share");
+            assert.strictEqual((await instance.tournaments.call(id))['stage'].toString(), stage.finished.toString());
+
+            let bobEtherBN = toBN(await web3.eth.getBalance(bob));
+            txObj = await instance.withdrawFunds({from: bob});
+            let gasPrice = (await web3.eth.getTransaction(txObj.tx)).gasPrice;
+            assert.strictEqual(toBN(await web3.eth.getBalance(bob)).sub(bobEtherBN).toString(),
+                runnerUpBN.sub(toBN(gasPrice).muln(txObj.receipt.gasUsed)).toString(), "Bob should withdraw his share");
+        });
+
+        it("should refuse moves that were not committed or played by others", async function() {
+
+            let id = await createTournament(2);
+            await register(id, [alice, bob]);
+            await instance.start(id, {from: carol});
+            await expectedExceptionPromise(function() {
+                return commit(id, 0, 0, carol, move.rock);
+            });
+            await commit(id, 0, 0, alice, move.rock);
+            await expectedExceptionPromise(function() {
+                return commit(id, 0, 0, alice, move.paper);
+            });
+            await expectedExceptionPromise(function() {
+                return instance.revealMove(id, 0, 0, move.rock, password, {from: alice});  // Bob did not commit
+            });
+            await commit(id, 0, 0, bob, move.paper);
+            await expectedExceptionPromise(function() {
+                return instance.revealMove(id, 0, 0, move.paper, password, {from: alice});
+            });
+        });
+    });
+
+    describe("forfeits", function() {
+
+        it("should let the player who committed go on when the other did not", async function() {
+
+            let id = await createTournament(2);
+            await register(id, [alice, bob]);
+            await instance.start(id, {from: carol});
+            await commit(id, 0, 0, bob, move.rock);
+            await expectedExceptionPromise(function() {
+                return instance.claimForfeit(id, 0, 0, {from: carol});
+            });
+            await increaseTime(secondsInHour + 1);
+            await expectedExceptionPromise(function() {
+                return commit(id, 0, 0, alice, move.rock);
+            });
+            let txObj = await instance.claimForfeit(id, 0, 0, {from: carol});
+            assert.strictEqual(txObj.logs[0].args['winner'], bob, "Bob should go on");
+            assert.strictEqual(txObj.logs[0].args['outcome'].toString(), outcome.forfeit.toString());
+            assert.strictEqual(txObj.logs[1].args['winner'], bob, "Bob should win the tournament");
+        });
+
+        it("should let the player who revealed go on, or the better seed when nobody showed", async function() {
+
+            let id = await createTournament(4);
+            await register(id, [alice, bob, carol, dave]);
+            await instance.start(id, {from: owner});  // full before the end of registration
+            await commit(id, 0, 0, alice, move.rock);
+            await commit(id, 0, 0, bob, move.paper);
+            await instance.revealMove(id, 0, 0, move.paper, password, {from: bob});
+            await increaseTime(secondsInHour + 1);
+            let txObj = await instance.claimForfeit(id, 0, 0, {from: owner});
+            assert.strictEqual(txObj.logs[0].args['winner'], bob, "Bob should go on");
+            txObj = await instance.claimForfeit(id, 0, 1, {from: owner});
+            assert.strictEqual(txObj.logs[0].args['winner'], carol, "Carol should go on as better seed");
+            assert.strictEqual(txObj.logs[1].event, "LogMatch", "Final should start");
+            await expectedExceptionPromise(function() {
+                return instance.claimForfeit(id, 0, 1, {from: owner});
+            });
+        });
+    });
+
+    describe("kill", function() {
+
+        it("should refund the entry fees of a tournament being played", async function() {
+
+            let id = await createTournament(2);
+            await register(id, [alice, bob]);
+            await expectedExceptionPromise(function() {
+                return instance.emergencyRefund(id, {from: alice});
+            });
+            await killAfterTimelock(instance, owner);
+            await instance.emergencyRefund(id, {from: alice});
+            await expectedExceptionPromise(function() {
+                return instance.emergencyRefund(id, {from: alice});
+            });
+            assert.strictEqual((await instance.balances.call(bob)).toString(), entryFee, "Bob should get his fee back");
+            await instance.emergencyWithdraw({from: bob});
+            assert.strictEqual((await instance.balances.call(bob)).toString(), "0", "Bob should have withdrawn");
+        });
+    });
+});
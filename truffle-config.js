@@ -16,5 +16,15 @@ module.exports = {
             port: 8545,
             network_id: 3
         }
+    },
+    compilers: {
+        solc: {
+            settings: {
+                optimizer: { // RockPaperScissors is above the 24KB contract size limit without it
+                    enabled: true,
+                    runs: 200
+                }
+            }
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+/**
+ * Moves the ganache clock forward and mines a block, so calls see the new time too.
+ *
+ * @param {!number} seconds
+ * @returns {!Promise}
+ */
+module.exports = function increaseTime(seconds) {
+    return new Promise(function (resolve, reject) {
+        web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_increaseTime', params: [seconds], id: Date.now()}, function (err) {
+            if (err) {
+                return reject(err);
+            }
+            web3.currentProvider.send({jsonrpc: '2.0', method: 'evm_mine', params: [], id: Date.now()}, function (err, result) {
+                return err ? reject(err) : resolve(result);
+            });
+        });
+    });
+};
@@ -0,0 +1,14 @@
+const increaseTime = require("./increase-time.js");
+
+/**
+ * Schedules the kill, waits for the timelock then kills, as the owner must now.
+ *
+ * @param {!Object} instance a truffle contract inheriting Pausable.
+ * @param {!string} owner
+ * @returns {!Promise} the transaction of the kill.
+ */
+module.exports = async function killAfterTimelock(instance, owner) {
+    await instance.scheduleKill({from: owner});
+    await increaseTime(Number(await instance.timelockSeconds()) + 1);
+    return instance.kill({from: owner});
+};
@@ -0,0 +1,47 @@
+const { spawn } = require("child_process");
+const net = require("net");
+
+function freePort() {
+    return new Promise(function (resolve, reject) {
+        const server = net.createServer();
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", function () {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Starts a ganache-cli of its own next to the one of the tests, for the tests needing another network. ganache-cli
+ * must be on the PATH, as ci/install.sh installs it.
+ *
+ * @param {!Array<string>} args more options, like --networkId.
+ * @returns {!Promise<?{url: string, stop: function(): Promise}>} null when ganache-cli is not installed.
+ */
+module.exports = async function startGanache(args) {
+    const port = await freePort();
+    return new Promise(function (resolve, reject) {
+        const child = spawn("ganache-cli", ["--port", port.toString(), "-l", "0xfffffffffff"].concat(args),
+            { stdio: ["ignore", "pipe", "ignore"] });
+        let output = "";
+        child.on("error", e => e.code === "ENOENT" ? resolve(null) : reject(e));
+        child.on("exit", code => reject(new Error("ganache-cli exited with " + code)));
+        child.stdout.on("data", function (data) {
+            output += data;
+            if (!/Listening on/.test(output)) {
+                return;
+            }
+            child.stdout.removeAllListeners("data");
+            child.stdout.resume();
+            resolve({
+                url: "http://127.0.0.1:" + port,
+                stop: () => new Promise(function (resolve) {
+                    child.removeAllListeners("exit");
+                    child.on("exit", () => resolve());
+                    child.kill();
+                })
+            });
+        });
+    });
+};